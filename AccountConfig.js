@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_POLLING_INTERVAL = 15000;
+
+// Load seller accounts to monitor
+//
+// With GGSEL_ACCOUNTS_FILE set, accounts come from that JSON file:
+// {
+//   "accounts": [
+//     { "name": "Main Shop", "sellerId": 123456, "secretKey": "...", "pollingInterval": 15000 },
+//     { "name": "Keys Shop", "sellerId": 654321, "secretKeyEnv": "KEYS_SHOP_SECRET", "pollingInterval": 30000 },
+//     { "name": "Gift Shop", "sellerId": 111222, "secretKey": "...", "ordersInterval": 10000, "chatsInterval": 60000 }
+//   ]
+// }
+// ordersInterval / chatsInterval (ms) set the pace of each check separately (default: pollingInterval).
+// Otherwise a single account is built from GGSEL_SELLER_ID / GGSEL_SECRET_KEY (there is no default seller).
+function loadAccounts(filePath = process.env.GGSEL_ACCOUNTS_FILE) {
+    if (!filePath) {
+        if (!process.env.GGSEL_SELLER_ID) {
+            throw new Error('GGSEL_SELLER_ID is not set (or list the shops in GGSEL_ACCOUNTS_FILE)');
+        }
+        return [{
+            name: process.env.GGSEL_SHOP_NAME || null,
+            sellerId: process.env.GGSEL_SELLER_ID,
+            secretKey: process.env.GGSEL_SECRET_KEY,
+            pollingInterval: DEFAULT_POLLING_INTERVAL,
+            ordersInterval: null,
+            chatsInterval: null,
+            stateFile: process.env.STATE_FILE || null
+        }];
+    }
+
+    const config = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    const accounts = (config.accounts || []).map((account, index) => normalizeAccount(account, index));
+
+    if (accounts.length === 0) {
+        throw new Error(`No accounts found in ${filePath}`);
+    }
+
+    const names = new Set();
+    for (const account of accounts) {
+        const key = account.name.toLowerCase();
+        if (names.has(key)) {
+            throw new Error(`Duplicate account name "${account.name}" in ${filePath}`);
+        }
+        names.add(key);
+    }
+
+    return accounts;
+}
+
+function normalizeAccount(account, index) {
+    const label = `Account #${index + 1}`;
+
+    if (!account.name) {
+        throw new Error(`${label}: "name" is required`);
+    }
+    if (!account.sellerId) {
+        throw new Error(`${label} (${account.name}): "sellerId" is required`);
+    }
+
+    // Keep secrets out of the file by naming an environment variable instead
+    const secretKey = account.secretKeyEnv ? process.env[account.secretKeyEnv] : account.secretKey;
+    if (!secretKey) {
+        throw new Error(`${label} (${account.name}): set "secretKey" or "secretKeyEnv"${account.secretKeyEnv ? ` (${account.secretKeyEnv} is empty)` : ''}`);
+    }
+
+    return {
+        name: String(account.name),
+        sellerId: String(account.sellerId),
+        secretKey: secretKey,
+        pollingInterval: account.pollingInterval || DEFAULT_POLLING_INTERVAL,
+        ordersInterval: account.ordersInterval || null,
+        chatsInterval: account.chatsInterval || null,
+        stateFile: account.stateFile || null
+    };
+}
+
+exports.loadAccounts = loadAccounts;
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { JsonFileStateStore } = require('./StateStore');
+
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const DEFAULT_STATE_FILE = 'auto-replies-state.json';
+
+// Keyword / rule based auto-replies to buyer messages
+//
+// Config format (JSON):
+// {
+//   "dryRun": false,
+//   "rules": [
+//     { "name": "where-is-key", "keywords": ["where is my key", "didn't get"], "reply": "Your key for {product} was sent to {email}" },
+//     { "name": "refund", "pattern": "refund|возврат", "languages": ["en", "ru"], "reply": "...", "cooldownMinutes": 120 },
+//     { "name": "welcome", "firstMessage": true, "productIds": [100500], "reply": "Thanks for order {order}!" }
+//   ]
+// }
+//
+// Rules are checked in order and the first match wins, so each batch of messages gets at most one reply.
+// A rule only fires once per chat within its cooldown. Cooldowns are saved to
+// options.file (AUTO_REPLY_STATE_FILE), so a restart doesn't answer the same buyer twice.
+// A rule whose reply uses {email} is skipped for chats without a buyer email.
+class AutoReplier {
+    constructor(config = {}, options = {}) {
+        this.rules = (config.rules || []).map((rule, index) => normalizeRule(rule, index));
+        // Dry run: log what would be sent without sending anything
+        this.dryRun = options.dryRun !== undefined ? options.dryRun : Boolean(config.dryRun);
+        this.lastReplies = new Map(); // "<rule name>:<id_i>" -> timestamp of the last reply
+        this.store = options.file === null ? null : new JsonFileStateStore(options.file || process.env.AUTO_REPLY_STATE_FILE || DEFAULT_STATE_FILE);
+        this.saving = Promise.resolve();
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => console.info(...args) // Dry-run output is always shown
+        };
+    }
+
+    // Load auto-reply rules from a JSON file
+    static fromFile(filePath, options = {}) {
+        const raw = fs.readFileSync(path.resolve(filePath), 'utf8');
+        return new AutoReplier(JSON.parse(raw), options);
+    }
+
+    // Restore the cooldowns that have not run out yet
+    async load() {
+        if (!this.store) return;
+        const state = await this.store.load();
+        if (!state) return;
+
+        this.lastReplies = new Map((state.lastReplies || []).filter(([key, at]) => this.isActiveCooldown(key, at)));
+    }
+
+    // Saves run one after another - two writes at once would race on the temp file
+    save() {
+        if (!this.store) return Promise.resolve();
+        this.saving = this.saving.then(async () => {
+            try {
+                for (const [key, at] of this.lastReplies) {
+                    if (!this.isActiveCooldown(key, at)) this.lastReplies.delete(key);
+                }
+                await this.store.save({ lastReplies: Array.from(this.lastReplies) });
+            } catch (error) {
+                this.logger.error('❌ Failed to save auto-reply cooldowns:', error.message);
+            }
+        });
+        return this.saving;
+    }
+
+    // Find the first rule matching the buyer's new messages (null if none, or it is cooling down)
+    // details: { firstMessageInChat } as passed to onNewMessage
+    findRule(chat, messages, details = {}) {
+        const buyerMessages = (messages || []).filter(msg => msg.buyer && msg.message);
+        if (buyerMessages.length === 0) return null;
+
+        for (const rule of this.rules) {
+            if (rule.firstMessage && !details.firstMessageInChat) continue;
+            if (rule.productIds && !rule.productIds.includes(Number(chat.product))) continue;
+
+            const matched = buyerMessages.some(msg => matchesText(rule, msg.message));
+            if (!matched) continue;
+
+            if (!chat.email && /\{email\}/.test(rule.reply)) {
+                this.logger.log(`🤖 Auto-reply "${rule.name}" matched chat ${chat.id_i} but the buyer email is unknown`);
+                continue;
+            }
+
+            if (this.isCoolingDown(rule, chat.id_i)) {
+                this.logger.log(`🤖 Auto-reply "${rule.name}" matched chat ${chat.id_i} but is cooling down`);
+                continue;
+            }
+
+            return rule;
+        }
+
+        return null;
+    }
+
+    // Run the rules against new messages and send a reply if one matches
+    // send(id_i, text) must deliver the text to the GGSel chat
+    // Returns { rule, text, dryRun } when a reply was sent (or would have been), otherwise null
+    async handle(chat, messages, productName, send, details = {}) {
+        const rule = this.findRule(chat, messages, details);
+        if (!rule) return null;
+
+        const text = renderTemplate(rule.reply, {
+            order: chat.id_i,
+            product: productName || `ID: ${chat.product}`,
+            email: chat.email
+        });
+
+        if (this.dryRun) {
+            this.logger.info(`🤖 [DRY RUN] Auto-reply "${rule.name}" to chat ${chat.id_i}: ${text}`);
+        } else {
+            await send(chat.id_i, text);
+            this.logger.log(`🤖 Auto-reply "${rule.name}" sent to chat ${chat.id_i}`);
+        }
+
+        // Dry runs count towards the cooldown too, so the log shows what would really be sent
+        this.lastReplies.set(`${rule.name}:${chat.id_i}`, Date.now());
+        await this.save();
+        return { rule: rule.name, text: text, dryRun: this.dryRun };
+    }
+
+    isCoolingDown(rule, chatId) {
+        const lastReply = this.lastReplies.get(`${rule.name}:${chatId}`);
+        return lastReply !== undefined && Date.now() - lastReply < rule.cooldownMinutes * 60 * 1000;
+    }
+
+    // Cooldowns of rules that were removed from the config are dropped too
+    isActiveCooldown(key, at) {
+        const ruleName = key.slice(0, key.lastIndexOf(':'));
+        const rule = this.rules.find(candidate => candidate.name === ruleName);
+        return Boolean(rule) && Date.now() - at < rule.cooldownMinutes * 60 * 1000;
+    }
+}
+
+// Very small language guess, good enough to tell our buyers apart
+function detectLanguage(text) {
+    if (/[а-яё]/i.test(text)) return 'ru';
+    if (/[çğıöşü]/i.test(text)) return 'tr';
+    return 'en';
+}
+
+function matchesText(rule, text) {
+    if (rule.languages && !rule.languages.includes(detectLanguage(text))) {
+        return false;
+    }
+
+    // A rule without keywords or pattern matches any text (e.g. a first-message greeting)
+    if (!rule.keywords && !rule.pattern) return true;
+
+    const lowerText = text.toLowerCase();
+    if (rule.keywords && rule.keywords.some(keyword => lowerText.includes(keyword))) {
+        return true;
+    }
+    return Boolean(rule.pattern && rule.pattern.test(text));
+}
+
+// Fill {placeholders} - unknown placeholders are left as they are
+function renderTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+function normalizeRule(rule, index) {
+    const name = rule.name || `rule-${index + 1}`;
+
+    if (!rule.reply) {
+        throw new Error(`Auto-reply rule "${name}": "reply" is required`);
+    }
+    if (!rule.keywords && !rule.pattern && !rule.firstMessage) {
+        throw new Error(`Auto-reply rule "${name}": set "keywords", "pattern" or "firstMessage"`);
+    }
+
+    let pattern = null;
+    if (rule.pattern) {
+        try {
+            pattern = new RegExp(rule.pattern, rule.flags || 'i');
+        } catch (error) {
+            throw new Error(`Auto-reply rule "${name}": invalid pattern - ${error.message}`);
+        }
+    }
+
+    return {
+        name: name,
+        keywords: rule.keywords ? rule.keywords.map(keyword => String(keyword).toLowerCase()) : null,
+        pattern: pattern,
+        productIds: rule.productIds ? rule.productIds.map(Number) : null,
+        languages: rule.languages || null,
+        firstMessage: Boolean(rule.firstMessage),
+        reply: rule.reply,
+        cooldownMinutes: rule.cooldownMinutes !== undefined ? rule.cooldownMinutes : DEFAULT_COOLDOWN_MINUTES
+    };
+}
+
+module.exports = AutoReplier;
+module.exports.detectLanguage = detectLanguage;
+module.exports.renderTemplate = renderTemplate;
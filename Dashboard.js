@@ -0,0 +1,240 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+
+const DASHBOARD_PAGE = path.join(__dirname, 'dashboard.html');
+const THREAD_MESSAGE_COUNT = 50;
+const KEEP_ALIVE_INTERVAL = 25000; // Comment line sent to SSE clients so proxies don't close idle streams
+
+// Small built-in web dashboard
+//
+//   GET /                       Dashboard page (dashboard.html)
+//   GET /api/state              Snapshot: accounts with stats and unread chats, recent orders and messages
+//   GET /api/chats/<id_i>       Message thread of an order chat (?shop=<name> with several shops)
+//   GET /events                 Live updates (Server-Sent Events): order, chat, message, status
+//
+// When a token is set every request needs ?token=<token> (or an "Authorization: Bearer <token>" header),
+// since the dashboard shows buyer emails and messages.
+// accounts: [{ name, monitor }] - one entry per monitored seller account
+class Dashboard {
+    constructor(options = {}) {
+        this.port = options.port !== undefined ? options.port : 8080;
+        this.host = options.host || '127.0.0.1';
+        this.token = options.token || null;
+        this.accounts = options.accounts || [];
+        this.maxItems = options.maxItems || 50; // Recent orders / messages kept for the page
+        this.recentOrders = [];
+        this.recentMessages = [];
+        this.clients = new Set(); // Open SSE responses
+        this.server = null;
+        this.keepAliveTimer = null;
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => this.debugMode && console.info(...args)
+        };
+    }
+
+    // Start the HTTP server (resolves once it is listening)
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        this.port = this.server.address().port;
+        this.keepAliveTimer = setInterval(() => this.writeToClients(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+        this.logger.log(`🖥️  Dashboard listening on http://${this.host}:${this.port}/`);
+    }
+
+    async stop() {
+        clearInterval(this.keepAliveTimer);
+        for (const client of this.clients) {
+            client.end();
+        }
+        this.clients.clear();
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    // =============================================
+    // Events from the monitors
+    // =============================================
+
+    recordOrder(sale, shop = null) {
+        const order = {
+            shop: shop,
+            invoiceId: sale.invoice_id,
+            product: sale.product?.name || null,
+            productId: sale.product?.id,
+            email: sale.buyer_email || null,
+            amount: sale.formatted_amount || (sale.product?.price_usd !== undefined ? `${sale.product.price_usd} USD` : null),
+            date: sale.date,
+            receivedAt: Date.now()
+        };
+        this.remember(this.recentOrders, order);
+        this.broadcast('order', order);
+    }
+
+    recordChat(chat, productName, shop = null) {
+        this.broadcast('chat', { shop: shop, ...chatSummary(chat), product: productName || null });
+    }
+
+    recordMessages(chat, messages, productName, shop = null) {
+        for (const msg of messages || []) {
+            const message = {
+                shop: shop,
+                chatId: chat.id_i,
+                product: productName || null,
+                email: chat.email || null,
+                id: msg.id,
+                buyer: Boolean(msg.buyer),
+                text: msg.message,
+                filename: msg.is_file ? msg.filename : null,
+                date: msg.date_written
+            };
+            this.remember(this.recentMessages, message);
+            this.broadcast('message', message);
+        }
+    }
+
+    // Send the latest stats of an account after each poll
+    recordPoll(shop = null) {
+        const account = this.accounts.find(entry => entry.name === shop) || this.accounts[0];
+        if (account) {
+            this.broadcast('status', this.accountSnapshot(account));
+        }
+    }
+
+    // Newest first, capped at maxItems
+    remember(list, item) {
+        list.unshift(item);
+        if (list.length > this.maxItems) {
+            list.length = this.maxItems;
+        }
+    }
+
+    // =============================================
+    // HTTP
+    // =============================================
+
+    snapshot() {
+        return {
+            accounts: this.accounts.map(account => this.accountSnapshot(account)),
+            orders: this.recentOrders,
+            messages: this.recentMessages
+        };
+    }
+
+    accountSnapshot(account) {
+        return {
+            name: account.name,
+            stats: account.monitor.getStats(),
+            unreadChats: (account.monitor.unreadChats || []).map(chatSummary)
+        };
+    }
+
+    isAuthorized(req, url) {
+        if (!this.token) return true;
+        const header = req.headers.authorization || '';
+        return url.searchParams.get('token') === this.token || header === `Bearer ${this.token}`;
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (req.method !== 'GET') {
+            return this.sendJson(res, 405, { error: 'Method not allowed' });
+        }
+        if (!this.isAuthorized(req, url)) {
+            return this.sendJson(res, 401, { error: 'Unauthorized' });
+        }
+
+        try {
+            if (url.pathname === '/') {
+                const page = await fs.promises.readFile(DASHBOARD_PAGE);
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                return res.end(page);
+            }
+            if (url.pathname === '/api/state') {
+                return this.sendJson(res, 200, this.snapshot());
+            }
+            if (url.pathname === '/events') {
+                return this.openEventStream(req, res);
+            }
+
+            const threadMatch = /^\/api\/chats\/(\d+)$/.exec(url.pathname);
+            if (threadMatch) {
+                return this.sendJson(res, 200, await this.fetchThread(Number(threadMatch[1]), url.searchParams.get('shop')));
+            }
+
+            this.sendJson(res, 404, { error: 'Not found' });
+        } catch (error) {
+            this.logger.error(`❌ Dashboard request ${url.pathname} failed:`, error.message);
+            this.sendJson(res, 502, { error: error.message });
+        }
+    }
+
+    // Messages of one order chat, oldest first
+    async fetchThread(chatId, shop) {
+        const account = this.accounts.find(entry => shop && entry.name === shop) || this.accounts[0];
+        const messages = await account.monitor.fetchMessages(chatId, THREAD_MESSAGE_COUNT);
+        return {
+            shop: account.name,
+            chatId: chatId,
+            messages: (messages || []).sort((a, b) => a.id - b.id).map(msg => ({
+                id: msg.id,
+                buyer: Boolean(msg.buyer),
+                text: msg.message,
+                filename: msg.is_file ? msg.filename : null,
+                date: msg.date_written
+            }))
+        };
+    }
+
+    openEventStream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write('retry: 5000\n\n');
+        this.clients.add(res);
+        req.on('close', () => this.clients.delete(res));
+    }
+
+    broadcast(event, data) {
+        this.writeToClients(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    writeToClients(chunk) {
+        for (const client of this.clients) {
+            client.write(chunk);
+        }
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    }
+}
+
+function chatSummary(chat) {
+    return {
+        chatId: chat.id_i,
+        productId: chat.product,
+        unread: chat.cnt_new,
+        messageCount: chat.cnt_msg,
+        lastMessage: chat.last_message,
+        email: chat.email || null
+    };
+}
+
+module.exports = Dashboard;
@@ -0,0 +1,155 @@
+// Timezone used when none is configured (TIMEZONE in .env)
+const DEFAULT_TIME_ZONE = 'Europe/Istanbul';
+const DEFAULT_LOCALE = 'en';
+
+// Largest unit first - relative times use the first one that fits
+const RELATIVE_UNITS = [
+    ['year', 365 * 24 * 60 * 60 * 1000],
+    ['month', 30 * 24 * 60 * 60 * 1000],
+    ['day', 24 * 60 * 60 * 1000],
+    ['hour', 60 * 60 * 1000],
+    ['minute', 60 * 1000],
+    ['second', 1000]
+];
+
+// Formats dates for notifications in one IANA timezone and locale
+//   format(date)   -> "05/02/2024, 15:00:00 GMT+3" (locale-aware, with the zone's UTC offset)
+//   relative(date) -> "3 minutes ago" / "3 минуты назад" / "3 dakika önce"
+// and calendar days in the same timezone (startOfDay, addDays, weekday, parseDay, formatDay) for reports
+// options: { timeZone (TIMEZONE, default Europe/Istanbul), locale (NOTIFY_LOCALE, default en) }
+class DateFormatter {
+    constructor(options = {}) {
+        this.timeZone = options.timeZone || process.env.TIMEZONE || DEFAULT_TIME_ZONE;
+        this.locale = options.locale || process.env.NOTIFY_LOCALE || DEFAULT_LOCALE;
+
+        try {
+            Intl.getCanonicalLocales(this.locale);
+        } catch (error) {
+            throw new Error(`Invalid locale "${this.locale}"`);
+        }
+        try {
+            this.dateTimeFormat = new Intl.DateTimeFormat(this.locale, {
+                timeZone: this.timeZone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit',
+                hourCycle: 'h23',
+                timeZoneName: 'shortOffset'
+            });
+        } catch (error) {
+            throw new Error(`Unknown timezone "${this.timeZone}" - use an IANA name like Europe/Istanbul`);
+        }
+        this.relativeTimeFormat = new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' });
+        // Numeric wall-clock parts in this timezone, whatever the locale
+        this.partsFormat = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timeZone,
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23'
+        });
+    }
+
+    // Date and time in this timezone ('N/A' for missing or invalid dates)
+    format(date) {
+        const time = toTime(date);
+        if (time === null) return 'N/A';
+        return this.dateTimeFormat.format(time);
+    }
+
+    // How long ago (or from now) the date is, in words
+    relative(date, now = Date.now()) {
+        const time = toTime(date);
+        if (time === null) return 'N/A';
+
+        const diff = time - now;
+        for (const [unit, size] of RELATIVE_UNITS) {
+            if (Math.abs(diff) >= size || unit === 'second') {
+                return this.relativeTimeFormat.format(Math.round(diff / size), unit);
+            }
+        }
+    }
+
+    // The timezone's UTC offset, e.g. "GMT+3" (or "GMT" for UTC)
+    zoneLabel(date = Date.now()) {
+        const part = this.dateTimeFormat.formatToParts(toTime(date) ?? Date.now()).find(p => p.type === 'timeZoneName');
+        return part ? part.value : this.timeZone;
+    }
+
+    // Calendar days in this timezone (for reports) - days start at local midnight, so around DST
+    // changes they are 23 or 25 hours long
+    //
+    // Local wall-clock time: { year, month (1-12), day, hour, minute, second }
+    dateParts(date) {
+        const parts = {};
+        for (const part of this.partsFormat.formatToParts(toTime(date))) {
+            if (part.type !== 'literal') parts[part.type] = Number(part.value);
+        }
+        return parts;
+    }
+
+    // UTC offset of this timezone at the given time (ms, e.g. 3 hours for GMT+3)
+    offset(time) {
+        const parts = this.dateParts(time);
+        return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+    }
+
+    // Timestamp of a local wall-clock time (days past the end of the month roll over, like Date.UTC)
+    zonedTime(year, month, day, hour = 0) {
+        const wallTime = Date.UTC(year, month - 1, day, hour);
+        // The offset can differ on the other side of a DST change, so correct the first guess once
+        const guess = wallTime - this.offset(wallTime);
+        return wallTime - this.offset(guess);
+    }
+
+    // Start of the local day containing the date
+    startOfDay(date) {
+        const parts = this.dateParts(date);
+        return this.zonedTime(parts.year, parts.month, parts.day);
+    }
+
+    // Start of the local day `days` days after the one containing the date
+    addDays(date, days) {
+        const parts = this.dateParts(date);
+        return this.zonedTime(parts.year, parts.month, parts.day + days);
+    }
+
+    // Local day of the week (Monday = 0 ... Sunday = 6)
+    weekday(date) {
+        const parts = this.dateParts(date);
+        return (new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay() + 6) % 7;
+    }
+
+    // Local date as YYYY-MM-DD
+    formatDay(date) {
+        const parts = this.dateParts(date);
+        return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+    }
+
+    // Start of the local day written as YYYY-MM-DD (null if invalid)
+    parseDay(text) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text || ''));
+        if (!match) return null;
+
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+        return this.zonedTime(year, month, day);
+    }
+}
+
+// Milliseconds since the epoch for a Date, timestamp or date string (null when invalid)
+function toTime(date) {
+    if (date === null || date === undefined || date === '') return null;
+    const time = date instanceof Date ? date.getTime() : (typeof date === 'number' ? date : Date.parse(date));
+    return Number.isNaN(time) ? null : time;
+}
+
+module.exports = DateFormatter;
+module.exports.DEFAULT_TIME_ZONE = DEFAULT_TIME_ZONE;
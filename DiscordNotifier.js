@@ -0,0 +1,139 @@
+const httpClient = require('./HttpClient');
+const { formatOrderAmount, orderUrl } = require('./NotifierRegistry');
+
+// Discord embed limits
+const MAX_DESCRIPTION = 4096;
+const MAX_FIELD_VALUE = 1024;
+
+const COLORS = {
+    order: 0x2ecc71,
+    chat: 0x3498db,
+    message: 0x9b59b6,
+    error: 0xe74c3c
+};
+
+// Discord notification channel - posts embeds to a channel webhook
+// (Channel settings > Integrations > Webhooks > New Webhook > Copy Webhook URL)
+class DiscordNotifier {
+    constructor(webhookUrl, options = {}) {
+        if (!webhookUrl) {
+            throw new Error('Discord webhook URL is required! Set DISCORD_WEBHOOK_URL in .env');
+        }
+
+        this.channel = 'discord';
+        this.webhookUrl = webhookUrl;
+        this.username = options.username || null; // Overrides the webhook's default name
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => this.debugMode && console.info(...args)
+        };
+    }
+
+    // DISCORD_ENABLED=true and DISCORD_WEBHOOK_URL (null when disabled)
+    static fromEnv(options = {}) {
+        if (process.env.DISCORD_ENABLED !== 'true') return null;
+        return new DiscordNotifier(process.env.DISCORD_WEBHOOK_URL, { username: process.env.DISCORD_USERNAME, ...options });
+    }
+
+    async send(embed) {
+        const payload = { embeds: [embed] };
+        if (this.username) {
+            payload.username = this.username;
+        }
+
+        try {
+            const response = await httpClient.post(this.webhookUrl, payload);
+            return response.data;
+        } catch (error) {
+            this.logger.error('Failed to send Discord message:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async notifyNewOrder(sale, options = {}) {
+        const fields = [
+            field('Product', sale.product?.name || 'Unknown product'),
+            field('Amount', formatOrderAmount(sale), true),
+            field('Buyer Email', sale.buyer_email || 'N/A', true)
+        ];
+
+        return await this.send({
+            title: `🛒 New order #${sale.invoice_id}`,
+            url: orderUrl(sale.invoice_id),
+            color: COLORS.order,
+            fields: withShop(fields, options),
+            timestamp: toTimestamp(sale.date)
+        });
+    }
+
+    async notifyNewChat(chat, productName, options = {}) {
+        return await this.send({
+            title: `💬 New chat - order #${chat.id_i}`,
+            url: orderUrl(chat.id_i),
+            color: COLORS.chat,
+            fields: withShop([
+                field('Product', productName || `ID: ${chat.product}`),
+                field('Customer', chat.email || 'N/A', true)
+            ], options),
+            timestamp: toTimestamp(chat.last_message)
+        });
+    }
+
+    async notifyNewMessage(chat, newMessageCount, messages, productName, options = {}) {
+        const lines = (messages || []).map((msg) => {
+            const sender = msg.buyer ? '👤' : '🏢';
+            const attachment = msg.is_file ? `\n📎 ${msg.filename}${msg.url ? ` - ${msg.url}` : ''}` : '';
+            return `${sender} ${quote(msg.message)}${attachment}`;
+        });
+
+        return await this.send({
+            title: `📨 ${newMessageCount} new message(s) - order #${chat.id_i}`,
+            url: orderUrl(chat.id_i),
+            description: truncate(lines.join('\n\n'), MAX_DESCRIPTION),
+            color: COLORS.message,
+            fields: withShop([
+                field('Product', productName || `ID: ${chat.product}`),
+                field('Customer', chat.email || 'N/A', true)
+            ], options)
+        });
+    }
+
+    async notifyError(error, context, options = {}) {
+        return await this.send({
+            title: '⚠️ Monitor error',
+            description: truncate(error.message || String(error), MAX_DESCRIPTION),
+            color: COLORS.error,
+            fields: withShop([field('Where', context || 'Polling')], options),
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+function field(name, value, inline = false) {
+    return { name: name, value: truncate(String(value), MAX_FIELD_VALUE), inline: inline };
+}
+
+function withShop(fields, options) {
+    return options.shop ? [field('Shop', options.shop, true), ...fields] : fields;
+}
+
+// Discord markdown block quote (every line prefixed with "> ")
+function quote(text) {
+    return String(text || '').split('\n').map(line => `> ${line}`).join('\n');
+}
+
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function toTimestamp(date) {
+    const time = Date.parse(date);
+    return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+}
+
+module.exports = DiscordNotifier;
@@ -0,0 +1,141 @@
+const { formatOrderAmount, orderUrl } = require('./NotifierRegistry');
+const DateFormatter = require('./DateFormatter');
+
+// Email notification channel over SMTP (requires the optional nodemailer package)
+//
+// config: { host, port, secure, user, pass, from, to, timeZone } - `to` is one address or a list
+// options.transport replaces the SMTP settings with any nodemailer transport (e.g. { jsonTransport: true })
+class EmailNotifier {
+    constructor(config = {}, options = {}) {
+        let nodemailer;
+        try {
+            nodemailer = require('nodemailer');
+        } catch (error) {
+            throw new Error('Email notifications require nodemailer. Run: npm install nodemailer');
+        }
+
+        const to = Array.isArray(config.to) ? config.to : String(config.to || '').split(',').map(address => address.trim()).filter(Boolean);
+        if (to.length === 0) {
+            throw new Error('Email recipient is required! Set EMAIL_TO in .env');
+        }
+        if (!options.transport && !config.host) {
+            throw new Error('SMTP host is required! Set SMTP_HOST in .env');
+        }
+
+        this.channel = 'email';
+        this.from = config.from || config.user;
+        this.to = to;
+        // Emails are in English - dates too, in config.timeZone (default: TIMEZONE)
+        this.dates = new DateFormatter({ timeZone: config.timeZone, locale: 'en' });
+        this.transporter = nodemailer.createTransport(options.transport || {
+            host: config.host,
+            port: config.port || 587,
+            secure: Boolean(config.secure), // true for port 465, otherwise STARTTLS is used when offered
+            auth: config.user ? { user: config.user, pass: config.pass } : undefined
+        });
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => this.debugMode && console.info(...args)
+        };
+    }
+
+    // EMAIL_ENABLED=true plus the SMTP_* / EMAIL_* settings (null when disabled)
+    static fromEnv(options = {}) {
+        if (process.env.EMAIL_ENABLED !== 'true') return null;
+        return new EmailNotifier({
+            host: process.env.SMTP_HOST,
+            port: process.env.SMTP_PORT ? parseInt(process.env.SMTP_PORT, 10) : undefined,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+            from: process.env.EMAIL_FROM,
+            to: process.env.EMAIL_TO,
+            timeZone: process.env.EMAIL_TIMEZONE
+        }, options);
+    }
+
+    // rows: [label, value] pairs shown as a table in the HTML part and as lines in the text part
+    async send(subject, rows, body = '', link = null, options = {}) {
+        const allRows = options.shop ? [['Shop', options.shop], ...rows] : rows;
+
+        const text = [
+            ...allRows.map(([label, value]) => `${label}: ${value}`),
+            body ? `\n${body}` : '',
+            link ? `\n${link}` : ''
+        ].join('\n').trim();
+
+        const html = `
+<h2 style="margin:0 0 12px">${escapeHtml(subject)}</h2>
+<table cellpadding="4" style="border-collapse:collapse">
+${allRows.map(([label, value]) => `<tr><td><b>${escapeHtml(label)}</b></td><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>
+${body ? `<pre style="white-space:pre-wrap;font-family:inherit">${escapeHtml(body)}</pre>` : ''}
+${link ? `<p><a href="${escapeHtml(link)}">Open in GGSel</a></p>` : ''}
+        `.trim();
+
+        try {
+            return await this.transporter.sendMail({
+                from: this.from,
+                to: this.to,
+                subject: `[GGSel${options.shop ? ` - ${options.shop}` : ''}] ${subject}`,
+                text: text,
+                html: html
+            });
+        } catch (error) {
+            this.logger.error('Failed to send email:', error.message);
+            throw error;
+        }
+    }
+
+    async notifyNewOrder(sale, options = {}) {
+        return await this.send(`New order #${sale.invoice_id} - ${sale.product?.name || 'Unknown product'}`, [
+            ['Invoice ID', sale.invoice_id],
+            ['Product', sale.product?.name || 'Unknown product'],
+            ['Amount', formatOrderAmount(sale)],
+            ['Buyer Email', sale.buyer_email || 'N/A'],
+            ['Date', this.dates.format(sale.date)]
+        ], '', orderUrl(sale.invoice_id), options);
+    }
+
+    async notifyNewChat(chat, productName, options = {}) {
+        return await this.send(`New chat - order #${chat.id_i}`, [
+            ['Order Number', chat.id_i],
+            ['Product', productName || `ID: ${chat.product}`],
+            ['Customer', chat.email || 'N/A'],
+            ['Last Activity', this.dates.format(chat.last_message)]
+        ], '', orderUrl(chat.id_i), options);
+    }
+
+    async notifyNewMessage(chat, newMessageCount, messages, productName, options = {}) {
+        const body = (messages || []).map((msg) => {
+            const sender = msg.buyer ? 'Customer' : 'You';
+            const attachment = msg.is_file ? `\n[Attachment: ${msg.filename}${msg.url ? ` ${msg.url}` : ''}]` : '';
+            return `${sender} (${this.dates.format(msg.date_written)}):\n${msg.message || ''}${attachment}`;
+        }).join('\n\n');
+
+        return await this.send(`${newMessageCount} new message(s) - order #${chat.id_i}`, [
+            ['Order Number', chat.id_i],
+            ['Product', productName || `ID: ${chat.product}`],
+            ['Customer', chat.email || 'N/A']
+        ], body, orderUrl(chat.id_i), options);
+    }
+
+    async notifyError(error, context, options = {}) {
+        return await this.send(`Monitor error (${context || 'Polling'})`, [
+            ['Where', context || 'Polling'],
+            ['Error', error.message || String(error)],
+            ['Time', this.dates.format(Date.now())]
+        ], '', null, options);
+    }
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+module.exports = EmailNotifier;
@@ -1,30 +1,88 @@
 require('dotenv').config();
-const { getToken } = require('./GGSel');
-const Request = require('request');
+const GGSel = require('./GGSel');
+const GGSelClient = require('./GGSelClient');
+const PollScheduler = require('./PollScheduler');
+
+// Checks a poll can run - each has its own interval (see PollScheduler)
+const CHECKS = ['orders', 'chats'];
+// Messages fetched per request - the full history of a chat we have no cursor for, or one page after the cursor
+const MESSAGE_PAGE_SIZE = 200;
+// Pages read after the cursor in one poll (a chat that got more than this is fetched again on the next poll,
+// from where this one stopped)
+const MAX_MESSAGE_PAGES = 5;
 
 class GGSelChatMonitor {
     constructor(options = {}) {
-        this.pollingInterval = options.pollingInterval || 90000; // Default: 45 seconds
+        this.name = options.name || null; // Shop label when monitoring several seller accounts
+        this.sellerId = options.sellerId || null; // Seller ID (defaults to GGSEL_SELLER_ID)
+        this.pollingInterval = options.pollingInterval || 90000; // Default: 90 seconds
+        // Adapts the pace: faster after orders and messages, slower when idle, backing off on failures
+        // options.schedule: PollScheduler settings (ordersInterval, chatsInterval, activeInterval, ...)
+        this.scheduler = new PollScheduler({ interval: this.pollingInterval, ...(options.schedule || {}) });
+        this.lastCheckAt = { orders: 0, chats: 0 }; // When each check last ran
         this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
         this.isRunning = false;
         this.isInitialized = false; // Track if initial load is complete
+        this.pollTimer = null; // Timer for the next scheduled poll
         this.lastChatCount = 0;
+        this.knownChatIds = new Set(); // Every chat (id_i) we have already seen - anything else is a new chat
+        this.chatsBaselined = false; // Set once knownChatIds holds the existing chats
         this.lastMessageCounts = new Map(); // Track message count per chat (if available)
         this.lastMessageIds = new Map(); // Track highest message ID seen per chat
+        this.chatVersions = new Map(); // id_i -> cnt_msg and last_message when we last fetched its messages
+        this.fetchConcurrency = options.fetchConcurrency || 4; // Chats whose messages are fetched at the same time
+        this.lastSpeakers = new Map(); // id_i -> { buyer, messageId, productId, at } - who wrote last in each chat, and when we saw it
+        this.maxTrackedSpeakers = options.maxTrackedSpeakers || 5000;
         this.productCache = new Map(); // Cache product names by product ID
         this.invoiceCache = new Map(); // Cache invoice details by invoice ID (order number)
+        this.maxCachedInvoices = options.maxCachedInvoices || 1000; // Oldest invoices are dropped past this (order history lives in the sales ledger)
         this.lastSaleInvoiceId = null; // Track last sale to detect new orders
+        this.apiBaseUrl = options.apiBaseUrl || GGSel.getApiBaseUrl(); // GGSel seller API base URL
+        this.stateStore = options.stateStore || null; // Optional store to persist state across restarts
+        this.catchUpSince = null; // Timestamp of the last saved state (set while catching up after a restart)
+        this.catchUpSalesLimit = options.catchUpSalesLimit || 100; // How many sales to scan when catching up
         this.onNewChat = options.onNewChat || this.defaultNewChatHandler(this);
         this.onNewMessage = options.onNewMessage || this.defaultNewMessageHandler(this);
         this.onNewOrder = options.onNewOrder || this.defaultNewOrderHandler(this);
+        this.onError = options.onError || null; // Called with (error, context) when polling starts failing
+        this.onPollComplete = options.onPollComplete || null; // Called with getStats() after every poll
+        this.onAwaitingReply = options.onAwaitingReply || null; // Called with getAwaitingReply() results when buyers wait too long
+        this.awaitingReplyMinutes = options.awaitingReplyMinutes || null; // Remind about buyers waiting this long (null = never)
+        this.awaitingReplyInterval = options.awaitingReplyInterval || (this.awaitingReplyMinutes || 0) * 60000; // How often to remind (ms)
+        this.lastAwaitingReplyCheck = 0;
+        this.lastPollFailed = false;
+        this.lastPollAt = null; // When the last poll finished
+        this.lastPollError = null; // Error message of the last poll (null if it succeeded)
+        this.unreadChats = []; // Chats with unread messages from the last poll
+        this.pollMetrics = {
+            polls: 0,
+            totalDuration: 0,
+            lastDuration: null, // ms
+            lastApiCalls: null, // GGSel requests sent by the last poll
+            lastChatsFetched: null, // Chats whose messages the last poll fetched
+            lastChatsSkipped: null // Chats left out because nothing changed
+        };
 
-        // Create logger for this instance
+        // Create logger for this instance (prefixed with the shop name when set)
+        const prefix = this.name ? [`[${this.name}]`] : [];
         this.logger = {
-            log: (...args) => this.debugMode && console.log(...args),
-            error: (...args) => console.error(...args), // Always show errors
-            warn: (...args) => this.debugMode && console.warn(...args),
-            info: (...args) => this.debugMode && console.info(...args)
+            log: (...args) => this.debugMode && console.log(...prefix, ...args),
+            error: (...args) => console.error(...prefix, ...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...prefix, ...args),
+            info: (...args) => this.debugMode && console.info(...prefix, ...args)
         };
+
+        // Every GGSel API call goes through the client
+        // auth: { getToken(), clearTokenCache() } for this account - a bare getToken function works too (no re-login)
+        const auth = options.auth || (options.getToken ? { getToken: options.getToken } : GGSel);
+        this.client = options.client || new GGSelClient({
+            auth: auth,
+            apiBaseUrl: this.apiBaseUrl,
+            sellerId: this.sellerId,
+            retries: options.apiRetries,
+            retryDelay: options.apiRetryDelay,
+            logger: this.logger
+        });
     }
 
     // Default handlers
@@ -89,68 +147,20 @@ class GGSelChatMonitor {
     }
 
     // Fetch last sales
-    async fetchLastSales(token, top = 10) {
-        return new Promise((resolve, reject) => {
-            const sellerId = process.env.GGSEL_SELLER_ID || '1074943';
-            const url = `https://seller.ggsel.net/api_sellers/api/seller-last-sales?token=${token}&seller_id=${sellerId}&top=${top}`;
-            
-            Request({
-                url: url,
-                method: 'GET',
-                headers: { 
-                    'Accept': 'application/json',
-                    'locale': 'en'
-                },
-                json: true,
-                timeout: 10000
-            }, (error, response, body) => {
-                if (error) {
-                    reject(error);
-                } else if (response.statusCode < 200 || response.statusCode >= 300) {
-                    reject(new Error(`HTTP ${response.statusCode}: ${JSON.stringify(body)}`));
-                } else {
-                    resolve(body);
-                }
-            });
-        });
+    async fetchLastSales(top = 10) {
+        return this.client.fetchLastSales(top);
     }
 
     // Fetch invoice details to get buyer email
-    async fetchInvoiceDetails(token, invoiceId) {
-        return new Promise((resolve, reject) => {
-            const url = `https://seller.ggsel.net/api_sellers/api/purchase/info/${invoiceId}?token=${token}`;
-            
-            this.logger.log(`📡 API Call: GET /purchase/info/${invoiceId}`);
-            
-            Request({
-                url: url,
-                method: 'GET',
-                headers: { 
-                    'Accept': 'application/json',
-                    'locale': 'en'
-                },
-                json: true,
-                timeout: 10000
-            }, (error, response, body) => {
-                if (error) {
-                    this.logger.error(`❌ Request error: ${error.message}`);
-                    reject(error);
-                } else if (response.statusCode < 200 || response.statusCode >= 300) {
-                    this.logger.error(`❌ HTTP ${response.statusCode} - Body:`, JSON.stringify(body));
-                    reject(new Error(`HTTP ${response.statusCode}`));
-                } else if (body.retval !== 0) {
-                    this.logger.error(`❌ API Error: ${body.retdesc}`);
-                    reject(new Error(`API Error: ${body.retdesc}`));
-                } else {
-                    this.logger.log(`✅ Purchase info received for invoice ${invoiceId}`);
-                    resolve(body.content);
-                }
-            });
-        });
+    async fetchInvoiceDetails(invoiceId) {
+        this.logger.log(`📡 API Call: GET /purchase/info/${invoiceId}`);
+        const purchaseInfo = await this.client.fetchPurchaseInfo(invoiceId);
+        this.logger.log(`✅ Purchase info received for invoice ${invoiceId}`);
+        return purchaseInfo;
     }
 
     // Helper: Get buyer email for a chat (using invoice cache)
-    async getChatBuyerEmail(token, chatId) {
+    async getChatBuyerEmail(chatId) {
         // Check cache first
         let invoiceData = this.invoiceCache.get(chatId);
         
@@ -160,11 +170,11 @@ class GGSelChatMonitor {
         
         // Not in cache - fetch from purchase API
         try {
-            const purchaseInfo = await this.fetchInvoiceDetails(token, chatId);
+            const purchaseInfo = await this.fetchInvoiceDetails(chatId);
             const buyerEmail = purchaseInfo?.buyer_info?.email || null;
             
             // Cache it
-            this.invoiceCache.set(chatId, {
+            this.cacheInvoice(chatId, {
                 invoice_id: chatId,
                 buyer_email: buyerEmail
             });
@@ -176,110 +186,87 @@ class GGSelChatMonitor {
         }
     }
 
+    // Helper: Add invoice details to the cache, dropping the oldest entries once it is full
+    cacheInvoice(invoiceId, invoiceData) {
+        this.invoiceCache.delete(invoiceId);
+        this.invoiceCache.set(invoiceId, invoiceData);
+        
+        while (this.invoiceCache.size > this.maxCachedInvoices) {
+            this.invoiceCache.delete(this.invoiceCache.keys().next().value);
+        }
+    }
+
     // Fetch product details
-    async fetchProduct(token, productId) {
+    async fetchProduct(productId) {
         // Check cache first
         if (this.productCache.has(productId)) {
             return this.productCache.get(productId);
         }
 
-        return new Promise((resolve, reject) => {
-            const url = `https://seller.ggsel.net/api_sellers/api/products/${productId}/data?token=${token}`;
-            
-            Request({
-                url: url,
-                method: 'GET',
-                headers: { 
-                    'Accept': 'application/json'
-                },
-                json: true,
-                timeout: 10000
-            }, (error, response, body) => {
-                if (error) {
-                    this.logger.error(`❌ Request error: ${error.message}`);
-                    reject(error);
-                } else if (response.statusCode < 200 || response.statusCode >= 300) {
-                    this.logger.error(`❌ HTTP ${response.statusCode} - Body:`, JSON.stringify(body));
-                    reject(new Error(`HTTP ${response.statusCode}`));
-                } else if (body.retval !== 0) {
-                    this.logger.error(`❌ API Error: ${body.retdesc}`);
-                    reject(new Error(`API Error: ${body.retdesc}`));
-                } else {
-                    // Correct path: body.product.name
-                    const productName = body?.product?.name || `Product ${productId}`;
-                    // Cache the product name
-                    this.productCache.set(productId, productName);
-                    resolve(productName);
-                }
-            });
-        });
+        const product = await this.client.fetchProduct(productId);
+        const productName = product?.name || `Product ${productId}`;
+        // Cache the product name
+        this.productCache.set(productId, productName);
+        return productName;
     }
 
     // Fetch list of chats (only with unread messages for efficiency)
-    async fetchChats(token) {
-        return new Promise((resolve, reject) => {
-            const url = `https://seller.ggsel.net/api_sellers/api/debates/v2/chats?token=${token}&filter_new=1&pagesize=200`;
-            
-            Request({
-                url: url,
-                method: 'GET',
-                headers: { 
-                    'Accept': 'application/json',
-                    'Authorization': `Bearer ${token}`
-                },
-                json: true,
-                timeout: 10000
-            }, (error, response, body) => {
-                if (error) {
-                    this.logger.error(`❌ Request error: ${error.message}`);
-                    reject(error);
-                } else if (response.statusCode < 200 || response.statusCode >= 300) {
-                    this.logger.error(`❌ HTTP ${response.statusCode} - Body:`, JSON.stringify(body));
-                    reject(new Error(`HTTP ${response.statusCode}`));
-                } else {
-                    this.logger.log(`✅ Chats received`);
-                    resolve(body);
-                }
-            });
-        });
+    async fetchChats() {
+        const chats = await this.client.fetchChats();
+        this.logger.log(`✅ Chats received`);
+        return chats;
     }
 
-    // Fetch messages for a specific chat
-    async fetchMessages(token, chatId, count = 10) {
-        return new Promise((resolve, reject) => {
-            const url = `https://seller.ggsel.net/api_sellers/api/debates/v2?token=${token}&id_i=${chatId}&count=${count}&newer=1`;
-            
-            Request({
-                url: url,
-                method: 'GET',
-                headers: { 'Accept': 'application/json' },
-                json: true,
-                timeout: 10000
-            }, (error, response, body) => {
-                if (error) {
-                    this.logger.error(`❌ Request error: ${error.message}`);
-                    reject(error);
-                } else if (response.statusCode < 200 || response.statusCode >= 300) {
-                    this.logger.error(`❌ HTTP ${response.statusCode} - Body:`, JSON.stringify(body));
-                    reject(new Error(`HTTP ${response.statusCode}`));
-                } else {
-                    this.logger.log(`✅ Messages received for chat ${chatId}`);
-                    resolve(body || []);
-                }
-            });
-        });
+    // Fetch messages for a specific chat (idFrom: only messages after this ID)
+    async fetchMessages(chatId, count = 10, idFrom = null) {
+        const messages = await this.client.fetchMessages(chatId, count, idFrom);
+        this.logger.log(`✅ Messages received for chat ${chatId}`);
+        return messages;
     }
 
-    // Check for new orders
-    async checkNewOrders(token) {
-        try {
-            const salesResponse = await this.fetchLastSales(token, 20);  // Increased from 5 to 20
-            
-            if (salesResponse.retval !== 0) {
-                this.logger.error('Sales API error:', salesResponse.retdesc);
-                return;
+    // Messages of a chat we haven't seen yet: the pages after our cursor, or the latest page when we have none
+    // Returns { messages, complete } - complete is false when reading stopped at MAX_MESSAGE_PAGES with more left
+    async fetchNewMessages(chatId) {
+        let cursor = this.lastMessageIds.get(chatId);
+        if (!cursor) {
+            return { messages: await this.fetchMessages(chatId, MESSAGE_PAGE_SIZE), complete: true };
+        }
+
+        const messages = [];
+        for (let page = 0; page < MAX_MESSAGE_PAGES; page++) {
+            const batch = (await this.fetchMessages(chatId, MESSAGE_PAGE_SIZE, cursor)) || [];
+            const newer = batch.filter(msg => msg.id > cursor);
+            messages.push(...newer);
+            if (batch.length < MESSAGE_PAGE_SIZE || newer.length === 0) {
+                return { messages: messages, complete: true };
             }
+            cursor = Math.max(...newer.map(msg => msg.id));
+        }
+        return { messages: messages, complete: false };
+    }
+
+    // Nothing to fetch when the chat's message count and last message date haven't moved since we last did
+    // Chats without either field are always fetched
+    isChatUnchanged(chat) {
+        if (chat.cnt_msg === undefined && chat.last_message === undefined) return false;
+        return this.lastMessageIds.has(chat.id_i) && this.chatVersions.get(chat.id_i) === chatVersion(chat);
+    }
+
+    // Send a message to a buyer chat
+    async sendMessage(chatId, text) {
+        this.logger.log(`📡 API Call: POST /debates/v2 (chat ${chatId})`);
+        const result = await this.client.sendMessage(chatId, text);
+        this.logger.log(`✅ Message sent to chat ${chatId}`);
+        this.recordSellerReply(chatId);
+        return result;
+    }
 
+    // Check for new orders
+    async checkNewOrders() {
+        try {
+            // Look further back while catching up after a restart
+            const top = this.catchUpSince ? this.catchUpSalesLimit : 20;
+            const salesResponse = await this.fetchLastSales(top);
             const sales = salesResponse.sales || [];
             
             if (sales.length === 0) {
@@ -313,6 +300,7 @@ class GGSelChatMonitor {
                 }
                 
                 this.logger.log(`✅ Found ${newSales.length} new order(s)!`);
+                this.scheduler.recordActivity();
                 
                 // Debug: Show first sale structure
                 if (newSales.length > 0) {
@@ -335,7 +323,7 @@ class GGSelChatMonitor {
                         this.logger.log(`🔍 Fetching order details for invoice ${sale.invoice_id}...`);
                         
                         try {
-                            const purchaseInfo = await this.fetchInvoiceDetails(token, sale.invoice_id);
+                            const purchaseInfo = await this.fetchInvoiceDetails(sale.invoice_id);
                             buyerEmail = purchaseInfo?.buyer_info?.email || null;
                             orderAmount = purchaseInfo?.amount || null; // Actual amount paid
                             const currencyType = purchaseInfo?.currency_type || null; // Currency (USD, RUB, EUR, etc.)
@@ -373,7 +361,7 @@ class GGSelChatMonitor {
                             product: sale.product,
                             date: sale.date
                         };
-                        this.invoiceCache.set(sale.invoice_id, invoiceData);
+                        this.cacheInvoice(sale.invoice_id, invoiceData);
                     } else {
                         this.logger.log(`📦 Using cached data for invoice ${sale.invoice_id}: ${invoiceData.buyer_email || 'no email'}, amount: ${invoiceData.formatted_amount || 'unknown'}`);
                     }
@@ -384,7 +372,7 @@ class GGSelChatMonitor {
                     sale.currency_type = invoiceData.currency_type;
                     sale.formatted_amount = invoiceData.formatted_amount;
                     
-                    this.onNewOrder(sale);
+                    await this.emit('onNewOrder', sale);
                 }
                 
                 // CRITICAL: Update to the HIGHEST invoice ID (last in sorted newSales array)
@@ -397,190 +385,408 @@ class GGSelChatMonitor {
             
         } catch (error) {
             this.logger.error('Error checking new orders:', error.message);
+            throw error;
         }
     }
 
-    // Main polling function
-    async poll() {
+    // Main polling function - checks: which checks to run (the scheduler passes the ones that are due)
+    async poll(checks = { orders: true, chats: true }) {
         if (!this.isRunning) return;
 
+        const startedAt = Date.now();
+        const apiCallsBefore = this.client.getApiStats().total;
+        this.pollMetrics.lastChatsFetched = null;
+        this.pollMetrics.lastChatsSkipped = null;
+
+        let failure = null;
+
+        // Check for new orders FIRST (most important!)
+        if (checks.orders) {
+            try {
+                await this.checkNewOrders();
+            } catch (error) {
+                failure = error;
+            }
+        }
+
+        // Then check chats and messages
+        if (checks.chats) {
+            try {
+                await this.checkChats();
+            } catch (error) {
+                this.logger.error('Polling error:', error.message);
+                failure = failure || error;
+            }
+        }
+
+        if (failure) {
+            this.lastPollError = failure.message;
+            this.lastPollFailed = true;
+
+            // Alert once per failure streak, when it reaches the scheduler's threshold - not every poll while the API is down
+            if (this.scheduler.recordFailure() && this.onError) {
+                await this.emit('onError', failure, 'Polling');
+            }
+        } else {
+            this.scheduler.recordSuccess();
+            this.lastPollFailed = false;
+            this.lastPollError = null;
+        }
+
+        // Mark as initialized after first poll completes (prevents false alerts on startup)
+        if (!this.isInitialized) {
+            this.isInitialized = true;
+            this.logger.log('✅ First poll complete - now detecting new orders\n');
+        }
+
+        // Catch-up only covers the first poll after a restart
+        this.catchUpSince = null;
+
+        // Persist state so a restart continues from here
+        await this.saveState();
+
+        this.lastPollAt = Date.now();
+        for (const check of CHECKS) {
+            if (checks[check]) this.lastCheckAt[check] = this.lastPollAt;
+        }
+        this.recordPollMetrics(this.lastPollAt - startedAt, this.client.getApiStats().total - apiCallsBefore);
+        if (this.onPollComplete) {
+            this.onPollComplete(this.getStats());
+        }
+
+        // Schedule next poll
+        if (this.isRunning) {
+            this.scheduleNextPoll();
+        }
+    }
+
+    // Wake up when the next check is due - the pace follows activity and failures, so it is worked out again each time
+    // (clear any pending timer so a quick stop/start never runs two loops)
+    scheduleNextPoll() {
+        const now = Date.now();
+        const dueAt = {};
+        for (const check of CHECKS) {
+            dueAt[check] = this.lastCheckAt[check] + this.scheduler.nextDelay(check, now);
+        }
+        const nextAt = Math.min(...Object.values(dueAt));
+
+        clearTimeout(this.pollTimer);
+        this.pollTimer = setTimeout(() => {
+            // Checks due within the next second run along, so equal intervals make one poll
+            const at = Date.now() + 1000;
+            this.poll({ orders: dueAt.orders <= at, chats: dueAt.chats <= at }).catch(error => {
+                // poll() handles API errors itself - this is a bug, but the loop must go on
+                this.logger.error('❌ Poll failed:', error.message);
+                if (this.isRunning) this.scheduleNextPoll();
+            });
+        }, Math.max(0, nextAt - now));
+    }
+
+    // Run an event handler (onNewOrder, onNewChat, ...) and wait for it, so state is only saved once its
+    // notifications are out - a failing handler is logged and doesn't stop the poll
+    async emit(handlerName, ...args) {
         try {
-            const token = await getToken();
-            
-            // Check for new orders FIRST (most important!)
-            await this.checkNewOrders(token);
-            
-            // Then check chats and messages
-            const chatsResponse = await this.fetchChats(token);
-            const chats = chatsResponse.items || [];
+            await this[handlerName](...args);
+        } catch (error) {
+            this.logger.error(`❌ ${handlerName} handler failed:`, error.message);
+        }
+    }
+
+    // Check the chat list for new chats and messages
+    async checkChats() {
+        const chatsResponse = await this.fetchChats();
+        const chats = chatsResponse.items || [];
+        this.unreadChats = chats;
+
+        const currentChatCount = chats.length;
+        
+        // Debug: Show chat tracking info
+        this.logger.log(`\n💬 Chat Detection:`);
+        this.logger.log(`   Current chats: ${currentChatCount}`);
+        this.logger.log(`   Last known chats: ${this.lastChatCount}`);
+        this.logger.log(`   Known chat IDs: ${this.knownChatIds.size}`);
+        this.logger.log(`   Tracked messages: ${this.lastMessageCounts.size}`);
+        this.logger.log(`   Initialized: ${this.isInitialized}`);
 
-            const currentChatCount = chats.length;
+        // Check for new chats - any chat ID we have never seen before.
+        // The list only holds chats with unread messages (filter_new=1), so its size
+        // goes up and down as chats are read and can't be used to spot new chats.
+        const newChats = this.chatsBaselined ? chats.filter(chat => !this.knownChatIds.has(chat.id_i)) : [];
+        
+        // Remember every chat in the list so it is never reported as new again
+        for (const chat of chats) {
+            this.knownChatIds.add(chat.id_i);
+        }
+        this.chatsBaselined = true;
+        
+        if (newChats.length > 0) {
+            this.logger.log(`\n🔔 Detected ${newChats.length} new chat(s)!`);
+            this.scheduler.recordActivity();
             
-            // Debug: Show chat tracking info
-            this.logger.log(`\n💬 Chat Detection:`);
-            this.logger.log(`   Current chats: ${currentChatCount}`);
-            this.logger.log(`   Last known chats: ${this.lastChatCount}`);
-            this.logger.log(`   Tracked messages: ${this.lastMessageCounts.size}`);
-            this.logger.log(`   Initialized: ${this.isInitialized}`);
-
-            // Check for new chats
-            if (this.lastChatCount > 0 && currentChatCount > this.lastChatCount) {
-                const newChatsCount = currentChatCount - this.lastChatCount;
-                this.logger.log(`\n🔔 Detected ${newChatsCount} new chat(s)!`);
+            for (const chat of newChats) {
+                this.logger.log(`\n💬 Processing new chat: ${chat.id_i}`);
+                this.logger.log(`🔍 Chat object fields:`, Object.keys(chat));
+                this.logger.log(`🔍 Chat ID (chat.id): ${chat.id}`);
+                this.logger.log(`🔍 Invoice ID (chat.id_i): ${chat.id_i}`);
                 
-                const newChats = chats.slice(0, newChatsCount);
+                let productName = null;
+                try {
+                    productName = await this.fetchProduct(chat.product);
+                } catch (error) {
+                    this.logger.error(`Could not fetch product name for ${chat.product}`);
+                }
                 
-                for (const chat of newChats) {
-                    this.logger.log(`\n💬 Processing new chat: ${chat.id_i}`);
-                    this.logger.log(`🔍 Chat object fields:`, Object.keys(chat));
-                    this.logger.log(`🔍 Chat ID (chat.id): ${chat.id}`);
-                    this.logger.log(`🔍 Invoice ID (chat.id_i): ${chat.id_i}`);
-                    
-                    let productName = null;
-                    try {
-                        productName = await this.fetchProduct(token, chat.product);
-                    } catch (error) {
-                        this.logger.error(`Could not fetch product name for ${chat.product}`);
-                    }
-                    
-                    // Fetch buyer email for chat (chat.id_i is the invoice ID)
-                    const buyerEmail = await this.getChatBuyerEmail(token, chat.id_i);
-                    chat.email = buyerEmail; // Add email to chat object
-                    
-                    // ALWAYS fetch messages for new chat to see if there are any initial messages
-                    let initialMessages = [];
-                    let latestMessageId = null;
-                    
-                    try {
-                        this.logger.log(`   📨 Fetching messages for new chat ${chat.id_i}...`);
-                        const allMessages = await this.fetchMessages(token, chat.id_i, 200);
-                        
-                        if (allMessages && allMessages.length > 0) {
-                            // Sort by ID to ensure we get the latest
-                            allMessages.sort((a, b) => a.id - b.id);
-                            initialMessages = allMessages;
-                            latestMessageId = allMessages[allMessages.length - 1].id;
-                            
-                            this.logger.log(`   ✅ Found ${allMessages.length} initial message(s), latest ID: ${latestMessageId}`);
-                        } else {
-                            this.logger.log(`   📭 No messages in new chat yet`);
-                        }
-                    } catch (error) {
-                        this.logger.error(`   ❌ Error fetching messages for new chat ${chat.id_i}:`, error.message);
-                    }
-                    
-                    // Send new chat notification
-                    this.onNewChat(chat, productName);
+                // Fetch buyer email for chat (chat.id_i is the invoice ID)
+                const buyerEmail = await this.getChatBuyerEmail(chat.id_i);
+                chat.email = buyerEmail; // Add email to chat object
+                
+                // ALWAYS fetch messages for new chat to see if there are any initial messages
+                let initialMessages = [];
+                let latestMessageId = null;
+                
+                try {
+                    this.logger.log(`   📨 Fetching messages for new chat ${chat.id_i}...`);
+                    const allMessages = await this.fetchMessages(chat.id_i, MESSAGE_PAGE_SIZE);
+                    this.chatVersions.set(chat.id_i, chatVersion(chat));
                     
-                    // If there are initial messages, also send message notification
-                    if (initialMessages.length > 0) {
-                        this.logger.log(`   📨 Sending ${initialMessages.length} initial message(s) notification`);
-                        this.onNewMessage(chat, initialMessages.length, initialMessages, productName);
+                    if (allMessages && allMessages.length > 0) {
+                        // Sort by ID to ensure we get the latest
+                        allMessages.sort((a, b) => a.id - b.id);
+                        initialMessages = allMessages;
+                        latestMessageId = allMessages[allMessages.length - 1].id;
+                        this.recordLastSpeaker(chat, allMessages);
                         
-                        // Initialize with latest message ID
-                        this.lastMessageIds.set(chat.id_i, latestMessageId);
+                        this.logger.log(`   ✅ Found ${allMessages.length} initial message(s), latest ID: ${latestMessageId}`);
                     } else {
-                        // Initialize with 0 (no messages yet)
-                        this.lastMessageIds.set(chat.id_i, 0);
+                        this.logger.log(`   📭 No messages in new chat yet`);
                     }
+                } catch (error) {
+                    this.logger.error(`   ❌ Error fetching messages for new chat ${chat.id_i}:`, error.message);
+                }
+                
+                // Send new chat notification
+                await this.emit('onNewChat', chat, productName);
+                
+                // If there are initial messages, also send message notification
+                if (initialMessages.length > 0) {
+                    this.logger.log(`   📨 Sending ${initialMessages.length} initial message(s) notification`);
+                    await this.emit('onNewMessage', chat, initialMessages.length, initialMessages, productName, { firstMessageInChat: true });
+                    
+                    // Initialize with latest message ID
+                    this.lastMessageIds.set(chat.id_i, latestMessageId);
+                } else {
+                    // Initialize with 0 (no messages yet)
+                    this.lastMessageIds.set(chat.id_i, 0);
                 }
             }
+        }
 
-            // Check for new messages in chats
-            let chatsChecked = 0;
-            let chatsInitialized = 0;
-            let newMessagesFound = 0;
-            
-            this.logger.log(`\n💬 Checking ${chats.length} chats with potential unread messages...`);
+        // Check for new messages in chats
+        let chatsChecked = 0;
+        let chatsInitialized = 0;
+        let newMessagesFound = 0;
+        
+        this.logger.log(`\n💬 Checking ${chats.length} chats with potential unread messages...`);
+        
+        // Chats whose message count and last message date are the same as when we last fetched them have nothing new
+        const changedChats = chats.filter(chat => !this.isChatUnchanged(chat));
+        const chatsSkipped = chats.length - changedChats.length;
+
+        // Fetch several chats at a time - the results are handled one by one, in list order
+        const fetched = await mapLimit(changedChats, this.fetchConcurrency, async (chat) => {
+            try {
+                return await this.fetchNewMessages(chat.id_i);
+            } catch (error) {
+                return { error: error };
+            }
+        });
+
+        for (const [index, chat] of changedChats.entries()) {
+            const chatId = chat.id_i;
+            chatsChecked++;
             
-            for (const chat of chats) {
-                const chatId = chat.id_i;
-                chatsChecked++;
+            try {
+                // Messages after our cursor (every message when the chat has none yet)
+                const { messages: allMessages, complete, error } = fetched[index];
+                if (error) throw error;
+                if (complete) {
+                    this.chatVersions.set(chatId, chatVersion(chat));
+                } else {
+                    // More messages are waiting - fetch the chat again next poll even if the list doesn't change
+                    this.chatVersions.delete(chatId);
+                    this.logger.log(`   ⏩ Chat ${chatId} has more than ${MAX_MESSAGE_PAGES} pages of new messages - continuing next poll`);
+                }
                 
-                try {
-                    // Fetch ALL messages for this chat (up to 200)
-                    const allMessages = await this.fetchMessages(token, chatId, 200);
-                    
-                    if (!allMessages || allMessages.length === 0) {
-                        // No messages in this chat
-                        continue;
-                    }
-                    
-                    // Sort messages by ID (ascending) to get latest
-                    allMessages.sort((a, b) => a.id - b.id);
-                    
-                    // Get the highest message ID
-                    const latestMessageId = allMessages[allMessages.length - 1].id;
-                    const lastKnownMessageId = this.lastMessageIds.get(chatId);
-                    
-                    if (lastKnownMessageId === undefined) {
-                        // First time seeing this chat - initialize
-                        this.lastMessageIds.set(chatId, latestMessageId);
-                        chatsInitialized++;
-                        this.logger.log(`   📝 Initialized chat ${chatId} with message ID ${latestMessageId}`);
-                        continue; // Don't notify on initial load
-                    }
-                    
-                    // Check if there are new messages
-                    if (latestMessageId > lastKnownMessageId) {
-                        // Find new messages (IDs greater than last known)
-                        const newMessages = allMessages.filter(msg => msg.id > lastKnownMessageId);
-                        
-                        if (newMessages.length > 0) {
+                if (!allMessages || allMessages.length === 0) {
+                    // No messages in this chat
+                    continue;
+                }
+                
+                // Sort messages by ID (ascending) to get latest
+                allMessages.sort((a, b) => a.id - b.id);
+                this.recordLastSpeaker(chat, allMessages);
+                
+                // Get the highest message ID
+                const latestMessageId = allMessages[allMessages.length - 1].id;
+                const lastKnownMessageId = this.lastMessageIds.get(chatId);
+                
+                if (lastKnownMessageId === undefined) {
+                    // Catching up after a restart - report messages written while we were down
+                    if (this.catchUpSince) {
+                        const missedMessages = allMessages.filter(msg => new Date(msg.date_written).getTime() > this.catchUpSince);
+                        if (missedMessages.length > 0) {
                             newMessagesFound++;
-                            
-                            this.logger.log(`\n📨 Detected ${newMessages.length} new message(s) in chat ${chatId}`);
-                            this.logger.log(`   Last known ID: ${lastKnownMessageId}, Latest ID: ${latestMessageId}`);
-                            
-                            // Get product name
+                            this.logger.log(`\n📨 Found ${missedMessages.length} message(s) sent while offline in chat ${chatId}`);
+
                             let productName = null;
                             try {
-                                productName = await this.fetchProduct(token, chat.product);
+                                productName = await this.fetchProduct(chat.product);
                             } catch (error) {
                                 this.logger.error(`Could not fetch product name for ${chat.product}`);
                             }
-                            
-                            // Get buyer email
-                            const buyerEmail = await this.getChatBuyerEmail(token, chatId);
-                            chat.email = buyerEmail;
-                            
-                            // Update chat message count if available
-                            if (chat.cnt_msg) {
-                                chat.cnt_msg = allMessages.length;
-                            }
-                            
-                            // Notify about new messages
-                            this.onNewMessage(chat, newMessages.length, newMessages, productName);
-                            
-                            // Update last known message ID
+
+                            chat.email = await this.getChatBuyerEmail(chatId);
+                            await this.emit('onNewMessage', chat, missedMessages.length, missedMessages, productName, { firstMessageInChat: false });
                             this.lastMessageIds.set(chatId, latestMessageId);
+                            continue;
                         }
                     }
+
+                    // First time seeing this chat - initialize
+                    this.lastMessageIds.set(chatId, latestMessageId);
+                    chatsInitialized++;
+                    this.logger.log(`   📝 Initialized chat ${chatId} with message ID ${latestMessageId}`);
+                    continue; // Don't notify on initial load
+                }
+                
+                // Check if there are new messages
+                if (latestMessageId > lastKnownMessageId) {
+                    // Find new messages (IDs greater than last known)
+                    const newMessages = allMessages.filter(msg => msg.id > lastKnownMessageId);
                     
-                } catch (error) {
-                    this.logger.error(`Error checking messages for chat ${chatId}:`, error.message);
+                    if (newMessages.length > 0) {
+                        newMessagesFound++;
+                        
+                        this.logger.log(`\n📨 Detected ${newMessages.length} new message(s) in chat ${chatId}`);
+                        this.logger.log(`   Last known ID: ${lastKnownMessageId}, Latest ID: ${latestMessageId}`);
+                        
+                        // Get product name
+                        let productName = null;
+                        try {
+                            productName = await this.fetchProduct(chat.product);
+                        } catch (error) {
+                            this.logger.error(`Could not fetch product name for ${chat.product}`);
+                        }
+                        
+                        // Get buyer email
+                        const buyerEmail = await this.getChatBuyerEmail(chatId);
+                        chat.email = buyerEmail;
+                        
+                        // Notify about new messages (a cursor of 0 means the chat had no messages before)
+                        await this.emit('onNewMessage', chat, newMessages.length, newMessages, productName, { firstMessageInChat: lastKnownMessageId === 0 });
+                        
+                        // Update last known message ID
+                        this.lastMessageIds.set(chatId, latestMessageId);
+                    }
                 }
+                
+            } catch (error) {
+                this.logger.error(`Error checking messages for chat ${chatId}:`, error.message);
             }
-            
-            this.logger.log(`\n   Summary: Checked ${chatsChecked} chats, Initialized ${chatsInitialized}, Found new messages in ${newMessagesFound} chats`);
+        }
+        
+        this.logger.log(`\n   Summary: Checked ${chatsChecked} chats (${chatsSkipped} unchanged), Initialized ${chatsInitialized}, Found new messages in ${newMessagesFound} chats`);
+        this.pollMetrics.lastChatsFetched = chatsChecked;
+        this.pollMetrics.lastChatsSkipped = chatsSkipped;
+        if (newMessagesFound > 0) {
+            this.scheduler.recordActivity();
+        }
 
+        // Remind about buyers still waiting for an answer
+        await this.checkAwaitingReply(new Set(chats.map(chat => chat.id_i)));
 
-            // Update chat count
-            this.lastChatCount = currentChatCount;
+        // Update chat count
+        this.lastChatCount = currentChatCount;
+    }
 
-        } catch (error) {
-            this.logger.error('Polling error:', error.message);
+    recordPollMetrics(duration, apiCalls) {
+        this.pollMetrics.polls++;
+        this.pollMetrics.totalDuration += duration;
+        this.pollMetrics.lastDuration = duration;
+        this.pollMetrics.lastApiCalls = apiCalls;
+        this.logger.log(`⏱️  Poll took ${duration}ms with ${apiCalls} API call(s)`);
+    }
+
+    // Remember who wrote the latest message of a chat (messages sorted by ID)
+    // The time is when we first saw that message, so GGSel's date format and timezone don't matter
+    recordLastSpeaker(chat, messages) {
+        const latest = messages[messages.length - 1];
+        if (!latest) return;
+
+        const saved = this.lastSpeakers.get(chat.id_i);
+        if (saved && latest.id <= saved.messageId) return;
+
+        this.setLastSpeaker(chat.id_i, { buyer: Boolean(latest.buyer), messageId: latest.id, productId: chat.product, at: Date.now() });
+    }
+
+    // We answered a chat (from Telegram or an auto-reply) - the buyer is no longer waiting
+    recordSellerReply(chatId) {
+        const saved = this.lastSpeakers.get(chatId);
+        this.setLastSpeaker(chatId, { buyer: false, messageId: saved ? saved.messageId : 0, productId: saved ? saved.productId : null, at: Date.now() });
+    }
+
+    setLastSpeaker(chatId, speaker) {
+        // Re-insert so the least recently active chats are dropped first
+        this.lastSpeakers.delete(chatId);
+        this.lastSpeakers.set(chatId, speaker);
+        while (this.lastSpeakers.size > this.maxTrackedSpeakers) {
+            this.lastSpeakers.delete(this.lastSpeakers.keys().next().value);
         }
+    }
 
-        // Mark as initialized after first poll completes (prevents false alerts on startup)
-        if (!this.isInitialized) {
-            this.isInitialized = true;
-            this.logger.log('✅ First poll complete - now detecting new orders\n');
+    // Chats where the buyer wrote last, at least `minutes` ago - longest waiting first
+    // Returns [{ chatId, productId, productName, since }]
+    getAwaitingReply(minutes = 0, now = Date.now()) {
+        const waiting = [];
+        for (const [chatId, speaker] of this.lastSpeakers) {
+            if (!speaker.buyer || now - speaker.at < minutes * 60000) continue;
+            waiting.push({
+                chatId: chatId,
+                productId: speaker.productId,
+                productName: this.productCache.get(speaker.productId) || null,
+                since: speaker.at
+            });
+        }
+        return waiting.sort((a, b) => a.since - b.since);
+    }
+
+    // Every awaitingReplyInterval, call onAwaitingReply with the chats waiting over awaitingReplyMinutes
+    // listedChatIds: chats in this poll's unread list - the others may have been answered in the seller panel,
+    // so their latest messages are fetched again before reminding
+    async checkAwaitingReply(listedChatIds) {
+        if (!this.awaitingReplyMinutes || !this.onAwaitingReply) return;
+
+        const now = Date.now();
+        if (now - this.lastAwaitingReplyCheck < this.awaitingReplyInterval) return;
+        this.lastAwaitingReplyCheck = now;
+
+        for (const { chatId, productId } of this.getAwaitingReply(this.awaitingReplyMinutes, now)) {
+            if (listedChatIds.has(chatId)) continue;
+            try {
+                const { messages } = await this.fetchNewMessages(chatId);
+                if (messages && messages.length > 0) {
+                    messages.sort((a, b) => a.id - b.id);
+                    this.recordLastSpeaker({ id_i: chatId, product: productId }, messages);
+                }
+            } catch (error) {
+                this.logger.error(`Could not check whether chat ${chatId} was answered:`, error.message);
+            }
         }
 
-        // Schedule next poll
-        if (this.isRunning) {
-            setTimeout(() => this.poll(), this.pollingInterval);
+        const waiting = this.getAwaitingReply(this.awaitingReplyMinutes, now);
+        if (waiting.length > 0) {
+            this.logger.log(`\n⏳ ${waiting.length} chat(s) waiting for a reply over ${this.awaitingReplyMinutes} min`);
+            await this.emit('onAwaitingReply', waiting);
         }
     }
 
@@ -592,40 +798,52 @@ class GGSelChatMonitor {
         }
 
         this.logger.log('🚀 Starting GGSel Chat Monitor (Complete Edition)...');
-        this.logger.log(`📊 Polling interval: ${this.pollingInterval}ms (${this.pollingInterval / 1000}s)`);
+        this.logger.log(`📊 Polling interval: orders ${this.scheduler.intervals.orders / 1000}s, chats ${this.scheduler.intervals.chats / 1000}s (adapts to activity and failures)`);
         this.logger.log('');
         
         this.isRunning = true;
+
+        // Restore saved state - if we have cursors, catch up instead of re-baselining
+        await this.loadState();
         
         // Initial load - just record counts without notifications
         try {
-            const token = await getToken();
-            
-            // Initialize last sale
-            const salesResponse = await this.fetchLastSales(token, 1);
-            if (salesResponse.retval === 0 && salesResponse.sales && salesResponse.sales.length > 0) {
-                this.lastSaleInvoiceId = salesResponse.sales[0].invoice_id;
-                this.logger.log(`✅ Initialized with last sale: Invoice ${this.lastSaleInvoiceId}`);
+            // Initialize last sale (keep the existing cursor when restored or resumed)
+            if (this.lastSaleInvoiceId === null) {
+                const salesResponse = await this.fetchLastSales(1);
+                if (salesResponse.sales && salesResponse.sales.length > 0) {
+                    this.lastSaleInvoiceId = salesResponse.sales[0].invoice_id;
+                    this.logger.log(`✅ Initialized with last sale: Invoice ${this.lastSaleInvoiceId}`);
+                }
             }
             
             // Initialize chats
-            const chatsResponse = await this.fetchChats(token);
+            const chatsResponse = await this.fetchChats();
             const chats = chatsResponse.items || [];
 
             this.lastChatCount = chats.length;
             
+            // Existing chats are not new - unless we restored state, in which case
+            // chats missing from the saved set appeared while we were down
+            const baselineChats = !this.chatsBaselined;
+            
             // Initialize message counts for all chats and cache product names
             for (const chat of chats) {
                 this.lastMessageCounts.set(chat.id_i, chat.cnt_msg || 0);
+                if (baselineChats) {
+                    this.knownChatIds.add(chat.id_i);
+                }
                 
                 // Preload product names
                 try {
-                    await this.fetchProduct(token, chat.product);
+                    await this.fetchProduct(chat.product);
                 } catch (error) {
                     // Ignore errors during preload
                 }
             }
 
+            this.chatsBaselined = true;
+
             this.logger.log(`✅ Initialized with ${this.lastChatCount} existing chats`);
             this.logger.log(`✅ Cached ${this.productCache.size} product names`);
             this.logger.log(`✅ Tracking from invoice: ${this.lastSaleInvoiceId}`);
@@ -635,7 +853,72 @@ class GGSelChatMonitor {
         }
 
         // Start polling - isInitialized will be set after first poll
-        this.poll();
+        await this.poll();
+    }
+
+    // Build a plain object snapshot of everything needed to resume after a restart
+    serializeState() {
+        return {
+            version: 1,
+            savedAt: Date.now(),
+            lastSaleInvoiceId: this.lastSaleInvoiceId,
+            lastChatCount: this.lastChatCount,
+            knownChatIds: Array.from(this.knownChatIds),
+            lastMessageCounts: Array.from(this.lastMessageCounts.entries()),
+            lastMessageIds: Array.from(this.lastMessageIds.entries()),
+            lastSpeakers: Array.from(this.lastSpeakers.entries()),
+            productCache: Array.from(this.productCache.entries()),
+            invoiceCache: Array.from(this.invoiceCache.entries())
+        };
+    }
+
+    // Apply a snapshot created by serializeState()
+    restoreState(state) {
+        this.lastSaleInvoiceId = state.lastSaleInvoiceId !== undefined ? state.lastSaleInvoiceId : null;
+        this.lastChatCount = state.lastChatCount || 0;
+        this.lastMessageCounts = new Map(state.lastMessageCounts || []);
+        this.lastMessageIds = new Map(state.lastMessageIds || []);
+        this.lastSpeakers = new Map(state.lastSpeakers || []);
+        // Older state files have no knownChatIds - fall back to the chats we tracked messages for
+        this.knownChatIds = new Set(state.knownChatIds || Array.from(this.lastMessageIds.keys()));
+        this.chatsBaselined = true;
+        this.productCache = new Map(state.productCache || []);
+        this.invoiceCache = new Map(state.invoiceCache || []);
+        this.catchUpSince = state.savedAt || null;
+
+        // Cursors are already set, so the first poll should alert on anything newer
+        this.isInitialized = true;
+    }
+
+    // Load state from the store (returns true if state was restored)
+    async loadState() {
+        if (!this.stateStore) return false;
+
+        try {
+            const state = await this.stateStore.load();
+            if (!state) {
+                this.logger.log('📂 No saved state found - starting fresh');
+                return false;
+            }
+
+            this.restoreState(state);
+            this.logger.log(`📂 Restored state from ${new Date(state.savedAt).toISOString()} (last invoice: ${this.lastSaleInvoiceId}, tracked chats: ${this.lastMessageIds.size})`);
+            return true;
+        } catch (error) {
+            this.logger.error('❌ Failed to load saved state:', error.message);
+            return false;
+        }
+    }
+
+    // Save state to the store
+    async saveState() {
+        if (!this.stateStore) return;
+
+        try {
+            await this.stateStore.save(this.serializeState());
+        } catch (error) {
+            this.logger.error('❌ Failed to save state:', error.message);
+        }
     }
 
     // Stop monitoring
@@ -647,22 +930,60 @@ class GGSelChatMonitor {
 
         this.logger.log('\n🛑 Stopping GGSel Chat Monitor...');
         this.isRunning = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
     }
 
     // Get statistics
     getStats() {
         return {
+            name: this.name,
             isRunning: this.isRunning,
             totalChats: this.lastChatCount,
+            knownChats: this.knownChatIds.size,
             trackedChats: this.lastMessageCounts.size,
+            awaitingReply: this.getAwaitingReply().length,
             cachedProducts: this.productCache.size,
             cachedInvoices: this.invoiceCache.size,
             lastSaleInvoiceId: this.lastSaleInvoiceId,
-            pollingInterval: this.pollingInterval
+            pollingInterval: this.pollingInterval,
+            pollMode: this.scheduler.mode(),
+            nextPollIn: { orders: this.scheduler.nextDelay('orders'), chats: this.scheduler.nextDelay('chats') }, // ms after each check runs
+            consecutiveFailures: this.scheduler.failures,
+            lastPollAt: this.lastPollAt,
+            lastPollError: this.lastPollError,
+            polls: this.pollMetrics.polls,
+            lastPollDuration: this.pollMetrics.lastDuration,
+            totalPollDuration: this.pollMetrics.totalDuration,
+            averagePollDuration: this.pollMetrics.polls > 0 ? Math.round(this.pollMetrics.totalDuration / this.pollMetrics.polls) : null,
+            lastPollApiCalls: this.pollMetrics.lastApiCalls,
+            lastPollChatsFetched: this.pollMetrics.lastChatsFetched,
+            lastPollChatsSkipped: this.pollMetrics.lastChatsSkipped,
+            apiCalls: this.client.getApiStats(),
+            tokenRefreshes: this.client.auth.tokenRefreshes || 0 // Logins of this account (GGSelAuth)
         };
     }
 }
 
+// What the chat list tells us about a chat's messages
+function chatVersion(chat) {
+    return `${chat.cnt_msg}|${chat.last_message}`;
+}
+
+// Run fn over items with at most `limit` calls at a time - results are in item order
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
 // Export the class
 module.exports = GGSelChatMonitor;
 
@@ -0,0 +1,252 @@
+const httpClient = require('./HttpClient');
+
+const DEFAULT_RETRIES = 2; // Retries after the first attempt
+const DEFAULT_RETRY_DELAY = 1000; // First backoff step, doubled on every retry
+const MAX_RETRY_DELAY = 30000;
+// Network errors worth another try - anything else (bad URL, TLS problems...) fails straight away
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ERR_REQUEST_TIMEOUT'];
+// Errors where the request never reached GGSel - the only ones a non-idempotent request (e.g. sending a
+// chat message) is retried on, since after a timeout or a reset it may already have gone through
+const NOT_SENT_CODES = ['ECONNREFUSED', 'EAI_AGAIN'];
+
+// Base class of every error the client throws
+// endpoint: the API path that failed, e.g. "/debates/v2/chats"
+class GGSelError extends Error {
+    constructor(message, endpoint = null) {
+        super(message);
+        this.name = this.constructor.name;
+        this.endpoint = endpoint;
+    }
+}
+
+// The request never got an HTTP response (timeout, connection refused...)
+class GGSelNetworkError extends GGSelError {
+    constructor(error, endpoint) {
+        super(`Request error: ${error.message}`, endpoint);
+        this.code = error.code || null;
+        this.cause = error;
+    }
+}
+
+// Non-2xx HTTP response (the response body is kept in `body`)
+class GGSelHttpError extends GGSelError {
+    constructor(statusCode, body, endpoint) {
+        super(`HTTP ${statusCode}`, endpoint);
+        this.statusCode = statusCode;
+        this.body = body;
+    }
+}
+
+// HTTP 200 with a non-zero retval in the body
+class GGSelApiError extends GGSelError {
+    constructor(body, endpoint) {
+        super(`API Error: ${body.retdesc || `retval ${body.retval}`}`, endpoint);
+        this.retval = body.retval;
+        this.retdesc = body.retdesc || null;
+        this.body = body;
+    }
+}
+
+// The token (or the login itself) was rejected
+class GGSelAuthError extends GGSelHttpError {}
+
+function isRetryable(error, idempotent = true) {
+    if (error instanceof GGSelNetworkError) return (idempotent ? RETRYABLE_CODES : NOT_SENT_CODES).includes(error.code);
+    if (error instanceof GGSelAuthError) return false;
+    // 429 means the request was turned away; a 5xx may come after it was handled
+    if (error instanceof GGSelHttpError) return error.statusCode === 429 || (idempotent && error.statusCode >= 500);
+    return false;
+}
+
+// Exponential backoff with jitter: a random delay between half and all of retryDelay * 2^(attempt - 1)
+function backoffDelay(attempt, retryDelay) {
+    const delay = Math.min(MAX_RETRY_DELAY, retryDelay * Math.pow(2, attempt - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+// Send one request (axios config for the shared HttpClient) and resolve with the response body
+// Rejects with a GGSelNetworkError, GGSelHttpError, GGSelAuthError or GGSelApiError
+async function send(options, endpoint) {
+    let response;
+    try {
+        // Status codes are checked below, so every response resolves
+        response = await httpClient.request({ ...options, validateStatus: () => true });
+    } catch (error) {
+        throw new GGSelNetworkError(error, endpoint);
+    }
+
+    const body = response.data;
+    if (response.status === 401 || response.status === 403) {
+        throw new GGSelAuthError(response.status, body, endpoint);
+    }
+    if (response.status < 200 || response.status >= 300) {
+        throw new GGSelHttpError(response.status, body, endpoint);
+    }
+    if (body && body.retval !== undefined && body.retval !== 0) {
+        throw new GGSelApiError(body, endpoint);
+    }
+    return body;
+}
+
+// send() with retries on network errors, HTTP 429 and 5xx
+// settings: { endpoint, retries (GGSEL_RETRIES), retryDelay (GGSEL_RETRY_DELAY, ms), logger,
+//             idempotent - safe to send twice (default: GET only); otherwise only errors where nothing reached
+//                          the server and HTTP 429 are retried,
+//             onAttempt(error) - called after every request sent, error is null when it succeeded }
+async function requestWithRetry(options, settings = {}) {
+    const retries = numberOption(settings.retries, process.env.GGSEL_RETRIES, DEFAULT_RETRIES);
+    const retryDelay = numberOption(settings.retryDelay, process.env.GGSEL_RETRY_DELAY, DEFAULT_RETRY_DELAY);
+    const idempotent = settings.idempotent !== undefined ? settings.idempotent : (options.method || 'GET').toUpperCase() === 'GET';
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const body = await send(options, settings.endpoint || null);
+            if (settings.onAttempt) settings.onAttempt(null);
+            return body;
+        } catch (error) {
+            if (settings.onAttempt) settings.onAttempt(error);
+            if (attempt > retries || !isRetryable(error, idempotent)) throw error;
+
+            const delay = backoffDelay(attempt, retryDelay);
+            if (settings.logger) {
+                settings.logger.warn(`⚠️  GGSel ${settings.endpoint || 'request'} failed (attempt ${attempt}/${retries + 1}), retrying in ${delay}ms: ${error.message}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+// Client for the GGSel seller API - one method per endpoint
+//
+// Every call gets its token from `auth` ({ getToken(), clearTokenCache() }, e.g. a GGSelAuth). When the
+// token is rejected the cache is cleared and the call is repeated once with a fresh token.
+// options: { auth, apiBaseUrl, sellerId, retries (GGSEL_RETRIES), retryDelay (GGSEL_RETRY_DELAY, ms),
+//            timeout, logger }
+class GGSelClient {
+    constructor(options = {}) {
+        if (!options.auth) {
+            throw new Error('GGSelClient needs an auth provider');
+        }
+        this.auth = options.auth;
+        this.apiBaseUrl = options.apiBaseUrl;
+        this.sellerId = options.sellerId || null;
+        this.retries = options.retries; // Unset: GGSEL_RETRIES or the default
+        this.retryDelay = options.retryDelay;
+        this.timeout = options.timeout; // ms - unset uses the HttpClient default (HTTP_TIMEOUT)
+        this.logger = options.logger || {
+            log: () => {},
+            error: (...args) => console.error(...args),
+            warn: () => {},
+            info: () => {}
+        };
+        this.apiCalls = new Map(); // "GET /debates/v2" -> { calls, errors } - every request sent, retries included
+    }
+
+    // Authenticated request to `endpoint` (path below the API base URL)
+    // options: { method, query, headers, data, bearer } - bearer also sends the token as an Authorization header
+    async call(endpoint, options = {}) {
+        // A failed login is thrown as it is - logging in again right away would not help
+        const token = await this.auth.getToken();
+        try {
+            return await this.callWithToken(token, endpoint, options);
+        } catch (error) {
+            if (!(error instanceof GGSelAuthError)) throw error;
+
+            this.logger.warn(`⚠️  GGSel rejected the token for ${endpoint} - logging in again`);
+            if (this.auth.clearTokenCache) this.auth.clearTokenCache();
+            return this.callWithToken(await this.auth.getToken(), endpoint, options);
+        }
+    }
+
+    callWithToken(token, endpoint, options) {
+        const query = new URLSearchParams({ token: token, ...(options.query || {}) });
+        const counts = this.countsFor(options.method || 'GET', endpoint);
+        const onAttempt = (error) => {
+            counts.calls++;
+            if (error) counts.errors++;
+        };
+        return requestWithRetry({
+            url: `${this.apiBaseUrl}${endpoint}?${query}`,
+            method: options.method || 'GET',
+            headers: { 'Accept': 'application/json', ...(options.bearer ? { 'Authorization': `Bearer ${token}` } : {}), ...(options.headers || {}) },
+            data: options.data,
+            timeout: this.timeout
+        }, { endpoint: endpoint, retries: this.retries, retryDelay: this.retryDelay, logger: this.logger, onAttempt: onAttempt });
+    }
+
+    // Call counters of an endpoint - IDs in the path are replaced so e.g. every product shares one counter
+    countsFor(method, endpoint) {
+        const key = `${method} ${endpoint.replace(/\/\d+(?=\/|$)/g, '/:id')}`;
+        if (!this.apiCalls.has(key)) {
+            this.apiCalls.set(key, { calls: 0, errors: 0 });
+        }
+        return this.apiCalls.get(key);
+    }
+
+    // Requests sent so far: { total, errors, endpoints: { "GET /debates/v2": { calls, errors } } }
+    getApiStats() {
+        const stats = { total: 0, errors: 0, endpoints: {} };
+        for (const [key, counts] of this.apiCalls) {
+            stats.total += counts.calls;
+            stats.errors += counts.errors;
+            stats.endpoints[key] = { ...counts };
+        }
+        return stats;
+    }
+
+    // Latest sales: { retval, sales: [...] }
+    fetchLastSales(top = 10) {
+        const sellerId = this.sellerId || process.env.GGSEL_SELLER_ID;
+        return this.call('/seller-last-sales', { query: { seller_id: sellerId, top: top }, headers: { 'locale': 'en' } });
+    }
+
+    // Purchase details of an invoice (buyer_info, amount, currency_type...)
+    async fetchPurchaseInfo(invoiceId) {
+        const body = await this.call(`/purchase/info/${invoiceId}`, { headers: { 'locale': 'en' } });
+        return body.content;
+    }
+
+    // Product details: { id, name, ... }
+    async fetchProduct(productId) {
+        const body = await this.call(`/products/${productId}/data`);
+        return body.product || null;
+    }
+
+    // Chats with unread messages: { items: [...] } - this endpoint wants the token as a Bearer header too
+    fetchChats() {
+        return this.call('/debates/v2/chats', { query: { filter_new: 1, pagesize: 200 }, bearer: true });
+    }
+
+    // Messages of a chat (id_i) - the latest `count`, or with idFrom the first `count` after that message ID
+    async fetchMessages(chatId, count = 10, idFrom = null) {
+        const query = { id_i: chatId, count: count, newer: 1 };
+        if (idFrom) query.id_from = idFrom;
+        const body = await this.call('/debates/v2', { query: query });
+        return body || [];
+    }
+
+    // Send a message to a buyer chat (id_i)
+    sendMessage(chatId, text) {
+        return this.call('/debates/v2', {
+            method: 'POST',
+            query: { id_i: chatId },
+            headers: { 'Content-Type': 'application/json' },
+            data: { message: text }
+        });
+    }
+}
+
+// Explicit option, then environment variable, then default (0 is a valid value)
+function numberOption(value, envValue, defaultValue) {
+    if (value !== undefined && value !== null) return value;
+    if (envValue !== undefined && envValue !== '' && !Number.isNaN(Number(envValue))) return Number(envValue);
+    return defaultValue;
+}
+
+module.exports = GGSelClient;
+module.exports.GGSelError = GGSelError;
+module.exports.GGSelNetworkError = GGSelNetworkError;
+module.exports.GGSelHttpError = GGSelHttpError;
+module.exports.GGSelApiError = GGSelApiError;
+module.exports.GGSelAuthError = GGSelAuthError;
+module.exports.requestWithRetry = requestWithRetry;
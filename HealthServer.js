@@ -0,0 +1,182 @@
+const http = require('http');
+const { URL } = require('url');
+
+const DEFAULT_READY_WINDOW = 5 * 60000;
+
+// Health checks and Prometheus metrics for running the monitor under a supervisor
+//
+//   GET /healthz   Liveness - 200 while the process answers
+//   GET /readyz    Readiness - 200 when the last poll of every running shop succeeded within readyWindow, 503 otherwise
+//   GET /metrics   Prometheus text format: polls, API calls and errors, token refreshes, notifications, chats, caches
+//
+// accounts: [{ name, monitor }] - one entry per monitored seller account
+// notifiers: NotifierRegistry whose deliveries are counted (optional)
+class HealthServer {
+    constructor(options = {}) {
+        this.port = options.port !== undefined ? options.port : 9090;
+        this.host = options.host || '127.0.0.1';
+        this.accounts = options.accounts || [];
+        this.notifiers = options.notifiers || null;
+        this.readyWindow = options.readyWindow || DEFAULT_READY_WINDOW; // ms
+        this.startedAt = Date.now();
+        this.server = null;
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => this.debugMode && console.info(...args)
+        };
+    }
+
+    // Start the HTTP server (resolves once it is listening)
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        this.port = this.server.address().port;
+        this.logger.log(`🩺 Health checks listening on http://${this.host}:${this.port}/`);
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (req.method !== 'GET') {
+            return this.sendJson(res, 405, { error: 'Method not allowed' });
+        }
+
+        try {
+            if (url.pathname === '/healthz') {
+                return this.sendJson(res, 200, { status: 'ok', uptime: Math.round((Date.now() - this.startedAt) / 1000) });
+            }
+            if (url.pathname === '/readyz') {
+                const readiness = this.readiness();
+                return this.sendJson(res, readiness.status === 'ready' ? 200 : 503, readiness);
+            }
+            if (url.pathname === '/metrics') {
+                return this.send(res, 200, 'text/plain; version=0.0.4; charset=utf-8', this.metrics());
+            }
+
+            this.sendJson(res, 404, { error: 'Not found' });
+        } catch (error) {
+            this.logger.error(`❌ Health request ${url.pathname} failed:`, error.message);
+            this.sendJson(res, 500, { error: error.message });
+        }
+    }
+
+    // Every running shop must have finished a successful poll within readyWindow (paused shops are left out)
+    readiness(now = Date.now()) {
+        const accounts = this.accounts.map(({ name, monitor }) => {
+            const stats = monitor.getStats();
+            const ready = !stats.isRunning || (stats.lastPollAt !== null && stats.lastPollError === null && now - stats.lastPollAt <= this.readyWindow);
+            return {
+                name: name,
+                running: stats.isRunning,
+                ready: ready,
+                lastPollAt: stats.lastPollAt,
+                lastPollError: stats.lastPollError
+            };
+        });
+        const ready = accounts.length > 0 && accounts.every(account => account.ready);
+        return { status: ready ? 'ready' : 'not ready', accounts: accounts };
+    }
+
+    // Prometheus text exposition of every account's getStats() and the notification counters
+    metrics() {
+        const metrics = new MetricSet();
+        metrics.add('ggsel_uptime_seconds', 'gauge', 'Seconds since the monitor started', {}, (Date.now() - this.startedAt) / 1000);
+
+        for (const { name, monitor } of this.accounts) {
+            const stats = monitor.getStats();
+            const shop = name ? { shop: name } : {};
+
+            metrics.add('ggsel_monitor_running', 'gauge', 'Whether the shop is being polled (0 while paused)', shop, stats.isRunning ? 1 : 0);
+            metrics.add('ggsel_polls_total', 'counter', 'Polls run', shop, stats.polls);
+            metrics.add('ggsel_poll_duration_seconds_total', 'counter', 'Time spent polling', shop, stats.totalPollDuration / 1000);
+            metrics.add('ggsel_last_poll_duration_seconds', 'gauge', 'Duration of the last poll', shop, stats.lastPollDuration !== null ? stats.lastPollDuration / 1000 : null);
+            metrics.add('ggsel_last_poll_timestamp_seconds', 'gauge', 'When the last poll finished (Unix time)', shop, stats.lastPollAt !== null ? stats.lastPollAt / 1000 : null);
+            metrics.add('ggsel_last_poll_success', 'gauge', 'Whether the last poll succeeded', shop, stats.lastPollAt !== null ? (stats.lastPollError === null ? 1 : 0) : null);
+            metrics.add('ggsel_poll_consecutive_failures', 'gauge', 'Failed polls in a row', shop, stats.consecutiveFailures);
+
+            for (const [endpoint, counts] of Object.entries(stats.apiCalls.endpoints)) {
+                metrics.add('ggsel_api_requests_total', 'counter', 'GGSel API requests sent (retries included)', { ...shop, endpoint: endpoint }, counts.calls);
+                metrics.add('ggsel_api_errors_total', 'counter', 'GGSel API requests that failed', { ...shop, endpoint: endpoint }, counts.errors);
+            }
+            metrics.add('ggsel_token_refreshes_total', 'counter', 'GGSel logins (new tokens obtained)', shop, stats.tokenRefreshes);
+
+            metrics.add('ggsel_unread_chats', 'gauge', 'Chats with unread messages in the last poll', shop, stats.totalChats);
+            metrics.add('ggsel_known_chats', 'gauge', 'Chats seen since the first start', shop, stats.knownChats);
+            metrics.add('ggsel_tracked_chats', 'gauge', 'Chats being tracked', shop, stats.trackedChats);
+            metrics.add('ggsel_awaiting_reply_chats', 'gauge', 'Chats where the buyer is waiting for an answer', shop, stats.awaitingReply);
+            metrics.add('ggsel_cache_entries', 'gauge', 'Entries in the monitor caches', { ...shop, cache: 'products' }, stats.cachedProducts);
+            metrics.add('ggsel_cache_entries', 'gauge', 'Entries in the monitor caches', { ...shop, cache: 'invoices' }, stats.cachedInvoices);
+        }
+
+        if (this.notifiers) {
+            for (const [channel, counts] of Object.entries(this.notifiers.getDeliveryStats())) {
+                metrics.add('ggsel_notifications_sent_total', 'counter', 'Notifications delivered per channel', { channel: channel }, counts.sent);
+                metrics.add('ggsel_notifications_failed_total', 'counter', 'Notifications that failed per channel', { channel: channel }, counts.failed);
+            }
+            const telegram = this.notifiers.get('telegram');
+            if (telegram && telegram.queue) {
+                metrics.add('ggsel_telegram_queue_depth', 'gauge', 'Telegram API calls waiting in the outgoing queue', {}, telegram.queue.getDepth());
+            }
+        }
+
+        return metrics.toString();
+    }
+
+    sendJson(res, status, body) {
+        this.send(res, status, 'application/json; charset=utf-8', JSON.stringify(body));
+    }
+
+    send(res, status, contentType, body) {
+        res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+        res.end(body);
+    }
+}
+
+// Samples grouped by metric name, so each HELP / TYPE header is written once
+class MetricSet {
+    constructor() {
+        this.metrics = new Map(); // name -> { type, help, samples: [line] }
+    }
+
+    // A null or undefined value (nothing measured yet) leaves the sample out
+    add(name, type, help, labels, value) {
+        if (!this.metrics.has(name)) {
+            this.metrics.set(name, { type: type, help: help, samples: [] });
+        }
+        if (value === null || value === undefined) return;
+        this.metrics.get(name).samples.push(`${name}${formatLabels(labels)} ${Number(value)}`);
+    }
+
+    toString() {
+        const lines = [];
+        for (const [name, metric] of this.metrics) {
+            lines.push(`# HELP ${name} ${metric.help}`);
+            lines.push(`# TYPE ${name} ${metric.type}`);
+            lines.push(...metric.samples);
+        }
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+// { shop: 'Main "Shop"' } -> {shop="Main \"Shop\""}
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+module.exports = HealthServer;
@@ -0,0 +1,172 @@
+const http = require('http');
+const https = require('https');
+const axios = require('axios');
+
+const DEFAULT_TIMEOUT = 10000;
+// Query parameters, body fields and headers whose values never reach the logs
+const SECRET_NAMES = /^(token|sign|secret|secret_?key|password|pass|api_?key|authorization|proxy-authorization|x-ggsel-signature)$/i;
+const MASK = '***';
+
+// Keep-alive agents shared by every request of the process, so polling reuses its connections
+const httpAgent = new http.Agent({ keepAlive: true });
+const httpsAgent = new https.Agent({ keepAlive: true });
+
+// Shared HTTP layer for GGSel, Telegram and the other notification channels
+//
+// - timeout: HTTP_TIMEOUT (ms, default 10s) unless a request sets its own
+// - proxy: every request goes through HTTPS_PROXY when it is set, except hosts listed in NO_PROXY
+//          (comma separated, "*" for all) and localhost
+// - logging: addHooks({ onRequest, onResponse }) - the hooks see URLs, headers and bodies with secrets masked
+const httpClient = axios.create({
+    httpAgent: httpAgent,
+    httpsAgent: httpsAgent,
+    timeout: Number(process.env.HTTP_TIMEOUT) || DEFAULT_TIMEOUT
+});
+
+const hooks = [];
+
+// Register { onRequest(request), onResponse(response) } - returns a function that removes them
+// request: { method, url, headers, data }
+// response: { method, url, status, duration, error } (status is null and error set when there was no response)
+function addHooks(hook) {
+    hooks.push(hook);
+    return () => {
+        const index = hooks.indexOf(hook);
+        if (index !== -1) hooks.splice(index, 1);
+    };
+}
+
+function runHooks(name, event) {
+    for (const hook of hooks) {
+        if (!hook[name]) continue;
+        try {
+            hook[name](event);
+        } catch (error) {
+            console.error(`❌ HTTP ${name} hook failed:`, error.message);
+        }
+    }
+}
+
+httpClient.interceptors.request.use((config) => {
+    const url = axios.getUri(config);
+    if (config.proxy === undefined) {
+        config.proxy = proxyFor(url);
+    }
+    config.startedAt = Date.now();
+    if (hooks.length > 0) {
+        runHooks('onRequest', {
+            method: (config.method || 'get').toUpperCase(),
+            url: maskUrl(url),
+            headers: maskSecrets(config.headers && typeof config.headers.toJSON === 'function' ? config.headers.toJSON() : config.headers),
+            data: maskBody(config.data)
+        });
+    }
+    return config;
+});
+
+httpClient.interceptors.response.use((response) => {
+    if (hooks.length > 0) runHooks('onResponse', responseEvent(response.config, response.status, null));
+    return response;
+}, (error) => {
+    if (hooks.length > 0 && error.config) {
+        runHooks('onResponse', responseEvent(error.config, error.response ? error.response.status : null, error));
+    }
+    throw error;
+});
+
+function responseEvent(config, status, error) {
+    return {
+        method: (config.method || 'get').toUpperCase(),
+        url: maskUrl(axios.getUri(config)),
+        status: status,
+        duration: config.startedAt ? Date.now() - config.startedAt : null,
+        error: error ? maskText(error.message) : null
+    };
+}
+
+// Proxy settings for a request URL (axios format), or false to connect directly
+function proxyFor(url) {
+    const proxyUrl = process.env.HTTPS_PROXY || process.env.https_proxy;
+    if (!proxyUrl) return false;
+
+    const { hostname } = new URL(url);
+    if (bypassesProxy(hostname)) return false;
+
+    const proxy = new URL(proxyUrl);
+    const protocol = proxy.protocol.replace(':', '');
+    return {
+        protocol: protocol,
+        host: proxy.hostname,
+        port: Number(proxy.port) || (protocol === 'https' ? 443 : 80),
+        auth: proxy.username ? { username: decodeURIComponent(proxy.username), password: decodeURIComponent(proxy.password) } : undefined
+    };
+}
+
+function bypassesProxy(hostname) {
+    if (['localhost', '127.0.0.1', '::1', '[::1]'].includes(hostname)) return true;
+
+    const noProxy = (process.env.NO_PROXY || process.env.no_proxy || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+    const host = hostname.toLowerCase();
+    return noProxy.some((entry) => {
+        if (entry === '*') return true;
+        const domain = entry.replace(/^\*?\./, '').replace(/:\d+$/, '');
+        return host === domain || host.endsWith(`.${domain}`);
+    });
+}
+
+// https://api.telegram.org/bot123:ABC/sendMessage?token=x -> https://api.telegram.org/bot***/sendMessage?token=***
+function maskUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return maskText(String(url));
+    }
+    parsed.pathname = parsed.pathname.replace(/\/bot[^/]+/, `/bot${MASK}`);
+    for (const name of Array.from(parsed.searchParams.keys())) {
+        if (SECRET_NAMES.test(name)) parsed.searchParams.set(name, MASK);
+    }
+    if (parsed.password) parsed.password = MASK;
+    // Keep the mask readable instead of percent-encoded
+    return parsed.toString().split(encodeURIComponent(MASK)).join(MASK);
+}
+
+// Bot tokens that show up in error messages
+function maskText(text) {
+    return String(text).replace(/bot\d+:[\w-]+/g, `bot${MASK}`);
+}
+
+// Copy of an object (headers, JSON body) with secret fields masked
+function maskSecrets(value) {
+    if (!value || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(maskSecrets);
+
+    const masked = {};
+    for (const [key, item] of Object.entries(value)) {
+        masked[key] = SECRET_NAMES.test(key) ? MASK : maskSecrets(item);
+    }
+    return masked;
+}
+
+// Request bodies: JSON strings and objects are masked, uploads are summarised
+function maskBody(data) {
+    if (data === undefined || data === null) return data;
+    if (typeof FormData !== 'undefined' && data instanceof FormData) return '[form data]';
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) return `[${data.byteLength} bytes]`;
+    if (typeof data === 'string') {
+        try {
+            return maskSecrets(JSON.parse(data));
+        } catch (error) {
+            return data;
+        }
+    }
+    return maskSecrets(data);
+}
+
+module.exports = httpClient;
+module.exports.addHooks = addHooks;
+module.exports.proxyFor = proxyFor;
+module.exports.maskUrl = maskUrl;
+module.exports.maskSecrets = maskSecrets;
+module.exports.httpAgent = httpAgent;
+module.exports.httpsAgent = httpsAgent;
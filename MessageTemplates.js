@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+
+const BUILT_IN_DIR = path.join(__dirname, 'templates');
+const DEFAULT_LOCALE = 'en';
+const EXTENSION = '.html';
+
+// {{{name}}}, or {{name}} / {{#name}} / {{^name}} / {{/name}}
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+)\s*\}\}/g;
+// A section tag alone on its line - the whole line is dropped so optional blocks leave no blank lines
+const STANDALONE_TAG_PATTERN = /^[ \t]*(\{\{[#^/][^}]*\}\})[ \t]*\r?\n/gm;
+
+// Notification texts loaded from template files (templates/<locale>/<name>.html)
+//
+// Template syntax (a small subset of Mustache):
+//   {{name}}              value, HTML-escaped - dots reach into objects: {{product.name}}
+//   {{{name}}}            value inserted as-is
+//   {{#name}}...{{/name}} shown when the value is set; repeated for each item of a list
+//   {{^name}}...{{/name}} shown when the value is missing, empty or false
+//   {{.}}                 the current list item when it is not an object
+//
+// options.locale picks the language (NOTIFY_LOCALE, default en). options.templatesDir (TEMPLATES_DIR)
+// is checked first - as <dir>/<locale>/<name>.html, then <dir>/<name>.html - so single templates can
+// be overridden without copying the rest. Missing templates fall back to the built-in English ones.
+class MessageTemplates {
+    constructor(options = {}) {
+        this.locale = options.locale || process.env.NOTIFY_LOCALE || DEFAULT_LOCALE;
+        const templatesDir = options.templatesDir !== undefined ? options.templatesDir : process.env.TEMPLATES_DIR;
+        this.overrideDir = templatesDir ? path.resolve(templatesDir) : null;
+        this.cache = new Map(); // name -> parsed template
+
+        if (!/^[\w-]+$/.test(this.locale)) {
+            throw new Error(`Invalid locale "${this.locale}"`);
+        }
+        const localeDirs = [path.join(BUILT_IN_DIR, this.locale)];
+        if (this.overrideDir) {
+            localeDirs.push(path.join(this.overrideDir, this.locale));
+        }
+        if (this.locale !== DEFAULT_LOCALE && !localeDirs.some(dir => fs.existsSync(dir))) {
+            throw new Error(`Unknown locale "${this.locale}" (available: ${MessageTemplates.getLocales().join(', ')})`);
+        }
+    }
+
+    // Locales that ship with the monitor
+    static getLocales() {
+        return fs.readdirSync(BUILT_IN_DIR, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    // Render a template by name (e.g. "new-order") with the given values
+    render(name, data = {}) {
+        return renderTree(this.load(name), [data]).trim();
+    }
+
+    // Find, read and parse a template (cached - restart the monitor to pick up edits)
+    load(name) {
+        if (this.cache.has(name)) {
+            return this.cache.get(name);
+        }
+
+        const candidates = [];
+        if (this.overrideDir) {
+            candidates.push(path.join(this.overrideDir, this.locale, name + EXTENSION));
+            candidates.push(path.join(this.overrideDir, name + EXTENSION));
+        }
+        candidates.push(path.join(BUILT_IN_DIR, this.locale, name + EXTENSION));
+        candidates.push(path.join(BUILT_IN_DIR, DEFAULT_LOCALE, name + EXTENSION));
+
+        const file = candidates.find(candidate => fs.existsSync(candidate));
+        if (!file) {
+            throw new Error(`Message template "${name}" not found`);
+        }
+
+        let tree;
+        try {
+            tree = parseTemplate(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`${file}: ${error.message}`);
+        }
+        this.cache.set(name, tree);
+        return tree;
+    }
+}
+
+// Parse template text into a tree of strings, { name, raw } values and { name, inverted, children } sections
+function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    const text = template.replace(STANDALONE_TAG_PATTERN, '$1');
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(TAG_PATTERN)) {
+        const current = stack[stack.length - 1];
+        if (match.index > lastIndex) {
+            current.children.push(text.slice(lastIndex, match.index));
+        }
+        lastIndex = match.index + match[0].length;
+
+        if (match[1]) {
+            current.children.push({ name: match[1], raw: true });
+            continue;
+        }
+
+        const [, , type, name] = match;
+        if (type === '#' || type === '^') {
+            const section = { name: name, inverted: type === '^', children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (type === '/') {
+            if (stack.length === 1 || current.name !== name) {
+                throw new Error(`Unexpected {{/${name}}}`);
+            }
+            stack.pop();
+        } else {
+            current.children.push({ name: name, raw: false });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Unclosed section {{#${stack[stack.length - 1].name}}}`);
+    }
+    if (lastIndex < text.length) {
+        root.children.push(text.slice(lastIndex));
+    }
+    return root;
+}
+
+// Render a parsed tree - contexts holds the data object and the items of the enclosing lists
+function renderTree(node, contexts) {
+    let output = '';
+    for (const child of node.children) {
+        if (typeof child === 'string') {
+            output += child;
+            continue;
+        }
+
+        const value = lookup(contexts, child.name);
+        if (!child.children) {
+            const text = value === undefined || value === null ? '' : String(value);
+            output += child.raw ? text : escapeHtml(text);
+        } else if (child.inverted) {
+            if (isEmpty(value)) output += renderTree(child, contexts);
+        } else if (Array.isArray(value)) {
+            for (const item of value) {
+                output += renderTree(child, [...contexts, item]);
+            }
+        } else if (!isEmpty(value)) {
+            output += renderTree(child, typeof value === 'object' ? [...contexts, value] : contexts);
+        }
+    }
+    return output;
+}
+
+// Resolve "a.b.c" against the innermost context that has "a"
+function lookup(contexts, name) {
+    if (name === '.') {
+        return contexts[contexts.length - 1];
+    }
+
+    const [first, ...rest] = name.split('.');
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i];
+        if (context !== null && typeof context === 'object' && first in context) {
+            return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context[first]);
+        }
+    }
+    return undefined;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === false || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+module.exports = MessageTemplates;
+module.exports.renderTemplate = (template, data = {}) => renderTree(parseTemplate(template), [data]);
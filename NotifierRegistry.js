@@ -0,0 +1,127 @@
+// Sends every monitor event to every registered notification channel
+//
+// A notifier is any object with a `channel` name and some of these methods (all async):
+//   notifyNewOrder(sale, options)
+//   notifyNewChat(chat, productName, options)
+//   notifyNewMessage(chat, newMessageCount, messages, productName, options)
+//   notifyError(error, context, options)
+// options carries { shop } - the shop label when several seller accounts are monitored.
+// Channels may implement extra methods (e.g. Telegram's notifyAutoReply); events are only sent
+// to the channels that implement them.
+class NotifierRegistry {
+    constructor(options = {}) {
+        this.notifiers = new Map(); // channel name -> notifier
+        this.deliveries = new Map(); // channel name -> { sent, failed } since start
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => this.debugMode && console.info(...args)
+        };
+    }
+
+    // Add a channel (its `channel` property is the name unless one is given)
+    register(notifier, name = notifier.channel) {
+        if (!name) {
+            throw new Error('Notifier needs a channel name');
+        }
+        if (this.notifiers.has(name)) {
+            throw new Error(`Notifier "${name}" is already registered`);
+        }
+        this.notifiers.set(name, notifier);
+        return this;
+    }
+
+    get(name) {
+        return this.notifiers.get(name) || null;
+    }
+
+    getChannels() {
+        return Array.from(this.notifiers.keys());
+    }
+
+    get size() {
+        return this.notifiers.size;
+    }
+
+    // Call `method` on every channel that has it, side by side so a slow channel doesn't hold up the others
+    // A failing channel is logged and never stops the rest. Returns { sent: [channels], failed: [channels] }
+    async notify(method, ...args) {
+        const channels = Array.from(this.notifiers.entries()).filter(([, notifier]) => typeof notifier[method] === 'function');
+
+        const results = await Promise.allSettled(channels.map(([, notifier]) => notifier[method](...args)));
+
+        const summary = { sent: [], failed: [] };
+        results.forEach((result, index) => {
+            const name = channels[index][0];
+            const counts = this.deliveryCounts(name);
+            if (result.status === 'fulfilled') {
+                summary.sent.push(name);
+                counts.sent++;
+            } else {
+                summary.failed.push(name);
+                counts.failed++;
+                this.logger.error(`❌ ${name} notification (${method}) failed:`, result.reason?.message || result.reason);
+            }
+        });
+
+        if (summary.sent.length > 0) {
+            this.logger.log(`📣 ${method} sent via ${summary.sent.join(', ')}`);
+        }
+        return summary;
+    }
+
+    deliveryCounts(name) {
+        if (!this.deliveries.has(name)) {
+            this.deliveries.set(name, { sent: 0, failed: 0 });
+        }
+        return this.deliveries.get(name);
+    }
+
+    // Notifications per channel since start: { telegram: { sent, failed }, ... } (every registered channel is listed)
+    // A channel that delivers in the background (Telegram with its queue) reports its own counts through
+    // getDeliveryStats(), since notify() only sees the message being queued
+    getDeliveryStats() {
+        const stats = {};
+        for (const [name, notifier] of this.notifiers) {
+            const own = typeof notifier.getDeliveryStats === 'function' ? notifier.getDeliveryStats() : null;
+            stats[name] = own || { ...this.deliveryCounts(name) };
+        }
+        return stats;
+    }
+
+    async notifyNewOrder(sale, options = {}) {
+        return await this.notify('notifyNewOrder', sale, options);
+    }
+
+    async notifyNewChat(chat, productName, options = {}) {
+        return await this.notify('notifyNewChat', chat, productName, options);
+    }
+
+    async notifyNewMessage(chat, newMessageCount, messages, productName, options = {}) {
+        return await this.notify('notifyNewMessage', chat, newMessageCount, messages, productName, options);
+    }
+
+    async notifyError(error, context, options = {}) {
+        return await this.notify('notifyError', error, context, options);
+    }
+}
+
+// Amount text for an order: the amount actually paid when known, otherwise the listed USD price
+function formatOrderAmount(sale) {
+    if (sale.formatted_amount) return sale.formatted_amount;
+    if (sale.order_amount && sale.currency_type) return `${sale.order_amount} ${sale.currency_type}`;
+    return sale.product?.price_usd !== undefined ? `${sale.product.price_usd} USD` : 'N/A';
+}
+
+// Seller panel link for an order
+function orderUrl(invoiceId) {
+    return `https://seller.ggsel.net/orders/${invoiceId}`;
+}
+
+module.exports = NotifierRegistry;
+module.exports.formatOrderAmount = formatOrderAmount;
+module.exports.orderUrl = orderUrl;
@@ -0,0 +1,70 @@
+// How long to wait before the next orders / chats check
+//
+// - normal: each check runs every ordersInterval / chatsInterval (both default to `interval`)
+// - active: for activeWindow after an order or message, checks run every activeInterval (if that is faster)
+// - idle: after idleAfter without any activity, checks slow down to idleInterval (if that is slower)
+// - backoff: after repeated failures the interval doubles with each failure, up to maxBackoff
+//
+// options (all ms except failureAlertThreshold): { interval, ordersInterval, chatsInterval, activeInterval,
+//           activeWindow, idleInterval, idleAfter, maxBackoff, failureAlertThreshold }
+class PollScheduler {
+    constructor(options = {}) {
+        this.interval = options.interval || 90000;
+        this.intervals = {
+            orders: options.ordersInterval || this.interval,
+            chats: options.chatsInterval || this.interval
+        };
+        this.activeInterval = options.activeInterval || 5000;
+        this.activeWindow = options.activeWindow || 5 * 60000;
+        this.idleInterval = options.idleInterval || 60000;
+        this.idleAfter = options.idleAfter || 30 * 60000;
+        this.maxBackoff = options.maxBackoff || 5 * 60000;
+        // Failures in a row before the caller should alert (once per streak)
+        this.failureAlertThreshold = options.failureAlertThreshold || 1;
+
+        this.startedAt = Date.now(); // Idle time counts from here until the first activity
+        this.lastActivityAt = null;
+        this.failures = 0; // Failed polls in a row
+    }
+
+    // An order or message came in
+    recordActivity(now = Date.now()) {
+        this.lastActivityAt = now;
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+    }
+
+    // Returns true when this failure reaches the alert threshold
+    recordFailure() {
+        this.failures++;
+        return this.failures === this.failureAlertThreshold;
+    }
+
+    // 'backoff', 'active', 'idle' or 'normal'
+    mode(now = Date.now()) {
+        if (this.failures > 1) return 'backoff';
+        if (this.lastActivityAt !== null && now - this.lastActivityAt < this.activeWindow) return 'active';
+        if (now - (this.lastActivityAt !== null ? this.lastActivityAt : this.startedAt) >= this.idleAfter) return 'idle';
+        return 'normal';
+    }
+
+    // Delay before the next run of a check ('orders' or 'chats')
+    nextDelay(check, now = Date.now()) {
+        const interval = this.intervals[check] || this.interval;
+        switch (this.mode(now)) {
+            case 'backoff':
+                // The first failure keeps the pace, every one after that doubles the wait
+                return Math.max(interval, Math.min(this.maxBackoff, interval * Math.pow(2, this.failures - 1)));
+            case 'active':
+                return Math.min(interval, this.activeInterval);
+            case 'idle':
+                return Math.max(interval, this.idleInterval);
+            default:
+                return interval;
+        }
+    }
+}
+
+module.exports = PollScheduler;
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const DateFormatter = require('./DateFormatter');
+const { JsonFileStateStore } = require('./StateStore');
+
+const DEFAULT_DIGEST_FILE = 'telegram-digest.json';
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MODES = ['silent', 'digest'];
+// Events quiet hours and mute switches apply to - errors and reports always go out
+const QUIET_EVENTS = ['order', 'new_chat', 'new_message'];
+const CHECK_INTERVAL = 60 * 1000;
+
+// Quiet hours, per-event mute switches and the digest of events held back
+//
+// Config format (JSON):
+// {
+//   "timeZone": "Europe/Istanbul",
+//   "mode": "digest",
+//   "schedule": {
+//     "*": "23:00-08:00",
+//     "sat": ["00:00-10:00", "14:00-15:00"],
+//     "sun": "00:00-24:00"
+//   },
+//   "mute": ["new_chat"],
+//   "urgent": { "minAmount": 100, "currency": "USD" }
+// }
+//
+// "schedule" lists quiet periods per weekday (mon..sun, "*" for days not listed); a period that ends
+// before it starts runs past midnight into the next day. During quiet hours "mode" decides what happens
+// to orders, chats and messages: "silent" sends them without a sound, "digest" holds them back and sends
+// them as one summary when quiet hours end. Events in "mute" are never sent to Telegram. Orders of at
+// least urgent.minAmount (in urgent.currency) skip both quiet hours and mute.
+// options: { file (QUIET_DIGEST_FILE) where held events are saved, debugMode }
+class QuietHours {
+    constructor(config = {}, options = {}) {
+        this.timeZone = config.timeZone || process.env.TIMEZONE || DateFormatter.DEFAULT_TIME_ZONE;
+        // Throws a readable error for an unknown timezone
+        new DateFormatter({ timeZone: this.timeZone });
+        this.clock = new Intl.DateTimeFormat('en-US', { timeZone: this.timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+        this.mode = config.mode || 'silent';
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Quiet hours: unknown mode "${this.mode}" (expected ${MODES.join(' or ')})`);
+        }
+
+        this.schedule = normalizeSchedule(config.schedule || {});
+
+        this.muted = new Set(config.mute || []);
+        for (const event of this.muted) {
+            if (!QUIET_EVENTS.includes(event)) {
+                throw new Error(`Quiet hours: can't mute "${event}" (expected ${QUIET_EVENTS.join(', ')})`);
+            }
+        }
+
+        this.urgent = null;
+        if (config.urgent) {
+            const minAmount = Number(config.urgent.minAmount);
+            if (Number.isNaN(minAmount)) {
+                throw new Error('Quiet hours: urgent.minAmount must be a number');
+            }
+            this.urgent = { minAmount: minAmount, currency: (config.urgent.currency || 'USD').toUpperCase() };
+        }
+
+        this.store = options.file === null ? null : new JsonFileStateStore(options.file || process.env.QUIET_DIGEST_FILE || DEFAULT_DIGEST_FILE);
+        this.pending = []; // Held events, oldest first: { eventType, context, at, ...template values }
+        this.saving = Promise.resolve();
+        this.timer = null;
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => this.debugMode && console.info(...args)
+        };
+    }
+
+    // Load quiet hours from a JSON file
+    static fromFile(filePath, options = {}) {
+        const raw = fs.readFileSync(path.resolve(filePath), 'utf8');
+        return new QuietHours(JSON.parse(raw), options);
+    }
+
+    // Weekday (0 = Sunday) and minutes since midnight in the configured timezone
+    localTime(time) {
+        const parts = {};
+        for (const part of this.clock.formatToParts(new Date(time))) {
+            parts[part.type] = part.value;
+        }
+        return {
+            day: DAYS.indexOf(parts.weekday.toLowerCase()),
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    }
+
+    isQuiet(time = Date.now()) {
+        const { day, minutes } = this.localTime(time);
+        const previousDay = (day + 6) % 7;
+
+        return this.schedule[day].some(period => minutes >= period.start && (period.end < period.start || minutes < period.end))
+            // Yesterday's overnight periods
+            || this.schedule[previousDay].some(period => period.end < period.start && minutes < period.end);
+    }
+
+    // Orders big enough to come through at any hour
+    isUrgent(eventType, context = {}) {
+        if (!this.urgent || eventType !== 'order') return false;
+        const amount = context.amounts ? context.amounts[this.urgent.currency] : undefined;
+        return amount !== undefined && !Number.isNaN(amount) && amount >= this.urgent.minAmount;
+    }
+
+    // What to do with an event right now: 'send', 'silent', 'digest' (hold it back) or 'mute' (drop it)
+    // context: { amounts } as built by TelegramRouter.orderContext()
+    decide(eventType, context = {}, time = Date.now()) {
+        if (!QUIET_EVENTS.includes(eventType)) return 'send';
+        if (this.isUrgent(eventType, context)) return 'send';
+        if (this.muted.has(eventType)) return 'mute';
+        if (!this.isQuiet(time)) return 'send';
+        return this.mode;
+    }
+
+    // Hold an event back for the digest
+    hold(entry) {
+        this.pending.push({ ...entry, at: entry.at || Date.now() });
+        this.save();
+    }
+
+    // Take every held event out (put them back with restore() if sending fails)
+    takeDigest() {
+        const entries = this.pending;
+        this.pending = [];
+        this.save();
+        return entries;
+    }
+
+    restore(entries) {
+        this.pending = [...entries, ...this.pending];
+        this.save();
+    }
+
+    async load() {
+        if (!this.store) return 0;
+        const state = await this.store.load();
+        this.pending = (state && state.pending) || [];
+        return this.pending.length;
+    }
+
+    // Saves are chained so two writes never race on the temp file
+    save() {
+        if (!this.store) return Promise.resolve();
+        const pending = this.pending;
+        this.saving = this.saving.then(async () => {
+            try {
+                await this.store.save({ pending: pending });
+            } catch (error) {
+                this.logger.error('❌ Failed to save the quiet hours digest:', error.message);
+            }
+        });
+        return this.saving;
+    }
+
+    // Check once a minute - onQuietEnd() is called when quiet hours are over and events are waiting
+    start(onQuietEnd) {
+        this.stop();
+        const check = async () => {
+            if (this.pending.length === 0 || this.isQuiet()) return;
+            try {
+                await onQuietEnd();
+            } catch (error) {
+                this.logger.error('❌ Failed to send the quiet hours digest:', error.message);
+            }
+        };
+        this.timer = setInterval(check, CHECK_INTERVAL);
+        check();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+// Day index -> [{ start, end }] in minutes since midnight
+function normalizeSchedule(schedule) {
+    for (const key of Object.keys(schedule)) {
+        if (key !== '*' && !DAYS.includes(key)) {
+            throw new Error(`Quiet hours: unknown day "${key}" (expected ${DAYS.join(', ')} or *)`);
+        }
+    }
+
+    return DAYS.map((day) => {
+        const periods = schedule[day] !== undefined ? schedule[day] : schedule['*'];
+        if (!periods) return [];
+        return (Array.isArray(periods) ? periods : [periods]).map(period => parsePeriod(period, day));
+    });
+}
+
+// "23:00-08:00" -> { start: 1380, end: 480 }
+function parsePeriod(period, day) {
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(period).trim());
+    const start = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+    const end = match ? Number(match[3]) * 60 + Number(match[4]) : NaN;
+    if (!match || start >= 24 * 60 || end > 24 * 60 || Number(match[2]) > 59 || Number(match[4]) > 59 || start === end) {
+        throw new Error(`Quiet hours: invalid period "${period}" for ${day} (expected e.g. "23:00-08:00")`);
+    }
+    return { start: start, end: end };
+}
+
+module.exports = QuietHours;
+module.exports.QUIET_EVENTS = QUIET_EVENTS;
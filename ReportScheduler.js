@@ -0,0 +1,80 @@
+const DateFormatter = require('./DateFormatter');
+const { previousDay, previousWeek } = require('./SalesLedger');
+
+// Sends the daily and weekly sales reports
+// Both run at `hour` in the report timezone: the daily report covers yesterday, the weekly report
+// goes out on Mondays and covers the previous Monday-Sunday week.
+// send(kind, period) does the actual sending - kind is 'daily' or 'weekly', period is { from, to }
+// options.dates: DateFormatter of the report timezone (default TIMEZONE) - pass the ledger's so the days match
+class ReportScheduler {
+    constructor(options = {}) {
+        this.send = options.send;
+        this.dates = options.dates || new DateFormatter();
+        this.hour = options.hour !== undefined ? options.hour : 9;
+        this.daily = options.daily !== undefined ? options.daily : true;
+        this.weekly = options.weekly !== undefined ? options.weekly : true;
+        this.timer = null;
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        if (!Number.isInteger(this.hour) || this.hour < 0 || this.hour > 23) {
+            throw new Error(`Report hour must be between 0 and 23 (got ${options.hour})`);
+        }
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => this.debugMode && console.info(...args)
+        };
+    }
+
+    // Next time the reports are due after `now`
+    nextRunTime(now = Date.now()) {
+        const today = this.dates.dateParts(now);
+        const todayRun = this.dates.zonedTime(today.year, today.month, today.day, this.hour);
+        return todayRun > now ? todayRun : this.dates.zonedTime(today.year, today.month, today.day + 1, this.hour);
+    }
+
+    start() {
+        if (!this.daily && !this.weekly) return;
+        this.scheduleNext();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    scheduleNext() {
+        const nextRun = this.nextRunTime();
+        this.logger.log(`📅 Next sales report at ${new Date(nextRun).toISOString()}`);
+        this.timer = setTimeout(async () => {
+            await this.run(nextRun);
+            this.scheduleNext();
+        }, nextRun - Date.now());
+    }
+
+    // Send the reports due at `time`
+    async run(time = Date.now()) {
+        const jobs = [];
+        if (this.daily) {
+            jobs.push(['daily', previousDay(time, this.dates)]);
+        }
+        // Mondays close the week
+        if (this.weekly && this.dates.weekday(time) === 0) {
+            jobs.push(['weekly', previousWeek(time, this.dates)]);
+        }
+
+        for (const [kind, period] of jobs) {
+            try {
+                await this.send(kind, period);
+                this.logger.log(`📊 Sent ${kind} sales report`);
+            } catch (error) {
+                this.logger.error(`❌ Failed to send ${kind} sales report:`, error.message);
+            }
+        }
+    }
+}
+
+module.exports = ReportScheduler;
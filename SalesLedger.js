@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const DateFormatter = require('./DateFormatter');
+
+const DEFAULT_LEDGER_FILE = 'sales-ledger.jsonl';
+const TOP_PRODUCTS = 5;
+
+// Report days run midnight to midnight in TIMEZONE, like the dates in the notifications
+let defaultDates = null;
+function timeZoneDates() {
+    if (!defaultDates) defaultDates = new DateFormatter();
+    return defaultDates;
+}
+
+// Local ledger of every order the monitor has seen
+// One JSON line per order is appended to the file, so the history survives restarts
+// and a crash can at most lose the last line.
+// options: { timeZone - report days (default TIMEZONE), debugMode }
+class SalesLedger {
+    constructor(filePath, options = {}) {
+        this.filePath = path.resolve(filePath || DEFAULT_LEDGER_FILE);
+        this.dates = options.timeZone ? new DateFormatter({ timeZone: options.timeZone }) : timeZoneDates();
+        this.orders = new Map(); // invoice ID -> ledger entry
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => this.debugMode && console.info(...args)
+        };
+    }
+
+    // Read the ledger file into memory (a missing file is an empty ledger)
+    async load() {
+        let raw;
+        try {
+            raw = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        for (const line of raw.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                this.orders.set(entry.invoiceId, entry);
+            } catch (error) {
+                this.logger.warn(`⚠️  Skipping unreadable ledger line: ${line.slice(0, 80)}`);
+            }
+        }
+
+        this.logger.log(`📒 Loaded ${this.orders.size} order(s) from ${this.filePath}`);
+        return this.orders.size;
+    }
+
+    // Add a sale to the ledger (returns false if the invoice is already recorded)
+    async record(sale, shop = null) {
+        if (this.orders.has(sale.invoice_id)) return false;
+
+        const entry = toEntry(sale, shop);
+        this.orders.set(entry.invoiceId, entry);
+        await fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n');
+        return true;
+    }
+
+    // Orders dated in [from, to) - timestamps in ms - optionally for one shop only
+    getOrders(from, to, shop = null) {
+        const orders = [];
+        for (const entry of this.orders.values()) {
+            const time = Date.parse(entry.date);
+            if (time < from || time >= to) continue;
+            if (shop && entry.shop !== shop) continue;
+            orders.push(entry);
+        }
+        return orders;
+    }
+
+    // Summary of [from, to) compared with the period of the same length right before it
+    summarize(from, to, shop = null) {
+        const summary = summarizeOrders(this.getOrders(from, to, shop));
+        const previous = summarizeOrders(this.getOrders(from - (to - from), from, shop));
+
+        return {
+            from: from,
+            to: to,
+            timeZone: this.dates.timeZone,
+            ...summary,
+            previous: { orderCount: previous.orderCount, revenue: previous.revenue }
+        };
+    }
+}
+
+function toEntry(sale, shop) {
+    const product = sale.product || {};
+
+    // The amount actually paid when we have it, otherwise the listed USD price
+    const hasPaidAmount = sale.order_amount && sale.currency_type;
+    const time = Date.parse(sale.date);
+
+    return {
+        invoiceId: sale.invoice_id,
+        shop: shop || null,
+        productId: product.id !== undefined ? product.id : null,
+        productName: product.name || null,
+        amount: Number(hasPaidAmount ? sale.order_amount : product.price_usd) || 0,
+        currency: hasPaidAmount ? String(sale.currency_type).toUpperCase() : 'USD',
+        date: new Date(Number.isNaN(time) ? Date.now() : time).toISOString()
+    };
+}
+
+function summarizeOrders(orders) {
+    const revenue = {};
+    const counts = {};
+    const products = new Map();
+
+    for (const order of orders) {
+        revenue[order.currency] = roundAmount((revenue[order.currency] || 0) + order.amount);
+        counts[order.currency] = (counts[order.currency] || 0) + 1;
+
+        const key = order.productId !== null ? order.productId : order.productName;
+        const product = products.get(key) || { productId: order.productId, name: order.productName, count: 0 };
+        product.count++;
+        products.set(key, product);
+    }
+
+    // Average order value per currency - amounts in different currencies can't be added up
+    const averageOrder = {};
+    for (const currency of Object.keys(revenue)) {
+        averageOrder[currency] = roundAmount(revenue[currency] / counts[currency]);
+    }
+
+    const topProducts = Array.from(products.values())
+        .sort((a, b) => b.count - a.count)
+        .slice(0, TOP_PRODUCTS);
+
+    return { orderCount: orders.length, revenue: revenue, averageOrder: averageOrder, topProducts: topProducts };
+}
+
+function roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+}
+
+// Day helpers - `dates` is the DateFormatter whose timezone the days follow (default TIMEZONE)
+
+// Yesterday, for the daily report
+function previousDay(now = Date.now(), dates = timeZoneDates()) {
+    const today = dates.startOfDay(now);
+    return { from: dates.addDays(today, -1), to: today };
+}
+
+// The last full Monday-Sunday week, for the weekly report
+function previousWeek(now = Date.now(), dates = timeZoneDates()) {
+    const thisWeek = dates.addDays(now, -dates.weekday(now));
+    return { from: dates.addDays(thisWeek, -7), to: thisWeek };
+}
+
+// Human-readable label for [from, to) made of whole days, e.g. "2024-05-01" or "2024-05-01 - 2024-05-07"
+function formatPeriod(from, to, dates = timeZoneDates()) {
+    const first = dates.formatDay(from);
+    const last = dates.formatDay(to - 1);
+    return first === last ? first : `${first} - ${last}`;
+}
+
+module.exports = SalesLedger;
+module.exports.previousDay = previousDay;
+module.exports.previousWeek = previousWeek;
+module.exports.formatPeriod = formatPeriod;
@@ -0,0 +1,146 @@
+const httpClient = require('./HttpClient');
+const { formatOrderAmount, orderUrl } = require('./NotifierRegistry');
+
+// Slack section text limit
+const MAX_SECTION_TEXT = 3000;
+
+// Slack notification channel - posts Block Kit messages to an incoming webhook
+// (https://api.slack.com/messaging/webhooks)
+class SlackNotifier {
+    constructor(webhookUrl, options = {}) {
+        if (!webhookUrl) {
+            throw new Error('Slack webhook URL is required! Set SLACK_WEBHOOK_URL in .env');
+        }
+
+        this.channel = 'slack';
+        this.webhookUrl = webhookUrl;
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => this.debugMode && console.info(...args)
+        };
+    }
+
+    // SLACK_ENABLED=true and SLACK_WEBHOOK_URL (null when disabled)
+    static fromEnv(options = {}) {
+        if (process.env.SLACK_ENABLED !== 'true') return null;
+        return new SlackNotifier(process.env.SLACK_WEBHOOK_URL, options);
+    }
+
+    // text is the plain fallback shown in notifications, blocks the formatted message
+    async send(text, blocks) {
+        try {
+            const response = await httpClient.post(this.webhookUrl, { text: text, blocks: blocks });
+            return response.data;
+        } catch (error) {
+            this.logger.error('Failed to send Slack message:', error.response?.data || error.message);
+            throw error;
+        }
+    }
+
+    async notifyNewOrder(sale, options = {}) {
+        const title = `🛒 New order #${sale.invoice_id}`;
+        return await this.send(title, [
+            header(title),
+            fields(withShop([
+                ['Product', sale.product?.name || 'Unknown product'],
+                ['Amount', formatOrderAmount(sale)],
+                ['Buyer Email', sale.buyer_email || 'N/A'],
+                ['Date', slackDate(sale.date)]
+            ], options)),
+            link(orderUrl(sale.invoice_id), 'Open order')
+        ]);
+    }
+
+    async notifyNewChat(chat, productName, options = {}) {
+        const title = `💬 New chat - order #${chat.id_i}`;
+        return await this.send(title, [
+            header(title),
+            fields(withShop([
+                ['Product', productName || `ID: ${chat.product}`],
+                ['Customer', chat.email || 'N/A'],
+                ['Last Activity', slackDate(chat.last_message)]
+            ], options)),
+            link(orderUrl(chat.id_i), 'Open order')
+        ]);
+    }
+
+    async notifyNewMessage(chat, newMessageCount, messages, productName, options = {}) {
+        const title = `📨 ${newMessageCount} new message(s) - order #${chat.id_i}`;
+        const lines = (messages || []).map((msg) => {
+            const sender = msg.buyer ? '👤 Customer' : '🏢 You';
+            const attachment = msg.is_file ? `\n📎 ${escapeMrkdwn(msg.filename)}${msg.url ? ` <${msg.url}|download>` : ''}` : '';
+            return `*${sender}:*\n>${escapeMrkdwn(msg.message).replace(/\n/g, '\n>')}${attachment}`;
+        });
+
+        return await this.send(title, [
+            header(title),
+            fields(withShop([
+                ['Product', productName || `ID: ${chat.product}`],
+                ['Customer', chat.email || 'N/A']
+            ], options)),
+            section(truncate(lines.join('\n\n') || '_No text_', MAX_SECTION_TEXT)),
+            link(orderUrl(chat.id_i), 'Open order')
+        ]);
+    }
+
+    async notifyError(error, context, options = {}) {
+        const title = '⚠️ Monitor error';
+        return await this.send(`${title}: ${error.message || String(error)}`, [
+            header(title),
+            fields(withShop([
+                ['Where', context || 'Polling'],
+                ['Error', error.message || String(error)]
+            ], options))
+        ]);
+    }
+}
+
+function header(text) {
+    return { type: 'header', text: { type: 'plain_text', text: text, emoji: true } };
+}
+
+function section(text) {
+    return { type: 'section', text: { type: 'mrkdwn', text: text } };
+}
+
+// Two-column label/value grid; values are escaped unless they are Slack date tokens
+function fields(pairs) {
+    return {
+        type: 'section',
+        fields: pairs.map(([label, value]) => ({
+            type: 'mrkdwn',
+            text: `*${label}:*\n${String(value).startsWith('<!date') ? value : escapeMrkdwn(value)}`
+        }))
+    };
+}
+
+function link(url, label) {
+    return section(`<${url}|${label}>`);
+}
+
+function withShop(pairs, options) {
+    return options.shop ? [['Shop', options.shop], ...pairs] : pairs;
+}
+
+// Slack renders dates in each reader's own timezone
+function slackDate(date) {
+    const time = Date.parse(date);
+    if (Number.isNaN(time)) return 'N/A';
+    return `<!date^${Math.floor(time / 1000)}^{date_short_pretty} {time}|${new Date(time).toISOString()}>`;
+}
+
+// Only &, < and > are special in Slack mrkdwn
+function escapeMrkdwn(text) {
+    return String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+module.exports = SlackNotifier;
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_STATE_FILE = 'monitor-state.json';
+const DEFAULT_SQLITE_FILE = 'monitor-state.db';
+
+// Stores monitor state as a single JSON document on disk
+class JsonFileStateStore {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath || DEFAULT_STATE_FILE);
+    }
+
+    // Load saved state (returns null if nothing has been saved yet)
+    async load() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            return JSON.parse(raw);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Save state - write to a temp file first so a crash never leaves a half-written file
+    async save(state) {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2));
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+}
+
+// Stores monitor state in a SQLite database (requires the optional better-sqlite3 package)
+class SqliteStateStore {
+    constructor(filePath) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite state store requires better-sqlite3. Run: npm install better-sqlite3');
+        }
+
+        this.filePath = path.resolve(filePath || DEFAULT_SQLITE_FILE);
+        this.db = new Database(this.filePath);
+        this.db.exec('CREATE TABLE IF NOT EXISTS monitor_state (key TEXT PRIMARY KEY, value TEXT NOT NULL)');
+    }
+
+    // Load saved state (returns null if nothing has been saved yet)
+    async load() {
+        const rows = this.db.prepare('SELECT key, value FROM monitor_state').all();
+        if (rows.length === 0) {
+            return null;
+        }
+
+        const state = {};
+        for (const row of rows) {
+            state[row.key] = JSON.parse(row.value);
+        }
+        return state;
+    }
+
+    // Save state - one row per top-level key, written in a single transaction
+    async save(state) {
+        const upsert = this.db.prepare('INSERT OR REPLACE INTO monitor_state (key, value) VALUES (?, ?)');
+        const saveAll = this.db.transaction((entries) => {
+            for (const [key, value] of entries) {
+                upsert.run(key, JSON.stringify(value));
+            }
+        });
+        saveAll(Object.entries(state));
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+// Default file name for a store - one file per account when an account name is given
+function defaultFilePath(defaultFile, name) {
+    if (!name) return defaultFile;
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const ext = path.extname(defaultFile);
+    return `${path.basename(defaultFile, ext)}-${slug}${ext}`;
+}
+
+// Create a state store from a type name ('json', 'sqlite' or 'none')
+function createStateStore(type = 'json', filePath, name) {
+    switch ((type || 'json').toLowerCase()) {
+        case 'json':
+            return new JsonFileStateStore(filePath || defaultFilePath(DEFAULT_STATE_FILE, name));
+        case 'sqlite':
+            return new SqliteStateStore(filePath || defaultFilePath(DEFAULT_SQLITE_FILE, name));
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown state store type: ${type} (expected json, sqlite or none)`);
+    }
+}
+
+exports.JsonFileStateStore = JsonFileStateStore;
+exports.SqliteStateStore = SqliteStateStore;
+exports.createStateStore = createStateStore;
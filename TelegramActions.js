@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const { JsonFileStateStore } = require('./StateStore');
+
+const DEFAULT_STATE_FILE = 'telegram-actions.json';
+const MUTE_DURATION = 60 * 60 * 1000;
+
+// Inline keyboard buttons on Telegram notifications, handled through callback queries
+//
+// Order alerts:   Show buyer chat | Copy email | Mark handled
+// Message alerts: Reply | Quick replies… | Mute this chat for 1h
+//
+// Callback data is "<action>:<order number>[:<argument>]". Handled orders, muted chats and the
+// original text of each alert (needed to edit it with editMessageText) are saved to `file`,
+// so buttons keep working after a restart.
+// options: { file (TELEGRAM_ACTIONS_FILE), quickReplies: [{ label, text }], maxAlerts }
+class TelegramActions {
+    constructor(telegram, options = {}) {
+        this.telegram = telegram;
+        this.store = options.file === null ? null : new JsonFileStateStore(options.file || process.env.TELEGRAM_ACTIONS_FILE || DEFAULT_STATE_FILE);
+        this.quickReplies = (options.quickReplies || []).map((reply, index) => normalizeQuickReply(reply, index));
+        this.maxAlerts = options.maxAlerts || 1000;
+        this.alerts = new Map(); // "<telegram chat id>:<message_id>" -> { kind, orderId, email, shop, text, quickReply }
+        this.handledOrders = new Map(); // invoice ID -> { at, by }
+        this.mutedChats = new Map(); // GGSel chat (id_i) -> muted until (ms)
+        this.saving = Promise.resolve();
+        this.logger = telegram.logger;
+    }
+
+    // Quick replies from a JSON file: { "replies": [{ "label": "Key sent", "text": "..." }] }
+    static loadQuickReplies(filePath) {
+        if (!filePath) return [];
+        const raw = fs.readFileSync(path.resolve(filePath), 'utf8');
+        return JSON.parse(raw).replies || [];
+    }
+
+    async load() {
+        if (!this.store) return;
+        const state = await this.store.load();
+        if (!state) return;
+
+        this.alerts = new Map(state.alerts || []);
+        this.handledOrders = new Map(state.handledOrders || []);
+        this.mutedChats = new Map((state.mutedChats || []).filter(([, until]) => until > Date.now()));
+    }
+
+    // Saves run one after another - two writes at once would race on the temp file
+    save() {
+        if (!this.store) return Promise.resolve();
+        this.saving = this.saving.then(async () => {
+            try {
+                await this.store.save({
+                    alerts: Array.from(this.alerts),
+                    handledOrders: Array.from(this.handledOrders),
+                    mutedChats: Array.from(this.mutedChats)
+                });
+            } catch (error) {
+                this.logger.error('❌ Failed to save Telegram button state:', error.message);
+            }
+        });
+        return this.saving;
+    }
+
+    isMuted(chatId, now = Date.now()) {
+        const until = this.mutedChats.get(Number(chatId));
+        if (!until) return false;
+        if (until <= now) {
+            this.mutedChats.delete(Number(chatId));
+            return false;
+        }
+        return true;
+    }
+
+    // =============================================
+    // Keyboards
+    // =============================================
+
+    orderKeyboard(orderId, email) {
+        const firstRow = [button(this.label('showChat'), `chat:${orderId}`)];
+        if (email) {
+            firstRow.push(button(this.label('copyEmail'), `email:${orderId}`));
+        }
+        const handled = this.handledOrders.has(Number(orderId));
+        return {
+            inline_keyboard: [
+                firstRow,
+                [handled ? button(this.label('markUnhandled'), `undone:${orderId}`) : button(this.label('markHandled'), `done:${orderId}`)]
+            ]
+        };
+    }
+
+    messageKeyboard(chatId) {
+        const firstRow = [button(this.label('reply'), `reply:${chatId}`)];
+        if (this.quickReplies.length > 0) {
+            firstRow.push(button(this.label('quickReplies'), `quick:${chatId}`));
+        }
+        return {
+            inline_keyboard: [
+                firstRow,
+                [this.isMuted(chatId) ? button(this.label('unmute'), `unmute:${chatId}`) : button(this.label('mute'), `mute:${chatId}`)]
+            ]
+        };
+    }
+
+    quickReplyKeyboard(chatId) {
+        return {
+            inline_keyboard: [
+                ...this.quickReplies.map((reply, index) => [button(reply.label, `qr:${chatId}:${index}`)]),
+                [button(this.label('back'), `back:${chatId}`)]
+            ]
+        };
+    }
+
+    // Remember a sent alert so its text can be edited later
+    recordAlert(result, text, alert, shop) {
+        const message = result?.result;
+        if (!message?.message_id) return;
+
+        this.alerts.set(`${message.chat.id}:${message.message_id}`, { ...alert, shop: shop || null, text: text });
+        while (this.alerts.size > this.maxAlerts) {
+            this.alerts.delete(this.alerts.keys().next().value);
+        }
+        this.save();
+    }
+
+    // =============================================
+    // Button presses
+    // =============================================
+
+    async handleCallback(query) {
+        const message = query.message;
+        let answer = '';
+
+        try {
+            if (!message || !this.telegram.replyChatIds.has(String(message.chat.id))) {
+                this.logger.warn(`⚠️  Ignoring button press from unknown chat ${message?.chat.id}`);
+                answer = this.answer('notAllowed');
+                return;
+            }
+
+            const [action, id, argument] = String(query.data || '').split(':');
+            const orderId = Number(id);
+            if (!orderId) {
+                answer = this.answer('unknownButton');
+                return;
+            }
+            this.logger.log(`🔘 Button pressed: ${action} ${orderId}`);
+            answer = await this.runAction(action, orderId, argument, query);
+        } catch (error) {
+            this.logger.error(`❌ Button ${query.data} failed:`, error.message);
+            answer = this.answer('failed', { error: error.message }).slice(0, 200);
+        } finally {
+            // Always answer, or the button keeps spinning
+            try {
+                await this.telegram.callApi('answerCallbackQuery', { callback_query_id: query.id, text: answer || undefined });
+            } catch (error) {
+                this.logger.error('❌ Failed to answer button press:', error.response?.data || error.message);
+            }
+        }
+    }
+
+    // Returns the short text shown to the user who pressed the button
+    async runAction(action, orderId, argument, query) {
+        const message = query.message;
+        const key = `${message.chat.id}:${message.message_id}`;
+        const alert = this.alerts.get(key);
+
+        switch (action) {
+            case 'chat': {
+                const command = this.telegram.commands.chat;
+                if (!command) return this.answer('chatUnavailable');
+                // With several shops, look in the alert's shop first
+                const args = alert?.shop ? [String(orderId), alert.shop] : [String(orderId)];
+                await this.telegram.replyTo(message, await command.handler(args, message));
+                return '';
+            }
+            case 'email': {
+                if (!alert?.email) return this.answer('noEmail');
+                await this.telegram.replyTo(message, `📧 <code>${this.telegram.escapeHtml(alert.email)}</code>`);
+                return this.answer('emailSent');
+            }
+            case 'done':
+                this.handledOrders.set(orderId, { at: Date.now(), by: userName(query.from) });
+                await this.save();
+                await this.refresh(message, alert, this.orderKeyboard(orderId, alert?.email));
+                return this.answer('handled');
+            case 'undone':
+                this.handledOrders.delete(orderId);
+                await this.save();
+                await this.refresh(message, alert, this.orderKeyboard(orderId, alert?.email));
+                return this.answer('unhandled');
+            case 'reply':
+                // A forced reply - the answer is routed to the buyer like any reply to the alert
+                await this.telegram.send(this.telegram.templates.render('reply-prompt', { orderId: orderId }), {
+                    chatId: message.chat.id,
+                    threadId: message.message_thread_id,
+                    replyTo: message.message_id,
+                    replyMarkup: { force_reply: true, selective: true },
+                    shop: alert?.shop
+                }, orderId);
+                return '';
+            case 'quick':
+                await this.editKeyboard(message, this.quickReplyKeyboard(orderId));
+                return '';
+            case 'back':
+                await this.editKeyboard(message, this.messageKeyboard(orderId));
+                return '';
+            case 'qr': {
+                const reply = this.quickReplies[Number(argument)];
+                if (!reply) return this.answer('unknownQuickReply');
+                if (!this.telegram.onReply) return this.answer('repliesDisabled');
+
+                await this.telegram.onReply(orderId, reply.text, message, alert?.shop || null);
+                this.logger.log(`✅ Quick reply "${reply.label}" sent to order ${orderId}`);
+                if (alert) {
+                    alert.quickReply = reply.label;
+                    await this.save();
+                }
+                await this.refresh(message, alert, this.messageKeyboard(orderId));
+                return this.answer('quickReplySent');
+            }
+            case 'mute':
+                this.mutedChats.set(orderId, Date.now() + MUTE_DURATION);
+                await this.save();
+                await this.refresh(message, alert, this.messageKeyboard(orderId));
+                return this.answer('muted');
+            case 'unmute':
+                this.mutedChats.delete(orderId);
+                await this.save();
+                await this.refresh(message, alert, this.messageKeyboard(orderId));
+                return this.answer('unmuted');
+            default:
+                return this.answer('unknownButton');
+        }
+    }
+
+    // Re-render an alert with its current state (handled, muted, quick reply sent)
+    // Without the saved text only the keyboard can be updated
+    async refresh(message, alert, keyboard) {
+        if (!alert) {
+            await this.editKeyboard(message, keyboard);
+            return;
+        }
+
+        const dates = this.telegram.dates;
+        const handled = alert.kind === 'order' ? this.handledOrders.get(Number(alert.orderId)) : null;
+        const muted = alert.kind === 'message' && this.isMuted(alert.orderId);
+        const status = this.telegram.templates.render('alert-status', {
+            handled: handled ? { by: handled.by, at: dates.format(handled.at) } : null,
+            mutedUntil: muted ? dates.format(this.mutedChats.get(Number(alert.orderId))) : null,
+            quickReply: alert.quickReply || null
+        });
+
+        await this.edit('editMessageText', {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            text: status ? `${alert.text}\n\n${status}` : alert.text,
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: keyboard
+        });
+    }
+
+    // Label of a button (button-labels template, plain text) - name: showChat, reply, mute...
+    label(name) {
+        return this.telegram.templates.render('button-labels', { [name]: true });
+    }
+
+    // Short text shown to the user who pressed a button (button-answer template, plain text)
+    answer(name, values = {}) {
+        return this.telegram.templates.render('button-answer', { ...values, [name]: true });
+    }
+
+    async editKeyboard(message, keyboard) {
+        await this.edit('editMessageReplyMarkup', {
+            chat_id: message.chat.id,
+            message_id: message.message_id,
+            reply_markup: keyboard
+        });
+    }
+
+    async edit(method, params) {
+        try {
+            await this.telegram.callApi(method, params);
+        } catch (error) {
+            // Pressing a button twice would change nothing - not an error
+            if (/message is not modified/.test(error.response?.data?.description || '')) return;
+            throw error;
+        }
+    }
+}
+
+function button(text, data) {
+    return { text: text, callback_data: data };
+}
+
+// Who pressed a button: @username, or the first name
+function userName(user) {
+    if (!user) return null;
+    return user.username ? `@${user.username}` : user.first_name || null;
+}
+
+function normalizeQuickReply(reply, index) {
+    if (!reply || !reply.text) {
+        throw new Error(`Quick reply #${index + 1}: "text" is required`);
+    }
+    return { label: reply.label || reply.text.slice(0, 30), text: reply.text };
+}
+
+module.exports = TelegramActions;
@@ -0,0 +1,235 @@
+// Telegram bot commands for controlling the monitor
+// Each command has a description (shown in /help) and a handler that returns the reply text (HTML)
+// accounts: [{ name, monitor }] - one entry per monitored seller account
+// salesLedger: SalesLedger used by /report (optional - the command is left out without it)
+
+const { formatPeriod } = require('./SalesLedger');
+
+const MAX_ORDERS = 50;
+const DEFAULT_ORDERS = 5;
+const CHAT_MESSAGE_COUNT = 10;
+
+function createCommands({ accounts, telegram, salesLedger }) {
+    const multipleAccounts = accounts.length > 1;
+
+    // Pick the accounts a command applies to: the named shop, or all of them
+    const selectAccounts = (shopName) => {
+        if (!shopName) return accounts;
+
+        const account = accounts.find(a => a.name && a.name.toLowerCase() === shopName.toLowerCase());
+        if (!account) {
+            throw new Error(`Unknown shop: ${shopName}. Known shops: ${accounts.map(a => a.name).join(', ')}`);
+        }
+        return [account];
+    };
+
+    // Section header naming the shop (only when several accounts are monitored)
+    const shopHeader = (account) => multipleAccounts ? `\n🏪 <b>${telegram.escapeHtml(account.name)}</b>\n` : '';
+    // The shop name for the command templates - null with a single account, which needs no header
+    const templateShop = (account) => multipleAccounts ? account.name : null;
+
+    const commands = {
+        stats: {
+            usage: multipleAccounts ? '/stats [shop]' : '/stats',
+            description: 'Show monitor statistics',
+            handler: async (args) => {
+                const shops = selectAccounts(args.join(' ')).map(account => {
+                    const stats = account.monitor.getStats();
+                    return {
+                        shop: templateShop(account),
+                        isRunning: stats.isRunning,
+                        totalChats: stats.totalChats,
+                        trackedChats: stats.trackedChats,
+                        awaitingReply: stats.awaitingReply,
+                        cachedProducts: stats.cachedProducts,
+                        cachedInvoices: stats.cachedInvoices,
+                        lastInvoiceId: stats.lastSaleInvoiceId,
+                        pollingInterval: stats.pollingInterval / 1000,
+                        pollMode: stats.pollMode,
+                        failuresInARow: stats.consecutiveFailures > 0 ? stats.consecutiveFailures : null,
+                        lastPoll: stats.lastPollAt ? telegram.dates.relative(stats.lastPollAt) : null,
+                        pollDuration: stats.lastPollDuration !== null ? (stats.lastPollDuration / 1000).toFixed(1) : null,
+                        averagePollDuration: stats.lastPollDuration !== null ? (stats.averagePollDuration / 1000).toFixed(1) : null,
+                        apiCalls: stats.lastPollApiCalls !== null
+                            ? { lastPoll: stats.lastPollApiCalls, total: stats.apiCalls.total, errors: stats.apiCalls.errors }
+                            : null
+                    };
+                });
+                return telegram.templates.render('command-stats', {
+                    shops: shops,
+                    hasQueue: Boolean(telegram.queue),
+                    queueDepth: telegram.queue ? telegram.queue.getDepth() : null
+                });
+            }
+        },
+
+        orders: {
+            usage: multipleAccounts ? '/orders [N] [shop]' : '/orders [N]',
+            description: `List the last N sales (default ${DEFAULT_ORDERS}, max ${MAX_ORDERS})`,
+            handler: async (args) => {
+                const requested = parseInt(args[0], 10);
+                const top = Math.min(Number.isNaN(requested) || requested < 1 ? DEFAULT_ORDERS : requested, MAX_ORDERS);
+                const shopArgs = Number.isNaN(requested) ? args : args.slice(1);
+
+                const shops = [];
+                for (const account of selectAccounts(shopArgs.join(' '))) {
+                    const salesResponse = await account.monitor.fetchLastSales(top);
+                    const sales = salesResponse.sales || [];
+                    shops.push({
+                        shop: templateShop(account),
+                        hasSales: sales.length > 0,
+                        count: sales.length,
+                        sales: sales.map(sale => ({
+                            invoiceId: sale.invoice_id,
+                            productName: sale.product?.name || null,
+                            priceUsd: sale.product?.price_usd,
+                            date: telegram.dates.format(sale.date)
+                        }))
+                    });
+                }
+                return telegram.templates.render('command-orders', { shops: shops });
+            }
+        },
+
+        chat: {
+            usage: multipleAccounts ? '/chat <order> [shop]' : '/chat <order>',
+            description: `Show the last ${CHAT_MESSAGE_COUNT} messages of an order chat`,
+            handler: async (args) => {
+                const chatId = parseInt(args[0], 10);
+                if (Number.isNaN(chatId)) {
+                    return telegram.templates.render('command-chat', { usage: true });
+                }
+
+                // Order numbers are unique across shops - use the first shop that has this chat
+                let messages = [];
+                for (const account of selectAccounts(args.slice(1).join(' '))) {
+                    try {
+                        messages = await account.monitor.fetchMessages(chatId, CHAT_MESSAGE_COUNT);
+                    } catch (error) {
+                        if (!multipleAccounts) throw error;
+                        messages = [];
+                    }
+                    if (messages && messages.length > 0) break;
+                }
+
+                if (!messages || messages.length === 0) {
+                    return telegram.templates.render('command-chat', { empty: true, orderId: chatId });
+                }
+
+                messages.sort((a, b) => a.id - b.id);
+
+                return telegram.templates.render('command-chat', {
+                    hasMessages: true,
+                    orderId: chatId,
+                    messages: messages.slice(-CHAT_MESSAGE_COUNT).map(msg => ({
+                        buyer: Boolean(msg.buyer),
+                        date: telegram.dates.format(msg.date_written),
+                        text: msg.message,
+                        filename: msg.is_file ? msg.filename : null
+                    }))
+                });
+            }
+        },
+
+        waiting: {
+            usage: multipleAccounts ? '/waiting [shop]' : '/waiting',
+            description: 'List chats where the buyer wrote last and is waiting for a reply',
+            handler: async (args) => {
+                let text = '⏳ <b>AWAITING REPLY</b>\n';
+                for (const account of selectAccounts(args.join(' '))) {
+                    const waiting = account.monitor.getAwaitingReply();
+                    text += shopHeader(account);
+                    if (waiting.length === 0) {
+                        text += '\n✅ Nobody is waiting\n';
+                        continue;
+                    }
+                    for (const chat of waiting) {
+                        const product = chat.productName ? ` - ${telegram.escapeHtml(chat.productName)}` : '';
+                        text += `\n🆔 <b>${chat.chatId}</b>${product}\n   💬 ${telegram.dates.relative(chat.since)}`;
+                    }
+                    text += '\n';
+                }
+                return text.trim();
+            }
+        },
+
+        report: {
+            usage: multipleAccounts ? '/report <from> <to> [shop]' : '/report <from> <to>',
+            description: 'Sales summary for a date range (YYYY-MM-DD, inclusive)',
+            handler: async (args) => {
+                // Days in the ledger's timezone, like the scheduled reports
+                const from = salesLedger.dates.parseDay(args[0]);
+                const lastDay = args[1] !== undefined ? salesLedger.dates.parseDay(args[1]) : from;
+                if (from === null || lastDay === null) {
+                    return '⚠️ Usage: /report &lt;from&gt; &lt;to&gt; - dates as YYYY-MM-DD, e.g. /report 2024-05-01 2024-05-07';
+                }
+                if (lastDay < from) {
+                    return '⚠️ The end date is before the start date';
+                }
+
+                // No shop given: all shops together
+                const shopName = args.slice(2).join(' ');
+                const shop = shopName ? selectAccounts(shopName)[0].name : null;
+                const to = salesLedger.dates.addDays(lastDay, 1);
+                const summary = salesLedger.summarize(from, to, shop);
+                return telegram.formatSalesReport(null, formatPeriod(from, to, salesLedger.dates), summary, { shop });
+            }
+        },
+
+        pause: {
+            usage: multipleAccounts ? '/pause [shop]' : '/pause',
+            description: 'Pause polling (the bot keeps listening)',
+            handler: async (args) => {
+                const lines = [];
+                for (const account of selectAccounts(args.join(' '))) {
+                    const label = multipleAccounts ? ` (${telegram.escapeHtml(account.name)})` : '';
+                    if (!account.monitor.isRunning) {
+                        lines.push(`⏸ Monitor is already paused${label}`);
+                        continue;
+                    }
+                    account.monitor.stop();
+                    lines.push(`⏸ Monitor paused${label}. Send /resume to continue.`);
+                }
+                return lines.join('\n');
+            }
+        },
+
+        resume: {
+            usage: multipleAccounts ? '/resume [shop]' : '/resume',
+            description: 'Resume polling',
+            handler: async (args) => {
+                const lines = [];
+                for (const account of selectAccounts(args.join(' '))) {
+                    const label = multipleAccounts ? ` (${telegram.escapeHtml(account.name)})` : '';
+                    if (account.monitor.isRunning) {
+                        lines.push(`▶️ Monitor is already running${label}`);
+                        continue;
+                    }
+                    await account.monitor.start();
+                    lines.push(`▶️ Monitor resumed${label}`);
+                }
+                return lines.join('\n');
+            }
+        },
+
+        help: {
+            usage: '/help',
+            description: 'List available commands',
+            handler: async () => {
+                let text = '🤖 <b>AVAILABLE COMMANDS</b>\n';
+                for (const command of Object.values(commands)) {
+                    text += `\n${telegram.escapeHtml(command.usage)} - ${command.description}`;
+                }
+                return text;
+            }
+        }
+    };
+
+    if (!salesLedger) {
+        delete commands.report;
+    }
+
+    return commands;
+}
+
+module.exports = createCommands;
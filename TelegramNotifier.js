@@ -1,8 +1,29 @@
 require('dotenv').config();
-const axios = require('axios');
+const crypto = require('crypto');
+const httpClient = require('./HttpClient');
+const { orderContext, chatContext } = require('./TelegramRouter');
+const MessageTemplates = require('./MessageTemplates');
+const DateFormatter = require('./DateFormatter');
+const TelegramQueue = require('./TelegramQueue');
+const TelegramActions = require('./TelegramActions');
+const TelegramThreads = require('./TelegramThreads');
 
+const DEFAULT_API_URL = 'https://api.telegram.org';
+// Bot API limits on message and caption length
+const MAX_MESSAGE_LENGTH = 4096;
+const MAX_CAPTION_LENGTH = 1024;
+// Room kept free in each part of a split message for its "📄 (1/3)" label
+const PART_LABEL_RESERVE = 20;
+// Attachments larger than this are only linked (override with TELEGRAM_MAX_ATTACHMENT_MB, 0 = never upload)
+const DEFAULT_MAX_ATTACHMENT_MB = 10;
+// Sent with sendPhoto - anything else goes out as a document
+const PHOTO_EXTENSIONS = /\.(jpe?g|png|webp)$/i;
+// Attachments get longer than the default HTTP timeout to download and upload
+const UPLOAD_TIMEOUT = 30000;
+
+// Telegram notification channel (see NotifierRegistry for the notifier interface)
 class TelegramNotifier {
-    constructor(botToken, chatId, debugMode) {
+    constructor(botToken, chatId, debugMode, options = {}) {
         if (!botToken) {
             throw new Error('Telegram bot token is required! Set TELEGRAM_BOT_TOKEN in .env');
         }
@@ -10,13 +31,63 @@ class TelegramNotifier {
             throw new Error('Telegram chat ID is required! Set TELEGRAM_CHAT_ID in .env');
         }
         
+        this.channel = 'telegram';
         this.botToken = botToken;
         this.chatId = chatId;
-        this.apiUrl = `https://api.telegram.org/bot${botToken}`;
+        // Optional TelegramRouter - picks the chats / forum topics for each event
+        this.router = options.router || null;
+        // Optional QuietHours - sends orders, chats and messages silently, holds them for a digest or mutes them
+        this.quietHours = options.quietHours || null;
+        // Notification texts - options.locale / NOTIFY_LOCALE and options.templatesDir / TEMPLATES_DIR
+        this.templates = options.templates || new MessageTemplates({ locale: options.locale, templatesDir: options.templatesDir });
+        // Dates in options.timeZone / TIMEZONE - routed destinations can set their own timeZone
+        this.dates = new DateFormatter({ timeZone: options.timeZone, locale: this.templates.locale });
+        this.dateFormatters = new Map([[this.dates.timeZone, this.dates]]);
+        // Bot API base URL (override with TELEGRAM_API_URL, e.g. to point at a mock server)
+        const apiBaseUrl = options.apiBaseUrl || process.env.TELEGRAM_API_URL || DEFAULT_API_URL;
+        this.apiUrl = `${apiBaseUrl}/bot${botToken}`;
+        
+        // Track which GGSel chat each notification belongs to, so replies can be routed back
+        this.messageChatMap = new Map(); // "<telegram chat id>:<message_id>" -> { chatId: GGSel id_i, shop }
+        this.maxTrackedMessages = 1000;
+        
+        // Chats whose replies are forwarded to buyers (commands are only accepted from chatId)
+        this.replyChatIds = new Set([String(chatId), ...(options.replyChatIds || []).map(String)]);
+        
+        // Long-poll state for incoming updates
+        this.isPolling = false;
+        this.updateOffset = 0;
+        this.onReply = null;
+        this.commands = {};
+        
+        // Buyer attachments are downloaded and re-uploaded up to this size (bytes)
+        const maxAttachmentMb = options.maxAttachmentMb !== undefined ? options.maxAttachmentMb
+            : (process.env.TELEGRAM_MAX_ATTACHMENT_MB !== undefined && process.env.TELEGRAM_MAX_ATTACHMENT_MB !== '' ? Number(process.env.TELEGRAM_MAX_ATTACHMENT_MB) : DEFAULT_MAX_ATTACHMENT_MB);
+        this.maxAttachmentSize = Math.round(maxAttachmentMb * 1024 * 1024);
         
         // Set debug mode (can be passed in constructor or from env)
         this.debugMode = debugMode !== undefined ? debugMode : (process.env.DEBUG_MODE === 'true');
         
+        // Optional outgoing queue (options.queue: TelegramQueue options) - rate limited, retried and saved to disk
+        this.queue = null;
+        if (options.queue) {
+            this.queue = new TelegramQueue({
+                debugMode: this.debugMode,
+                ...options.queue,
+                send: (method, params, job) => this.dispatch(method, params, job.meta),
+                onSent: (result, job) => {
+                    this.notificationMessageDone(job.meta.notification, true);
+                    this.messageSent(result, job.params, job.meta);
+                },
+                onFailed: (error, job) => this.notificationMessageDone(job.meta.notification, false)
+            });
+        }
+
+        // Notifications sent / failed for the metrics - one per notify* call, however many messages it took
+        this.deliveries = { sent: 0, failed: 0 };
+        // Notifications whose messages are still in the queue: id -> { messages, delivered, open }
+        this.queuedNotifications = new Map();
+        
         // Create logger for this instance
         this.logger = {
             log: (...args) => this.debugMode && console.log(...args),
@@ -24,135 +95,726 @@ class TelegramNotifier {
             warn: (...args) => this.debugMode && console.warn(...args),
             info: (...args) => this.debugMode && console.info(...args)
         };
+        
+        // Optional inline keyboard buttons on notifications (options.actions: TelegramActions options)
+        this.actions = options.actions ? new TelegramActions(this, options.actions) : null;
+        // Optional thread per buyer chat - reply chains or forum topics (options.threads: TelegramThreads options)
+        this.threads = options.threads ? new TelegramThreads(this, options.threads) : null;
     }
 
-    // Format date to GMT+3 (Istanbul time)
-    formatDateGMT3(dateString) {
-        if (!dateString) return 'N/A';
-        
+    // Date formatter for a destination's timezone (the default one when not set)
+    datesFor(timeZone) {
+        if (!timeZone) return this.dates;
+        if (!this.dateFormatters.has(timeZone)) {
+            this.dateFormatters.set(timeZone, new DateFormatter({ timeZone: timeZone, locale: this.templates.locale }));
+        }
+        return this.dateFormatters.get(timeZone);
+    }
+
+    // Call a Bot API method (returns the response body)
+    // params.file ({ url, filename }) is downloaded and uploaded with the call
+    async callApi(method, params) {
+        if (params.file) {
+            return await this.uploadFile(method, params);
+        }
+        const response = await httpClient.post(`${this.apiUrl}/${method}`, params);
+        return response.data;
+    }
+
+    // sendPhoto / sendDocument with a file downloaded from its URL
+    // Returns null when the file can't be fetched or is over the size limit - the notification text links it anyway
+    async uploadFile(method, params) {
+        const { file, ...fields } = params;
+
+        let download;
         try {
-            const date = new Date(dateString);
-            // Format in Istanbul timezone
-            return date.toLocaleString('en-US', {
-                timeZone: 'Europe/Istanbul',
-                year: 'numeric',
-                month: '2-digit',
-                day: '2-digit',
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit',
-                hour12: false
+            download = await httpClient.get(file.url, {
+                responseType: 'arraybuffer',
+                maxContentLength: this.maxAttachmentSize,
+                timeout: UPLOAD_TIMEOUT
             });
         } catch (error) {
-            return dateString;
+            this.logger.warn(`⚠️  Not attaching ${file.filename}: ${error.message}`);
+            return null;
+        }
+
+        const blob = new Blob([download.data], { type: download.headers['content-type'] || 'application/octet-stream' });
+        const post = (apiMethod) => {
+            const form = new FormData();
+            for (const [key, value] of Object.entries(fields)) {
+                if (value !== undefined && value !== null) form.append(key, String(value));
+            }
+            form.append(apiMethod === 'sendPhoto' ? 'photo' : 'document', blob, file.filename);
+            return httpClient.post(`${this.apiUrl}/${apiMethod}`, form, { maxBodyLength: Infinity, timeout: UPLOAD_TIMEOUT });
+        };
+
+        try {
+            return (await post(method)).data;
+        } catch (error) {
+            // Telegram refuses some images as photos (size, dimensions) - send those as a file instead
+            if (method === 'sendPhoto' && error.response?.status === 400) {
+                return (await post('sendDocument')).data;
+            }
+            throw error;
         }
     }
 
-    // Send a message to Telegram
+    // sendMessage parameters for options.chatId / options.threadId, or the default chat
+    messageParams(text, options = {}) {
+        return {
+            chat_id: options.chatId || this.chatId,
+            message_thread_id: options.threadId || undefined,
+            text: text,
+            parse_mode: options.parseMode || 'HTML',
+            disable_web_page_preview: options.disablePreview || false,
+            disable_notification: options.silent || false,
+            reply_to_message_id: options.replyTo || undefined,
+            reply_markup: options.replyMarkup || undefined
+        };
+    }
+
+    // Send a message to Telegram right away (to options.chatId / options.threadId, or the default chat)
     async sendMessage(text, options = {}) {
         try {
-            const response = await axios.post(`${this.apiUrl}/sendMessage`, {
-                chat_id: this.chatId,
-                text: text,
-                parse_mode: options.parseMode || 'HTML',
-                disable_web_page_preview: options.disablePreview || false,
-                disable_notification: options.silent || false
-            });
-            
-            return response.data;
+            return await this.callApi('sendMessage', this.messageParams(text, options));
         } catch (error) {
             this.logger.error('Failed to send Telegram message:', error.response?.data || error.message);
             throw error;
         }
     }
 
-    // Format and send new order notification
-    async notifyNewOrder(sale) {
-        const formattedDate = this.formatDateGMT3(sale.date);
-        
-        let text = `
-🎉 <b>NEW ORDER RECEIVED!</b> 🛒
+    // Send a message, or add it to the outgoing queue when there is one (resolves once queued)
+    // Text over Telegram's length limit goes out as numbered parts (the last part's result is returned)
+    // Buttons (options.replyMarkup) and the alert they act on (options.alert) go with the last part
+    // replyChatId: GGSel chat (id_i) that replies to the message are forwarded to
+    async send(text, options = {}, replyChatId = null) {
+        const parts = splitMessage(text);
+        let result = null;
+        for (const [index, part] of parts.entries()) {
+            const partOptions = index === parts.length - 1 ? options : { ...options, replyMarkup: null, alert: null };
+            result = await this.call('sendMessage', this.messageParams(part, partOptions), partOptions, replyChatId);
+        }
+        return result;
+    }
 
-🆔 <b>Invoice ID:</b> ${sale.invoice_id}
-🔗 <b>Order Link:</b> <a href="https://seller.ggsel.net/orders/${sale.invoice_id}">Open Order</a>
-📦 <b>Product:</b> ${sale.product.name}`;
+    // Send a buyer's attachment as a photo or document - attachment: { url, filename, caption }
+    async sendAttachment(attachment, options = {}, replyChatId = null) {
+        const caption = attachment.caption || '';
+        return await this.call(PHOTO_EXTENSIONS.test(attachment.filename || '') ? 'sendPhoto' : 'sendDocument', {
+            chat_id: options.chatId || this.chatId,
+            message_thread_id: options.threadId || undefined,
+            caption: caption.length > MAX_CAPTION_LENGTH ? `${caption.slice(0, MAX_CAPTION_LENGTH - 1)}…` : caption,
+            disable_notification: options.silent || false,
+            file: { url: attachment.url, filename: attachment.filename || 'attachment' }
+        }, { shop: options.shop, thread: options.thread }, replyChatId);
+    }
 
-        if (sale.buyer_email) {
-            text += `\n📧 <b>Buyer Email:</b> ${sale.buyer_email}`;
+    // Make an API call now, or queue it
+    async call(method, params, options, replyChatId) {
+        const meta = {
+            replyChatId: replyChatId,
+            shop: options.shop || null,
+            alert: options.alert || null,
+            thread: options.thread || null,
+            notification: options.notification || null
+        };
+        if (this.queue) {
+            const tracked = this.queuedNotifications.get(meta.notification);
+            if (tracked) tracked.messages++;
+            return this.queue.enqueue(method, params, meta);
         }
 
-        // Show actual order amount if available, otherwise fallback to product prices
-        if (sale.formatted_amount) {
-            text += `\n\n💰 <b>Order Amount:</b> ${sale.formatted_amount}`;
-        } else if (sale.order_amount && sale.currency_type) {
-            text += `\n\n💰 <b>Order Amount:</b> ${sale.order_amount} ${sale.currency_type}`;
+        let result;
+        try {
+            result = await this.dispatch(method, params, meta);
+        } catch (error) {
+            this.logger.error(`Failed to ${method} to Telegram:`, error.response?.data || error.message);
+            throw error;
+        }
+        this.messageSent(result, params, meta);
+        return result;
+    }
+
+    // Make an API call - in its buyer chat's thread when it has one (meta.thread)
+    async dispatch(method, params, meta) {
+        if (!this.threads || !meta.thread) {
+            return await this.callApi(method, params);
+        }
+
+        try {
+            return await this.callApi(method, await this.threads.prepare(params, meta.thread));
+        } catch (error) {
+            // The order's topic was deleted or closed - send to a new one
+            if (!this.threads.forgetIfGone(error, params, meta.thread)) throw error;
+            return await this.callApi(method, await this.threads.prepare(params, meta.thread));
+        }
+    }
+
+    // Bookkeeping once a message is out: reply routing, threads, and the alert text its buttons edit
+    messageSent(result, params, meta) {
+        this.rememberMessage(result, meta.replyChatId, meta.shop);
+        if (this.threads && meta.thread) {
+            this.threads.remember(result, params, meta.thread);
+        }
+        if (this.actions && meta.alert) {
+            this.actions.recordAlert(result, params.text, meta.alert, meta.shop);
+        }
+    }
+
+    // Delivery counts for the notifier registry's metrics: one per notification, not per API call - split
+    // parts, attachments, command replies and digests don't count (see countNotification)
+    getDeliveryStats() {
+        return { ...this.deliveries };
+    }
+
+    // Run send(notificationId) for one notification and count it as sent or failed
+    // With a queue that is only known once the queue has sent or dropped its messages: it is sent when
+    // one of them reached Telegram, failed when all were dropped
+    async countNotification(send) {
+        if (!this.queue) {
+            try {
+                const result = await send(null);
+                this.deliveries.sent++;
+                return result;
+            } catch (error) {
+                this.deliveries.failed++;
+                throw error;
+            }
+        }
+
+        const id = crypto.randomUUID();
+        const tracked = { messages: 0, delivered: false, open: true };
+        this.queuedNotifications.set(id, tracked);
+        try {
+            return await send(id);
+        } finally {
+            // The queue may have sent everything already
+            tracked.open = false;
+            this.notificationMessageDone(id, null);
+        }
+    }
+
+    // One of a queued notification's messages was sent (delivered true) or dropped (false) - null only
+    // checks whether the notification is settled. Messages restored from an earlier run aren't tracked.
+    notificationMessageDone(id, delivered) {
+        const tracked = id ? this.queuedNotifications.get(id) : null;
+        if (!tracked) return;
+        if (delivered !== null) {
+            tracked.messages--;
+            tracked.delivered = tracked.delivered || delivered;
+        }
+        if (tracked.open || tracked.messages > 0) return;
+
+        this.queuedNotifications.delete(id);
+        if (tracked.delivered) {
+            this.deliveries.sent++;
         } else {
-            text += `
+            this.deliveries.failed++;
+        }
+    }
 
-💰 <b>Prices:</b>
-   💵 USD: $${sale.product.price_usd}
-   💶 EUR: €${sale.product.price_eur}
-   💴 RUB: ₽${sale.product.price_rub}${sale.product.price_uah ? `\n   💷 UAH: ₴${sale.product.price_uah}` : ''}`;
+    // Send a notification and its attachments to one destination
+    // Attachments are extras - failing to send one doesn't fail the notification
+    async sendWithAttachments(text, options, replyChatId, attachments) {
+        const result = await this.send(text, options, replyChatId);
+        for (const attachment of attachments) {
+            try {
+                await this.sendAttachment(attachment, options, replyChatId);
+            } catch (error) {
+                this.logger.error(`❌ Failed to send attachment ${attachment.filename}:`, error.message);
+            }
         }
+        return result;
+    }
 
-        text += `
+    // Send a notification to options.chatId / options.threadId when given, otherwise to every destination
+    // the router picks for the event (or the default chat when there is no router)
+    // text: the message, or render(dates) building it with the destination's DateFormatter
+    // replyChatId: GGSel chat (id_i) that replies to the notification are forwarded to
+    // attachments: files sent after the text (see sendAttachment)
+    // Returns the send() result, or an array of them when the router picked the destinations
+    async deliver(eventType, context, text, options = {}, replyChatId = null, attachments = []) {
+        const render = typeof text === 'function' ? text : () => text;
 
-📅 <b>Date:</b> ${formattedDate} (GMT+3)
-        `;
+        if (!this.router || options.chatId) {
+            return await this.countNotification(notification =>
+                this.sendWithAttachments(render(this.datesFor(options.timeZone)), { ...options, notification }, replyChatId, attachments));
+        }
+
+        const destinations = this.router.resolve(eventType, context);
+        if (destinations.length === 0) {
+            this.logger.log(`🧭 No routing rule matched ${eventType} - not sent to Telegram`);
+            return [];
+        }
 
-        return await this.sendMessage(text.trim());
+        return await this.countNotification(async (notification) => {
+            const results = [];
+            let lastError = null;
+            for (const destination of destinations) {
+                try {
+                    const result = await this.sendWithAttachments(render(this.datesFor(destination.timeZone)), { ...options, ...destination, notification }, replyChatId, attachments);
+                    results.push(result);
+                    this.logger.log(`📱 Telegram notification ${this.queue ? 'queued for' : 'sent to'} ${destination.chatId}${destination.threadId ? ` (topic ${destination.threadId})` : ''}`);
+                } catch (error) {
+                    lastError = error;
+                    this.logger.error(`❌ Failed to send Telegram notification to ${destination.chatId}:`, error.message);
+                }
+            }
+
+            // Only report a failure when no destination got the notification
+            if (results.length === 0 && lastError) {
+                throw lastError;
+            }
+            return results;
+        });
     }
 
-    // Format and send new chat notification
-    async notifyNewChat(chat, productName) {
-        const formattedDate = this.formatDateGMT3(chat.last_message);
-        
-        // Use chat.id for the actual chat ID, not chat.id_i (which is invoice ID)
-        const chatId = chat.id || chat.id_i; // Fallback to id_i if id not available
-        
-        const text = `
-💬 <b>NEW CHAT CREATED</b>
+    // Shop label line for notifications when several seller accounts are monitored
+    shopLine(options) {
+        return options.shop ? `🏪 <b>Shop:</b> ${this.escapeHtml(options.shop)}\n` : '';
+    }
 
-🆔 <b>Order Number:</b> ${chat.id_i}
-📦 <b>Product:</b> ${productName || `ID: ${chat.product}`}
-📧 <b>Customer:</b> ${chat.email || 'N/A'}
+    // Format and send new order notification
+    // options: { chatId, threadId } destination (defaults to the routed / configured chat) and shop label
+    async notifyNewOrder(sale, options = {}) {
+        const product = sale.product || {};
 
-🕐 <b>Last Activity:</b> ${formattedDate} (GMT+3)
-        `.trim();
+        // Show actual order amount if available, otherwise the template falls back to product prices
+        let amount = null;
+        if (sale.formatted_amount) {
+            amount = sale.formatted_amount;
+        } else if (sale.order_amount && sale.currency_type) {
+            amount = `${sale.order_amount} ${sale.currency_type}`;
+        }
 
-        return await this.sendMessage(text);
+        const text = (dates) => this.templates.render('new-order', {
+            shop: options.shop || null,
+            invoiceId: sale.invoice_id,
+            orderUrl: `https://seller.ggsel.net/orders/${sale.invoice_id}`,
+            productName: product.name,
+            email: sale.buyer_email || null,
+            amount: amount,
+            prices: { usd: product.price_usd, eur: product.price_eur, rub: product.price_rub, uah: product.price_uah || null },
+            date: dates.format(sale.date)
+        });
+
+        const context = orderContext(sale);
+        options = this.applyQuietHours('order', context, options, {
+            orderId: sale.invoice_id,
+            productName: product.name || null,
+            amount: amount
+        });
+        if (!options) return [];
+
+        if (this.actions) {
+            options = {
+                ...options,
+                replyMarkup: this.actions.orderKeyboard(sale.invoice_id, sale.buyer_email),
+                alert: { kind: 'order', orderId: sale.invoice_id, email: sale.buyer_email || null }
+            };
+        }
+
+        options = this.threadOptions(options, sale.invoice_id, product.name);
+        return await this.deliver('order', context, text, options);
+    }
+
+    // Format and send new chat notification
+    async notifyNewChat(chat, productName, options = {}) {
+        options = this.applyQuietHours('new_chat', chatContext(chat), options, {
+            orderId: chat.id_i,
+            productName: productName || null
+        });
+        if (!options) return [];
+
+        const text = (dates) => this.templates.render('new-chat', {
+            ...this.chatTemplateData(chat, productName, options),
+            lastActivity: dates.format(chat.last_message),
+            lastActivityAgo: chat.last_message ? dates.relative(chat.last_message) : null
+        });
+
+        options = this.threadOptions(options, chat.id_i, productName);
+        return await this.deliver('new_chat', chatContext(chat), text, options, chat.id_i);
     }
 
     // Format and send new message notification
-    async notifyNewMessage(chat, newMessageCount, messages, productName) {
-        // Use chat.id for the actual chat ID, not chat.id_i (which is invoice ID)
-        const chatId = chat.id || chat.id_i; // Fallback to id_i if id not available
-        
-        let text = `
-📨 <b>NEW MESSAGE(S) RECEIVED!</b>
+    async notifyNewMessage(chat, newMessageCount, messages, productName, options = {}) {
+        // Muted with the "Mute this chat for 1h" button
+        if (this.actions && this.actions.isMuted(chat.id_i)) {
+            this.logger.log(`🔕 Chat ${chat.id_i} is muted - not notifying`);
+            return [];
+        }
 
-🆔 <b>Order Number:</b> ${chat.id_i}
-📦 <b>Product:</b> ${productName || `ID: ${chat.product}`}
-📧 <b>Customer:</b> ${chat.email || 'N/A'}
-        `.trim();
+        const lastText = [...(messages || [])].reverse().find(msg => msg.message)?.message;
+        options = this.applyQuietHours('new_message', chatContext(chat), options, {
+            orderId: chat.id_i,
+            productName: productName || null,
+            count: newMessageCount,
+            preview: lastText ? truncate(lastText, 100) : null
+        });
+        if (!options) return [];
 
-        // Add message content
-        if (messages && messages.length > 0) {
-            text += '\n\n━━━━━━━━━━━━━━━━━━━━━\n📝 <b>MESSAGE CONTENT:</b>\n';
-            
-            messages.forEach((msg, index) => {
-                text += `<i>"${this.escapeHtml(msg.message)}"</i>\n`;
+        const items = (messages || []).map(msg => ({
+            text: msg.message || '',
+            filename: msg.is_file ? msg.filename : null,
+            url: msg.is_file && msg.url ? msg.url : null
+        }));
+
+        const text = this.templates.render('new-message', {
+            ...this.chatTemplateData(chat, productName, options),
+            count: newMessageCount,
+            hasMessages: items.length > 0,
+            messages: items
+        });
+
+        // Re-send attached files so they can be viewed in Telegram, with the buyer's text as the caption
+        const attachments = this.maxAttachmentSize > 0
+            ? (messages || []).filter(msg => msg.is_file && /^https?:\/\//.test(msg.url || '')).map(msg => ({
+                url: msg.url,
+                filename: msg.filename,
+                caption: msg.message || msg.filename || ''
+            }))
+            : [];
+
+        if (this.actions) {
+            options = {
+                ...options,
+                replyMarkup: this.actions.messageKeyboard(chat.id_i),
+                alert: { kind: 'message', orderId: chat.id_i, email: chat.email || null }
+            };
+        }
+
+        options = this.threadOptions(options, chat.id_i, productName);
+        return await this.deliver('new_message', chatContext(chat), text, options, chat.id_i, attachments);
+    }
+
+    // Quiet hours for an event - returns the options to send it with (silent during quiet hours),
+    // or null when it is held for the digest or muted
+    // entry: the event's values for the digest template
+    applyQuietHours(eventType, context, options, entry) {
+        if (!this.quietHours) return options;
+
+        switch (this.quietHours.decide(eventType, context)) {
+            case 'mute':
+                this.logger.log(`🔇 ${eventType} notifications are muted - not sent to Telegram`);
+                return null;
+            case 'digest':
+                this.quietHours.hold({ eventType: eventType, context: context, shop: options.shop || null, ...entry });
+                this.logger.log(`🌙 Quiet hours - ${eventType} ${entry.orderId} saved for the digest`);
+                return null;
+            case 'silent':
+                return { ...options, silent: true };
+            default:
+                return options;
+        }
+    }
+
+    // Send the events held during quiet hours as one digest per destination
+    async sendDigest() {
+        const entries = this.quietHours.takeDigest();
+        if (entries.length === 0) return;
+
+        // Group the events by the chats / topics they would have gone to
+        const groups = new Map();
+        for (const entry of entries) {
+            const destinations = this.router ? this.router.resolve(entry.eventType, entry.context) : [{ chatId: String(this.chatId), threadId: null }];
+            for (const destination of destinations) {
+                const key = `${destination.chatId}:${destination.threadId || ''}`;
+                if (!groups.has(key)) groups.set(key, { destination: destination, entries: [] });
+                groups.get(key).entries.push(entry);
+            }
+        }
+
+        const failed = new Set();
+        for (const { destination, entries: items } of groups.values()) {
+            const dates = this.datesFor(destination.timeZone);
+            const text = this.templates.render('digest', {
+                count: items.length,
+                items: items.map(entry => ({
+                    isOrder: entry.eventType === 'order',
+                    isChat: entry.eventType === 'new_chat',
+                    isMessage: entry.eventType === 'new_message',
+                    time: dates.format(entry.at),
+                    orderId: entry.orderId,
+                    productName: entry.productName || null,
+                    amount: entry.amount || null,
+                    count: entry.count || null,
+                    preview: entry.preview || null,
+                    shop: entry.shop || null
+                }))
+            });
+
+            try {
+                await this.send(text, { ...destination, disablePreview: true });
+                this.logger.log(`🌙 Sent a digest of ${items.length} event(s) to ${destination.chatId}`);
+            } catch (error) {
+                items.forEach(entry => failed.add(entry));
+                this.logger.error(`❌ Failed to send the digest to ${destination.chatId}:`, error.message);
+            }
+        }
+
+        // Keep what didn't go out for the next try
+        if (failed.size > 0) {
+            this.quietHours.restore(entries.filter(entry => failed.has(entry)));
+        }
+    }
+
+    // Notifications about one order / buyer chat share a thread (see TelegramThreads)
+    threadOptions(options, orderId, title) {
+        if (!this.threads) return options;
+        return { ...options, thread: { orderId: orderId, title: title || null, shop: options.shop || null } };
+    }
+
+    // Values shared by the chat and message templates
+    chatTemplateData(chat, productName, options) {
+        return {
+            shop: options.shop || null,
+            orderId: chat.id_i,
+            productId: chat.product,
+            productName: productName || null,
+            email: chat.email || null
+        };
+    }
+
+    // Format and send auto-reply notification
+    // reply: { rule, text, dryRun } as returned by AutoReplier.handle()
+    async notifyAutoReply(chat, reply, options = {}) {
+        const text = this.templates.render('auto-reply', {
+            shop: options.shop || null,
+            orderId: chat.id_i,
+            rule: reply.rule,
+            text: reply.text,
+            dryRun: Boolean(reply.dryRun)
+        });
+
+        return await this.deliver('new_message', chatContext(chat), text, this.threadOptions({ ...options, silent: true }, chat.id_i, null), chat.id_i);
+    }
+
+    // Reminder about buyers waiting for an answer
+    // chats: [{ chatId, productId, productName, since }] as returned by GGSelChatMonitor.getAwaitingReply()
+    // options.minutes: how long they have waited at least
+    async notifyAwaitingReply(chats, options = {}) {
+        const text = (dates) => this.templates.render('awaiting-reply', {
+            shop: options.shop || null,
+            count: chats.length,
+            minutes: options.minutes,
+            chats: chats.map(chat => ({
+                orderId: chat.chatId,
+                productName: chat.productName || null,
+                since: dates.relative(chat.since)
+            }))
+        });
+
+        return await this.deliver('new_message', {}, text, options);
+    }
+
+    // Build the text of a sales report (sales-report template)
+    // kind: 'daily', 'weekly' or null for a custom range; summary: as returned by SalesLedger.summarize();
+    // periodLabel: the dates covered (days in summary.timeZone, the ledger's timezone)
+    formatSalesReport(kind, periodLabel, summary, options = {}) {
+        const currencies = Object.keys({ ...summary.revenue, ...summary.previous.revenue }).sort();
+        const averages = Object.keys(summary.averageOrder).sort();
+
+        return this.templates.render('sales-report', {
+            daily: kind === 'daily',
+            weekly: kind === 'weekly',
+            period: periodLabel,
+            timeZone: summary.timeZone || this.dates.timeZone,
+            shop: options.shop || null,
+            hasOrders: summary.orderCount > 0,
+            orderCount: summary.orderCount,
+            orderChange: reportChange(summary.orderCount, summary.previous.orderCount),
+            hasRevenue: currencies.length > 0,
+            revenue: currencies.map(currency => {
+                const amount = summary.revenue[currency] || 0;
+                return { currency: currency, amount: amount, change: reportChange(amount, summary.previous.revenue[currency] || 0) };
+            }),
+            hasAverageOrder: averages.length > 0,
+            averageOrder: averages.map(currency => ({ currency: currency, amount: summary.averageOrder[currency] })),
+            hasTopProducts: summary.topProducts.length > 0,
+            topProducts: summary.topProducts.map((product, index) => ({
+                rank: index + 1,
+                name: product.name || null,
+                productId: product.productId,
+                count: product.count
+            }))
+        });
+    }
+
+    // Format and send a sales report
+    async notifySalesReport(kind, periodLabel, summary, options = {}) {
+        return await this.deliver('report', {}, this.formatSalesReport(kind, periodLabel, summary, options), { ...options, silent: true });
+    }
+
+    // Format and send monitor error notification
+    async notifyError(error, context, options = {}) {
+        const time = Date.now();
+        const text = (dates) => this.templates.render('error', {
+            shop: options.shop || null,
+            context: context || 'Polling',
+            error: error.message || String(error),
+            time: dates.format(time)
+        });
+
+        return await this.deliver('error', {}, text, options);
+    }
+
+    // Remember which GGSel chat (and shop) a sent notification belongs to
+    rememberMessage(result, chatId, shop) {
+        const messageId = result?.result?.message_id;
+        if (!messageId || !chatId) return;
+
+        this.messageChatMap.set(`${result.result.chat.id}:${messageId}`, { chatId: chatId, shop: shop || null });
+
+        // Drop the oldest entries so the map doesn't grow forever
+        while (this.messageChatMap.size > this.maxTrackedMessages) {
+            const oldestKey = this.messageChatMap.keys().next().value;
+            this.messageChatMap.delete(oldestKey);
+        }
+    }
+
+    // Fetch incoming updates (long poll)
+    async getUpdates(timeout = 30) {
+        const response = await httpClient.get(`${this.apiUrl}/getUpdates`, {
+            params: {
+                offset: this.updateOffset,
+                timeout: timeout,
+                allowed_updates: JSON.stringify(['message', 'callback_query'])
+            },
+            timeout: (timeout + 10) * 1000
+        });
+
+        return response.data.result || [];
+    }
+
+    // Start listening for replies to notifications and bot commands
+    // onReply(id_i, text, message, shop) should send the text to the GGSel chat and throw on failure
+    // commands maps a command name to { handler(args, message) } returning the reply text
+    startPolling(handlers = {}) {
+        if (this.isPolling) {
+            this.logger.log('⚠️  Telegram polling is already running');
+            return;
+        }
+
+        this.onReply = handlers.onReply || null;
+        this.commands = handlers.commands || {};
+        this.isPolling = true;
+        this.logger.log('👂 Listening for Telegram replies...');
+        this.pollUpdates();
+    }
+
+    // Stop listening for replies
+    stopPolling() {
+        this.isPolling = false;
+    }
+
+    // Long-poll loop - runs until stopPolling() is called
+    async pollUpdates() {
+        while (this.isPolling) {
+            try {
+                const updates = await this.getUpdates();
                 
-                if (msg.is_file) {
-                    text += `📎 Attachment: ${msg.filename}\n`;
-                    if (msg.url) {
-                        text += `🔗 ${msg.url}\n`;
+                for (const update of updates) {
+                    this.updateOffset = update.update_id + 1;
+                    
+                    try {
+                        await this.handleUpdate(update);
+                    } catch (error) {
+                        this.logger.error('❌ Failed to handle Telegram update:', error.message);
                     }
                 }
-            });
+            } catch (error) {
+                this.logger.error('❌ Telegram getUpdates failed:', error.response?.data || error.message);
+                // Wait before retrying so we don't hammer the API
+                await new Promise(resolve => setTimeout(resolve, 5000));
+            }
         }
+    }
 
-        return await this.sendMessage(text);
+    // Handle a single incoming update
+    async handleUpdate(update) {
+        // Notification button presses
+        if (update.callback_query) {
+            if (this.actions) {
+                await this.actions.handleCallback(update.callback_query);
+            }
+            return;
+        }
+
+        const message = update.message;
+        if (!message || !message.text) return;
+
+        // Only accept messages from chats we send notifications to
+        const fromChatId = String(message.chat.id);
+        if (!this.replyChatIds.has(fromChatId)) {
+            this.logger.warn(`⚠️  Ignoring message from unknown chat ${message.chat.id}`);
+            return;
+        }
+
+        if (message.text.startsWith('/')) {
+            // Commands control the whole monitor - only the main chat may use them
+            if (fromChatId === String(this.chatId)) {
+                await this.handleCommand(message);
+            }
+            return;
+        }
+
+        // In a forum topic every message "replies" to the topic's first message - that is not a reply,
+        // just people talking in the topic, and it never goes to the buyer
+        const repliedTo = message.is_topic_message && message.reply_to_message?.message_id === message.message_thread_id
+            ? null
+            : message.reply_to_message;
+        const target = repliedTo ? this.messageChatMap.get(`${fromChatId}:${repliedTo.message_id}`) : null;
+        if (!target) {
+            if (!repliedTo) return;
+            await this.replyTo(message, this.templates.render('reply-status', { notLinked: true }));
+            return;
+        }
+
+        if (!this.onReply) return;
+
+        const chatId = target.chatId;
+        try {
+            await this.onReply(chatId, message.text, message, target.shop);
+            this.logger.log(`✅ Reply sent to order ${chatId}`);
+            await this.replyTo(message, this.templates.render('reply-status', { sent: true, orderId: chatId }));
+        } catch (error) {
+            this.logger.error(`❌ Failed to send reply to order ${chatId}:`, error.message);
+            await this.replyTo(message, this.templates.render('reply-status', { failed: true, orderId: chatId, error: error.message }));
+        }
+    }
+
+    // Handle a bot command like "/orders 10"
+    async handleCommand(message) {
+        const [commandText, ...args] = message.text.trim().split(/\s+/);
+        // Strip the leading slash and an optional @BotName suffix
+        const name = commandText.slice(1).split('@')[0].toLowerCase();
+        const command = this.commands[name];
+
+        if (!command) {
+            await this.replyTo(message, this.templates.render('command-error', { unknown: true, command: commandText }));
+            return;
+        }
+
+        this.logger.log(`🤖 Command received: /${name} ${args.join(' ')}`);
+
+        try {
+            const reply = await command.handler(args, message);
+            if (reply) {
+                await this.replyTo(message, reply);
+            }
+        } catch (error) {
+            this.logger.error(`❌ Command /${name} failed:`, error.message);
+            await this.replyTo(message, this.templates.render('command-error', { failed: true, command: `/${name}`, error: error.message }));
+        }
+    }
+
+    // Reply to an incoming message in the same chat (and forum topic)
+    async replyTo(message, text) {
+        return await this.send(text, {
+            chatId: message.chat.id,
+            threadId: message.message_thread_id,
+            replyTo: message.message_id
+        });
     }
 
     // Escape HTML special characters
@@ -169,7 +831,7 @@ class TelegramNotifier {
     // Test the connection
     async testConnection() {
         try {
-            const response = await axios.get(`${this.apiUrl}/getMe`);
+            const response = await httpClient.get(`${this.apiUrl}/getMe`);
             this.logger.log('✅ Telegram bot connected successfully!');
             this.logger.log(`   Bot name: ${response.data.result.first_name}`);
             this.logger.log(`   Bot username: @${response.data.result.username}`);
@@ -182,24 +844,108 @@ class TelegramNotifier {
 
     // Send a test message
     async sendTestMessage() {
-        const text = `
-🤖 <b>GGSel Monitor Connected!</b>
+        const text = this.templates.render('test-message', {
+            startedAt: this.dates.format(Date.now()),
+            debugMode: this.debugMode
+        });
 
-✅ Your Telegram notifications are working!
-📱 You will receive alerts for:
-   • New orders 🛒
-   • New chats 💬
-   • New messages 📨
+        return await this.sendMessage(text);
+    }
+}
 
-🕐 Started: ${new Date().toLocaleString()}
-🔇 Debug Mode: ${this.debugMode ? 'ON' : 'OFF'}
-        `.trim();
+// Split HTML text into numbered parts that fit in one message each
+// Parts end at a line break where possible, otherwise at a space; tags and entities are never cut,
+// and tags still open at a split are closed at the end of the part and reopened in the next one
+function splitMessage(text, limit = MAX_MESSAGE_LENGTH) {
+    if (text.length <= limit) return [text];
 
-        return await this.sendMessage(text);
+    const budget = limit - PART_LABEL_RESERVE;
+    const parts = [];
+    let rest = text;
+    let reopen = '';
+
+    while (rest.length > 0) {
+        const body = reopen + rest;
+        if (body.length <= budget) {
+            parts.push(body);
+            break;
+        }
+
+        // Leave room to close the tags that are open where we cut
+        let max = budget;
+        let cut;
+        let open;
+        for (;;) {
+            cut = findCut(body, max, reopen.length + 1);
+            open = openTags(body.slice(0, cut));
+            const closingLength = open.reduce((length, tag) => length + tag.name.length + 3, 0);
+            if (cut + closingLength <= budget || max <= reopen.length + 1) break;
+            max = budget - closingLength;
+        }
+
+        parts.push(body.slice(0, cut).trimEnd() + open.map(tag => `</${tag.name}>`).reverse().join(''));
+        rest = body.slice(cut).replace(/^\s+/, '');
+        reopen = open.map(tag => tag.opening).join('');
+    }
+
+    return parts.map((part, index) => `📄 <b>(${index + 1}/${parts.length})</b>\n${part}`);
+}
+
+// Where to end a part of at most `max` characters: the last line break, else the last space
+// (if either is in the second half), else `max` - moved back so no tag, entity or emoji is cut
+function findCut(text, max, min) {
+    const half = min + (max - min) / 2;
+    let cut = text.lastIndexOf('\n', max);
+    if (cut < half) cut = text.lastIndexOf(' ', max);
+    if (cut < half) cut = max;
+
+    const tagStart = text.lastIndexOf('<', cut - 1);
+    if (tagStart > text.lastIndexOf('>', cut - 1)) cut = tagStart;
+
+    const entityStart = text.lastIndexOf('&', cut - 1);
+    if (entityStart > text.lastIndexOf(';', cut - 1) && cut - entityStart <= 10) cut = entityStart;
+
+    // Don't split a surrogate pair
+    const code = text.charCodeAt(cut - 1);
+    if (code >= 0xd800 && code <= 0xdbff) cut--;
+
+    return Math.max(cut, min);
+}
+
+// Tags left open at the end of an HTML fragment, outermost first: [{ name, opening }]
+function openTags(html) {
+    const open = [];
+    for (const match of html.matchAll(/<(\/?)([a-zA-Z-]+)[^>]*>/g)) {
+        const name = match[2].toLowerCase();
+        if (!match[1]) {
+            open.push({ name: name, opening: match[0] });
+            continue;
+        }
+        const index = open.map(tag => tag.name).lastIndexOf(name);
+        if (index !== -1) open.splice(index, 1);
+    }
+    return open;
+}
+
+// Shorten text to `length` characters (emoji count as one) with an ellipsis
+function truncate(text, length) {
+    const chars = Array.from(text);
+    return chars.length > length ? `${chars.slice(0, length - 1).join('')}…` : text;
+}
+
+// Change against the previous period for the sales-report template: null when both are zero,
+// isNew when there was nothing before, otherwise the signed percentage
+function reportChange(current, previous) {
+    if (previous === 0) {
+        return current === 0 ? null : { isNew: true, percent: null, previous: 0 };
     }
+    const change = Math.round(((current - previous) / previous) * 1000) / 10;
+    return { isNew: false, percent: `${change >= 0 ? '+' : ''}${change}`, previous: previous };
 }
 
 module.exports = TelegramNotifier;
+module.exports.splitMessage = splitMessage;
+module.exports.MAX_MESSAGE_LENGTH = MAX_MESSAGE_LENGTH;
 
 // Test the module if run directly
 if (require.main === module) {
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+
+// Network errors where the message may go through on another try
+const RETRYABLE_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ERR_REQUEST_TIMEOUT'];
+const DEFAULT_QUEUE_FILE = 'telegram-queue.json';
+
+// Persistent outgoing queue for Telegram Bot API calls
+//
+// Messages are sent one at a time, in order per chat, within Telegram's limits
+// (https://core.telegram.org/bots/faq#my-bot-is-hitting-limits-how-do-i-avoid-this):
+//   - globalPerSecond (default 30) messages per second overall
+//   - perChatPerSecond (default 1) message per second to the same chat
+//   - perGroupPerMinute (default 20) messages per minute to the same group (negative chat IDs)
+// A 429 answer pauses the whole queue for the `retry_after` seconds Telegram asks for. Network and
+// server errors are retried with exponential backoff (retryDelay, doubled up to maxAttempts); other
+// errors (bad request, bot blocked) drop the message. Until a message is sent, later messages to the
+// same chat wait behind it.
+//
+// The queue is written to `file` a moment after it changes (saveDelay, default 1s - changes in between
+// share one write) and on stop(), so unsent messages survive a restart.
+// options.send(method, params, job) performs the API call; options.onSent(result, job) runs after each send
+// and options.onFailed(error, job) after a message is dropped.
+class TelegramQueue {
+    constructor(options = {}) {
+        if (typeof options.send !== 'function') {
+            throw new Error('TelegramQueue needs a send(method, params) function');
+        }
+
+        this.send = options.send;
+        this.onSent = options.onSent || null;
+        this.onFailed = options.onFailed || null;
+        this.file = options.file === null ? null : path.resolve(options.file || process.env.TELEGRAM_QUEUE_FILE || DEFAULT_QUEUE_FILE);
+        this.globalInterval = 1000 / (options.globalPerSecond || 30);
+        this.chatInterval = 1000 / (options.perChatPerSecond || 1);
+        this.groupInterval = 60000 / (options.perGroupPerMinute || 20);
+        this.maxAttempts = options.maxAttempts || 5;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000; // First retry delay (ms), doubled each time
+        this.saveDelay = options.saveDelay !== undefined ? options.saveDelay : 1000; // Changes within this time (ms) share one write
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        this.jobs = []; // { id, method, params, meta, attempts, notBefore, createdAt } in send order
+        this.nextId = 1;
+        this.isRunning = false;
+        this.isSending = false;
+        this.timer = null;
+        this.idleWaiters = [];
+        this.saveTimer = null;
+
+        // Rate limit bookkeeping
+        this.lastSentAt = 0;
+        this.chatLastSentAt = new Map(); // chat_id -> time of the last send
+        this.pausedUntil = 0; // Set by 429 answers
+
+        this.stats = { sent: 0, failed: 0, retried: 0, rateLimited: 0 };
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => this.debugMode && console.info(...args)
+        };
+    }
+
+    // Restore messages left over from the last run
+    load() {
+        if (!this.file) return 0;
+
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        this.jobs = saved.jobs || [];
+        this.nextId = this.jobs.reduce((max, job) => Math.max(max, job.id + 1), 1);
+        if (this.jobs.length > 0) {
+            this.logger.log(`📤 Restored ${this.jobs.length} unsent Telegram message(s) from ${this.file}`);
+        }
+        return this.jobs.length;
+    }
+
+    // Write the queue to disk soon - every change until then goes out in the same write
+    save() {
+        if (!this.file || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), this.saveDelay);
+    }
+
+    // Write the queue to disk now - temp file first so a crash never leaves a half-written file
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.file) return;
+
+        try {
+            const tempPath = `${this.file}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify({ jobs: this.jobs }));
+            fs.renameSync(tempPath, this.file);
+        } catch (error) {
+            this.logger.error('❌ Failed to save Telegram queue:', error.message);
+        }
+    }
+
+    // Queue an API call (e.g. 'sendMessage' with its parameters); meta is handed back to onSent / onFailed
+    enqueue(method, params, meta = {}) {
+        const job = {
+            id: this.nextId++,
+            method: method,
+            params: params,
+            meta: meta,
+            attempts: 0,
+            notBefore: 0,
+            createdAt: Date.now()
+        };
+        this.jobs.push(job);
+        this.save();
+        this.wake();
+        return job;
+    }
+
+    // Number of messages waiting to be sent
+    getDepth() {
+        return this.jobs.length;
+    }
+
+    getStats() {
+        return {
+            depth: this.jobs.length,
+            oldestQueuedAt: this.jobs.length > 0 ? Math.min(...this.jobs.map(job => job.createdAt)) : null,
+            pausedUntil: this.pausedUntil > Date.now() ? this.pausedUntil : null,
+            ...this.stats
+        };
+    }
+
+    start() {
+        this.isRunning = true;
+        this.wake();
+    }
+
+    // Stop sending - whatever is left is written to the file for the next start
+    stop() {
+        this.isRunning = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.saveTimer) this.flush();
+    }
+
+    // Resolves once the queue is empty
+    onIdle() {
+        if (this.jobs.length === 0) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    // Send the next message now, or set a timer for when one may be sent
+    wake() {
+        if (!this.isRunning || this.isSending) return;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const next = this.nextJob(Date.now());
+        if (!next) {
+            this.idleWaiters.splice(0).forEach(resolve => resolve());
+            return;
+        }
+
+        if (next.wait > 0) {
+            this.timer = setTimeout(() => this.wake(), next.wait);
+            return;
+        }
+
+        this.isSending = true;
+        this.process(next.job).finally(() => {
+            this.isSending = false;
+            this.wake();
+        });
+    }
+
+    // The first message of each chat is a candidate - pick the one that may be sent soonest
+    nextJob(now) {
+        const seenChats = new Set();
+        let best = null;
+
+        for (const job of this.jobs) {
+            const chatId = String(job.params.chat_id);
+            if (seenChats.has(chatId)) continue;
+            seenChats.add(chatId);
+
+            const interval = chatId.startsWith('-') ? this.groupInterval : this.chatInterval;
+            const readyAt = Math.max(
+                job.notBefore,
+                this.pausedUntil,
+                this.lastSentAt + this.globalInterval,
+                (this.chatLastSentAt.get(chatId) || 0) + interval
+            );
+            if (!best || readyAt < best.readyAt) {
+                best = { job: job, readyAt: readyAt };
+            }
+        }
+
+        return best ? { job: best.job, wait: Math.max(0, best.readyAt - now) } : null;
+    }
+
+    async process(job) {
+        const chatId = String(job.params.chat_id);
+        const now = Date.now();
+        this.lastSentAt = now;
+        this.chatLastSentAt.set(chatId, now);
+        this.trimChatTimes(now);
+
+        let result;
+        try {
+            result = await this.send(job.method, job.params, job);
+        } catch (error) {
+            this.handleFailure(job, error);
+            return;
+        }
+
+        this.remove(job);
+        this.stats.sent++;
+        if (this.onSent) {
+            try {
+                await this.onSent(result, job);
+            } catch (error) {
+                this.logger.error('❌ Telegram queue onSent failed:', error.message);
+            }
+        }
+    }
+
+    handleFailure(job, error) {
+        const status = error.response?.status;
+        const description = error.response?.data?.description || error.message;
+
+        // Too many requests - wait as long as Telegram asks, without using up an attempt
+        if (status === 429) {
+            const retryAfter = Number(error.response.data?.parameters?.retry_after) || 1;
+            this.pausedUntil = Date.now() + retryAfter * 1000;
+            this.stats.rateLimited++;
+            this.logger.warn(`⏳ Telegram rate limit hit - pausing the queue for ${retryAfter}s`);
+            return;
+        }
+
+        job.attempts++;
+        // Server errors and network errors are worth another try - anything else (bad request, a bug) never goes through
+        const retryable = status ? status >= 500 : RETRYABLE_CODES.includes(error.code);
+        if (retryable && job.attempts < this.maxAttempts) {
+            job.notBefore = Date.now() + this.retryDelay * Math.pow(2, job.attempts - 1);
+            this.stats.retried++;
+            this.save();
+            this.logger.warn(`⚠️  Telegram ${job.method} to ${job.params.chat_id} failed (attempt ${job.attempts}/${this.maxAttempts}): ${description}`);
+            return;
+        }
+
+        this.remove(job);
+        this.stats.failed++;
+        this.logger.error(`❌ Dropped Telegram ${job.method} to ${job.params.chat_id} after ${job.attempts} attempt(s): ${description}`);
+        if (this.onFailed) {
+            try {
+                this.onFailed(error, job);
+            } catch (callbackError) {
+                this.logger.error('❌ Telegram queue onFailed failed:', callbackError.message);
+            }
+        }
+    }
+
+    remove(job) {
+        this.jobs = this.jobs.filter(queued => queued !== job);
+        this.save();
+    }
+
+    // Forget chats we haven't sent to for a while so the map doesn't grow forever
+    trimChatTimes(now) {
+        if (this.chatLastSentAt.size < 1000) return;
+        for (const [chatId, time] of this.chatLastSentAt) {
+            if (now - time > this.groupInterval) {
+                this.chatLastSentAt.delete(chatId);
+            }
+        }
+    }
+}
+
+module.exports = TelegramQueue;
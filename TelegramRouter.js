@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+const DateFormatter = require('./DateFormatter');
+
+// Event types that can be routed
+const EVENT_TYPES = ['order', 'new_chat', 'new_message', 'error', 'report'];
+
+// Routes each event to one or more Telegram chats / forum topics
+//
+// Config format (JSON):
+// {
+//   "rules": [
+//     { "events": ["order"], "to": ["-1001234567890"] },
+//     { "events": ["new_chat", "new_message"], "to": [{ "chatId": "-1009876543210", "threadId": 42 }] },
+//     { "events": ["order"], "to": ["123456789"], "minAmount": 100, "currency": "USD" },
+//     { "events": ["order", "new_message"], "to": ["-1001234567890"], "productIds": [100500] },
+//     { "events": ["order"], "to": [{ "chatId": "555000111", "timeZone": "Europe/Moscow" }] }
+//   ]
+// }
+//
+// Every matching rule adds its destinations; the same chat/topic is never notified twice.
+// A destination's timeZone (IANA name) sets how dates are shown there (default: TIMEZONE).
+class TelegramRouter {
+    constructor(config = {}) {
+        this.rules = (config.rules || []).map((rule, index) => normalizeRule(rule, index));
+    }
+
+    // Default routing: every event goes to a single chat
+    static forSingleChat(chatId) {
+        return new TelegramRouter({
+            rules: [{ events: EVENT_TYPES, to: [String(chatId)] }]
+        });
+    }
+
+    // Load routing rules from a JSON file
+    static fromFile(filePath) {
+        const raw = fs.readFileSync(path.resolve(filePath), 'utf8');
+        return new TelegramRouter(JSON.parse(raw));
+    }
+
+    // Get the destinations for an event
+    // context: { productId, amounts } where amounts maps a currency code to the order amount in it
+    resolve(eventType, context = {}) {
+        const destinations = [];
+        const seen = new Set();
+
+        for (const rule of this.rules) {
+            if (!rule.events.includes(eventType)) continue;
+            if (!matchesRule(rule, context)) continue;
+
+            for (const destination of rule.to) {
+                const key = `${destination.chatId}:${destination.threadId || ''}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                destinations.push(destination);
+            }
+        }
+
+        return destinations;
+    }
+
+    // Every chat ID that receives notifications (replies are accepted from these chats)
+    getChatIds() {
+        const chatIds = new Set();
+        for (const rule of this.rules) {
+            for (const destination of rule.to) {
+                chatIds.add(destination.chatId);
+            }
+        }
+        return Array.from(chatIds);
+    }
+}
+
+// Build the routing context for an order
+function orderContext(sale) {
+    const amounts = {};
+    const product = sale.product || {};
+
+    // Listed product prices first, then the actual amount paid (more accurate) on top
+    for (const currency of ['usd', 'eur', 'rub', 'uah']) {
+        if (product[`price_${currency}`] !== undefined) {
+            amounts[currency.toUpperCase()] = Number(product[`price_${currency}`]);
+        }
+    }
+    if (sale.order_amount && sale.currency_type) {
+        amounts[String(sale.currency_type).toUpperCase()] = Number(sale.order_amount);
+    }
+
+    return { productId: product.id, amounts: amounts };
+}
+
+// Build the routing context for a chat or message event
+function chatContext(chat) {
+    return { productId: chat.product };
+}
+
+function normalizeRule(rule, index) {
+    const events = rule.events || [];
+    for (const event of events) {
+        if (!EVENT_TYPES.includes(event)) {
+            throw new Error(`Routing rule #${index + 1}: unknown event "${event}" (expected ${EVENT_TYPES.join(', ')})`);
+        }
+    }
+
+    const to = (rule.to || []).map((destination) => {
+        if (typeof destination === 'object') {
+            const normalized = { chatId: String(destination.chatId), threadId: destination.threadId || null };
+            if (destination.timeZone) {
+                try {
+                    new DateFormatter({ timeZone: destination.timeZone });
+                } catch (error) {
+                    throw new Error(`Routing rule #${index + 1}: ${error.message}`);
+                }
+                normalized.timeZone = destination.timeZone;
+            }
+            return normalized;
+        }
+        return { chatId: String(destination), threadId: null };
+    });
+    if (to.length === 0) {
+        throw new Error(`Routing rule #${index + 1}: "to" needs at least one chat ID`);
+    }
+
+    return {
+        events: events,
+        to: to,
+        productIds: rule.productIds ? rule.productIds.map(Number) : null,
+        minAmount: rule.minAmount !== undefined ? Number(rule.minAmount) : null,
+        maxAmount: rule.maxAmount !== undefined ? Number(rule.maxAmount) : null,
+        currency: (rule.currency || 'USD').toUpperCase()
+    };
+}
+
+function matchesRule(rule, context) {
+    if (rule.productIds && !rule.productIds.includes(Number(context.productId))) {
+        return false;
+    }
+
+    if (rule.minAmount !== null || rule.maxAmount !== null) {
+        // Amount filters only apply to events that carry an amount in the rule's currency
+        const amount = context.amounts ? context.amounts[rule.currency] : undefined;
+        if (amount === undefined || Number.isNaN(amount)) return false;
+        if (rule.minAmount !== null && amount < rule.minAmount) return false;
+        if (rule.maxAmount !== null && amount > rule.maxAmount) return false;
+    }
+
+    return true;
+}
+
+module.exports = TelegramRouter;
+module.exports.orderContext = orderContext;
+module.exports.chatContext = chatContext;
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,138 @@
+const { JsonFileStateStore } = require('./StateStore');
+
+const DEFAULT_STATE_FILE = 'telegram-threads.json';
+const MODES = ['reply', 'topic'];
+// Longest forum topic name Telegram accepts
+const MAX_TOPIC_NAME = 128;
+// Bot API errors meaning a saved topic can't be posted to any more
+const TOPIC_GONE = /message thread not found|TOPIC_DELETED|TOPIC_CLOSED|TOPIC_ID_INVALID/i;
+
+// Keeps every notification about one buyer chat (GGSel id_i) in one Telegram thread
+//
+// mode "reply": the first notification about an order starts the thread, later ones are sent as replies to it
+// mode "topic": each order gets its own forum topic (the chat must be a forum supergroup and the bot
+//               needs the "Manage topics" right); only replies to a notification go to the buyer
+//
+// Threads are kept per destination chat, so routed notifications each get their own thread.
+// They are saved to `file`, so later messages land in the same thread after a restart.
+// options: { mode (TELEGRAM_THREADS), file (TELEGRAM_THREADS_FILE), maxThreads }
+class TelegramThreads {
+    constructor(telegram, options = {}) {
+        this.telegram = telegram;
+        this.mode = options.mode || process.env.TELEGRAM_THREADS || 'reply';
+        if (!MODES.includes(this.mode)) {
+            throw new Error(`Unknown thread mode "${this.mode}" (expected ${MODES.join(' or ')})`);
+        }
+        this.store = options.file === null ? null : new JsonFileStateStore(options.file || process.env.TELEGRAM_THREADS_FILE || DEFAULT_STATE_FILE);
+        this.maxThreads = options.maxThreads || 5000;
+
+        this.threads = new Map(); // "<telegram chat id>:<topic id>:<id_i>" -> { messageId } (reply) or { threadId } (topic)
+        this.creating = new Map(); // Topics being created -> promise of the topic ID
+        this.saving = Promise.resolve();
+        this.logger = telegram.logger;
+    }
+
+    async load() {
+        if (!this.store) return 0;
+        const state = await this.store.load();
+        this.threads = new Map((state && state.threads) || []);
+        return this.threads.size;
+    }
+
+    // Saves run one after another - two writes at once would race on the temp file
+    save() {
+        if (!this.store) return Promise.resolve();
+        this.saving = this.saving.then(async () => {
+            try {
+                await this.store.save({ threads: Array.from(this.threads) });
+            } catch (error) {
+                this.logger.error('❌ Failed to save Telegram threads:', error.message);
+            }
+        });
+        return this.saving;
+    }
+
+    key(params, thread) {
+        return `${params.chat_id}:${params.message_thread_id || ''}:${thread.orderId}`;
+    }
+
+    set(key, value) {
+        // Re-insert so the most recently used threads are dropped last
+        this.threads.delete(key);
+        this.threads.set(key, value);
+        while (this.threads.size > this.maxThreads) {
+            this.threads.delete(this.threads.keys().next().value);
+        }
+        this.save();
+    }
+
+    // API call parameters placed in the order's thread
+    // thread: { orderId, title, shop } as set by TelegramNotifier
+    async prepare(params, thread) {
+        const key = this.key(params, thread);
+        const saved = this.threads.get(key);
+
+        if (this.mode === 'reply') {
+            // An explicit reply (e.g. to a command) or the first message of the thread stays as it is
+            if (!saved || params.reply_to_message_id) return params;
+            return { ...params, reply_to_message_id: saved.messageId, allow_sending_without_reply: true };
+        }
+
+        const threadId = saved ? saved.threadId : await this.createTopic(key, params, thread);
+        return threadId ? { ...params, message_thread_id: threadId } : params;
+    }
+
+    // Create the order's forum topic (once, even when several messages are sent at the same time)
+    // Returns null when the topic can't be created - the message then goes to the chat as usual
+    createTopic(key, params, thread) {
+        if (!this.creating.has(key)) {
+            const creating = this.telegram.callApi('createForumTopic', {
+                chat_id: params.chat_id,
+                name: topicName(thread)
+            }).then((response) => {
+                const threadId = response.result.message_thread_id;
+                this.set(key, { threadId: threadId });
+                this.logger.log(`🧵 Created topic ${threadId} for order ${thread.orderId}`);
+                return threadId;
+            }).catch((error) => {
+                this.logger.error(`❌ Failed to create a topic for order ${thread.orderId}:`, error.response?.data?.description || error.message);
+                return null;
+            }).finally(() => {
+                this.creating.delete(key);
+            });
+            this.creating.set(key, creating);
+        }
+        return this.creating.get(key);
+    }
+
+    // After a send: the first message about an order starts its reply chain
+    remember(result, params, thread) {
+        const messageId = result?.result?.message_id;
+        if (this.mode !== 'reply' || !messageId) return;
+
+        const key = this.key(params, thread);
+        if (!this.threads.has(key)) {
+            this.set(key, { messageId: messageId });
+        }
+    }
+
+    // The send failed because the topic was deleted or closed - forget it so the next try opens a new one
+    // Returns true when it's worth retrying
+    forgetIfGone(error, params, thread) {
+        if (this.mode !== 'topic' || !TOPIC_GONE.test(error.response?.data?.description || '')) return false;
+
+        this.threads.delete(this.key(params, thread));
+        this.save();
+        this.logger.warn(`⚠️  Topic for order ${thread.orderId} is gone - opening a new one`);
+        return true;
+    }
+}
+
+// "#1002 · Game Pass", cut to the topic name limit
+function topicName(thread) {
+    const name = thread.title ? `#${thread.orderId} · ${thread.title}` : `#${thread.orderId}`;
+    const chars = Array.from(name);
+    return chars.length > MAX_TOPIC_NAME ? `${chars.slice(0, MAX_TOPIC_NAME - 1).join('')}…` : name;
+}
+
+module.exports = TelegramThreads;
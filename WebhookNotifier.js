@@ -0,0 +1,337 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const httpClient = require('./HttpClient');
+
+const PAYLOAD_VERSION = 1;
+const EVENT_TYPES = ['order', 'new_chat', 'new_message'];
+const DEFAULT_DEAD_LETTER_FILE = 'webhook-dead-letters.jsonl';
+const SIGNATURE_HEADER = 'X-GGSel-Signature';
+
+// Webhook notification channel - POSTs order, chat and message events as JSON to your own endpoints
+//
+// Config format (JSON, WEBHOOKS_FILE):
+// {
+//   "webhooks": [
+//     { "url": "https://example.com/ggsel", "secretEnv": "ORDERS_WEBHOOK_SECRET", "events": ["order"] },
+//     { "url": "https://crm.example.com/hooks/ggsel", "secret": "..." }
+//   ]
+// }
+// Without a file, WEBHOOK_URLS (comma separated) and WEBHOOK_SECRET configure webhooks for every event.
+//
+// Every request body is { version, id, event, shop, createdAt, data } and carries:
+//   X-GGSel-Signature: sha256=<HMAC-SHA256 of the raw body with the webhook secret, hex>
+//   X-GGSel-Event:     order | new_chat | new_message
+//   Idempotency-Key:   same as "id" - order-<invoice>, chat-<order> or message-<message id> - so retries can be deduplicated
+// Failed deliveries are retried with exponential backoff; after the last attempt the event
+// is appended to a dead-letter file that `npm run webhooks:replay` sends again.
+class WebhookNotifier {
+    constructor(config = {}, options = {}) {
+        this.channel = 'webhooks';
+        this.webhooks = (config.webhooks || []).map((webhook, index) => normalizeWebhook(webhook, index));
+        this.maxAttempts = options.maxAttempts || 5;
+        this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 1000; // First retry delay (ms), doubled each time
+        this.timeout = options.timeout || 10000;
+        this.deadLetterFile = path.resolve(options.deadLetterFile || process.env.WEBHOOK_DEAD_LETTER_FILE || DEFAULT_DEAD_LETTER_FILE);
+        this.debugMode = options.debugMode !== undefined ? options.debugMode : (process.env.DEBUG_MODE === 'true');
+
+        // Create logger for this instance
+        this.logger = {
+            log: (...args) => this.debugMode && console.log(...args),
+            error: (...args) => console.error(...args), // Always show errors
+            warn: (...args) => this.debugMode && console.warn(...args),
+            info: (...args) => this.debugMode && console.info(...args)
+        };
+    }
+
+    // Load webhooks from a JSON file
+    static fromFile(filePath, options = {}) {
+        const raw = fs.readFileSync(path.resolve(filePath), 'utf8');
+        return new WebhookNotifier(JSON.parse(raw), options);
+    }
+
+    // Build from WEBHOOKS_FILE, or WEBHOOK_URLS / WEBHOOK_SECRET (null when nothing is configured)
+    static fromEnv(options = {}) {
+        if (process.env.WEBHOOKS_FILE) {
+            return WebhookNotifier.fromFile(process.env.WEBHOOKS_FILE, options);
+        }
+        if (!process.env.WEBHOOK_URLS) {
+            return null;
+        }
+
+        const urls = process.env.WEBHOOK_URLS.split(',').map(url => url.trim()).filter(Boolean);
+        return new WebhookNotifier({
+            webhooks: urls.map(url => ({ url, secret: process.env.WEBHOOK_SECRET }))
+        }, options);
+    }
+
+    // =============================================
+    // Events
+    // =============================================
+
+    async notifyNewOrder(sale, options = {}) {
+        const product = sale.product || {};
+        return await this.send('order', `order-${sale.invoice_id}`, {
+            invoiceId: sale.invoice_id,
+            product: { id: product.id, name: product.name },
+            buyerEmail: sale.buyer_email || null,
+            amount: sale.order_amount !== undefined ? Number(sale.order_amount) : null,
+            currency: sale.currency_type || null,
+            prices: { usd: product.price_usd, eur: product.price_eur, rub: product.price_rub, uah: product.price_uah },
+            date: sale.date
+        }, options.shop);
+    }
+
+    async notifyNewChat(chat, productName, options = {}) {
+        return await this.send('new_chat', `chat-${chat.id_i}`, {
+            ...chatData(chat, productName),
+            messageCount: chat.cnt_msg,
+            lastMessage: chat.last_message
+        }, options.shop);
+    }
+
+    // One delivery per message, so each has its own idempotency key
+    // A failed message doesn't stop the rest - the first failure is rethrown at the end
+    async notifyNewMessage(chat, newMessageCount, messages, productName, options = {}) {
+        const results = [];
+        let firstError = null;
+        for (const msg of messages || []) {
+            try {
+                results.push(await this.send('new_message', `message-${msg.id}`, {
+                    ...chatData(chat, productName),
+                    message: {
+                        id: msg.id,
+                        text: msg.message,
+                        fromBuyer: Boolean(msg.buyer),
+                        filename: msg.is_file ? msg.filename : null,
+                        date: msg.date_written
+                    }
+                }, options.shop));
+            } catch (error) {
+                firstError = firstError || error;
+            }
+        }
+
+        if (firstError) throw firstError;
+        return results;
+    }
+
+    // =============================================
+    // Delivery
+    // =============================================
+
+    // Deliver an event to every webhook subscribed to it (resolves with the number of webhooks reached)
+    // Rejects when any delivery failed, once every webhook has been tried - failed ones are in the dead-letter file
+    async send(event, id, data, shop = null) {
+        const payload = {
+            version: PAYLOAD_VERSION,
+            id: id,
+            event: event,
+            shop: shop || null,
+            createdAt: new Date().toISOString(),
+            data: data
+        };
+
+        let delivered = 0;
+        let failed = 0;
+        for (const webhook of this.webhooks) {
+            if (!webhook.events.includes(event)) continue;
+            if (await this.deliver(webhook, payload)) {
+                delivered++;
+            } else {
+                failed++;
+            }
+        }
+
+        if (failed > 0) {
+            throw new Error(`${failed} of ${delivered + failed} webhook deliveries of ${id} failed - saved to ${this.deadLetterFile}`);
+        }
+        return delivered;
+    }
+
+    // POST one payload with retries - failures end up in the dead-letter file (returns true on success)
+    async deliver(webhook, payload) {
+        const reason = await this.post(webhook, payload);
+        if (reason === null) return true;
+
+        this.logger.error(`❌ Webhook ${payload.id} to ${webhook.url} failed: ${reason} - saved to ${this.deadLetterFile}`);
+        await this.saveDeadLetter(webhook, payload, reason);
+        return false;
+    }
+
+    // POST with retries, returns null once delivered or the reason of the last failure
+    async post(webhook, payload) {
+        const body = JSON.stringify(payload);
+        let lastError = null;
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            try {
+                await httpClient.post(webhook.url, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-GGSel-Event': payload.event,
+                        'Idempotency-Key': payload.id,
+                        [SIGNATURE_HEADER]: sign(body, webhook.secret)
+                    },
+                    timeout: this.timeout,
+                    // Keep the exact bytes we signed
+                    transformRequest: [(data) => data]
+                });
+                this.logger.log(`🔗 Webhook ${payload.event} ${payload.id} delivered to ${webhook.url}`);
+                return null;
+            } catch (error) {
+                lastError = error;
+                const status = error.response?.status;
+                this.logger.warn(`⚠️  Webhook ${payload.id} to ${webhook.url} failed (attempt ${attempt}/${this.maxAttempts}): ${status ? `HTTP ${status}` : error.message}`);
+
+                // Other 4xx answers won't change on retry
+                if (status && status < 500 && status !== 408 && status !== 429) break;
+
+                if (attempt < this.maxAttempts) {
+                    await sleep(this.retryDelay * Math.pow(2, attempt - 1));
+                }
+            }
+        }
+
+        return lastError.response ? `HTTP ${lastError.response.status}` : lastError.message;
+    }
+
+    async saveDeadLetter(webhook, payload, reason) {
+        const entry = { url: webhook.url, payload: payload, error: reason, failedAt: new Date().toISOString() };
+        try {
+            await fs.promises.appendFile(this.deadLetterFile, JSON.stringify(entry) + '\n');
+        } catch (error) {
+            this.logger.error('❌ Failed to write webhook dead letter:', error.message);
+        }
+    }
+
+    // Send everything in the dead-letter file again; whatever still fails is written back
+    // Returns { delivered, failed }
+    async replayDeadLetters() {
+        // The file is moved aside first, so dead letters saved while the replay runs go to a new file and
+        // can't be lost. A replay file is only removed once the replay is over: after a crash it is finished
+        // first - a resend at worst, which receivers drop by Idempotency-Key.
+        const replayFile = `${this.deadLetterFile}.replaying`;
+        if (fs.existsSync(replayFile)) {
+            this.logger.warn(`⚠️  Finishing the interrupted replay in ${replayFile} - replay again for newer dead letters`);
+        } else {
+            try {
+                await fs.promises.rename(this.deadLetterFile, replayFile);
+            } catch (error) {
+                if (error.code === 'ENOENT') return { delivered: 0, failed: 0 };
+                throw error;
+            }
+        }
+
+        const lines = (await fs.promises.readFile(replayFile, 'utf8')).split('\n').filter(line => line.trim());
+        const remaining = []; // Lines to write back
+        let delivered = 0;
+        let failed = 0;
+        for (const [index, line] of lines.entries()) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Kept as it is for a look - it can't be replayed
+                this.logger.error(`❌ Skipping unreadable line ${index + 1} of ${this.deadLetterFile}: ${error.message}`);
+                remaining.push(line);
+                continue;
+            }
+
+            // Secrets are never written to the dead-letter file - sign with the URL's current secret
+            const webhook = this.webhooks.find(w => w.url === entry.url);
+            if (!webhook) {
+                this.logger.warn(`⚠️  ${entry.url} is no longer configured - keeping ${entry.payload.id} in the dead-letter file`);
+                remaining.push(line);
+                failed++;
+                continue;
+            }
+
+            const reason = await this.post(webhook, entry.payload);
+            if (reason === null) {
+                delivered++;
+            } else {
+                this.logger.error(`❌ Webhook ${entry.payload.id} to ${webhook.url} failed again: ${reason}`);
+                remaining.push(JSON.stringify({ ...entry, error: reason, failedAt: new Date().toISOString() }));
+                failed++;
+            }
+        }
+
+        if (remaining.length > 0) {
+            await fs.promises.appendFile(this.deadLetterFile, remaining.join('\n') + '\n');
+        }
+        await fs.promises.unlink(replayFile);
+        return { delivered: delivered, failed: failed };
+    }
+}
+
+function chatData(chat, productName) {
+    return {
+        orderId: chat.id_i,
+        productId: chat.product,
+        productName: productName || null,
+        buyerEmail: chat.email || null
+    };
+}
+
+// "sha256=<hex>" HMAC of the raw request body
+function sign(body, secret) {
+    return `sha256=${crypto.createHmac('sha256', secret || '').update(body).digest('hex')}`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function normalizeWebhook(webhook, index) {
+    const label = `Webhook #${index + 1}`;
+    if (!webhook.url) {
+        throw new Error(`${label}: "url" is required`);
+    }
+
+    // Keep secrets out of the file by naming an environment variable instead
+    const secret = webhook.secretEnv ? process.env[webhook.secretEnv] : webhook.secret;
+    if (!secret) {
+        throw new Error(`${label} (${webhook.url}): set "secret" or "secretEnv"${webhook.secretEnv ? ` (${webhook.secretEnv} is empty)` : ''}`);
+    }
+
+    const events = webhook.events || EVENT_TYPES;
+    for (const event of events) {
+        if (!EVENT_TYPES.includes(event)) {
+            throw new Error(`${label}: unknown event "${event}" (expected ${EVENT_TYPES.join(', ')})`);
+        }
+    }
+
+    return { url: webhook.url, secret: secret, events: events };
+}
+
+module.exports = WebhookNotifier;
+module.exports.sign = sign;
+module.exports.PAYLOAD_VERSION = PAYLOAD_VERSION;
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER;
+
+// Replay failed deliveries: node WebhookNotifier.js --replay
+if (require.main === module) {
+    (async () => {
+        if (!process.argv.includes('--replay')) {
+            console.error('Usage: node WebhookNotifier.js --replay');
+            process.exit(1);
+        }
+
+        try {
+            const notifier = WebhookNotifier.fromEnv({ retryDelay: 1000 });
+            if (!notifier) {
+                console.error('❌ No webhooks configured - set WEBHOOKS_FILE or WEBHOOK_URLS in .env');
+                process.exit(1);
+            }
+
+            const { delivered, failed } = await notifier.replayDeadLetters();
+            console.log(`✅ Replayed webhooks: ${delivered} delivered, ${failed} still failing`);
+            process.exit(failed > 0 ? 1 : 0);
+        } catch (error) {
+            console.error('❌ Replay failed:', error.message);
+            process.exit(1);
+        }
+    })();
+}
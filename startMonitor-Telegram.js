@@ -1,10 +1,49 @@
 require('dotenv').config();
+const { GGSelAuth } = require('./GGSel');
+const { loadAccounts } = require('./AccountConfig');
 const GGSelChatMonitor = require('./GGSelChatMonitor-Complete');
 const TelegramNotifier = require('./TelegramNotifier');
+const DiscordNotifier = require('./DiscordNotifier');
+const SlackNotifier = require('./SlackNotifier');
+const EmailNotifier = require('./EmailNotifier');
+const NotifierRegistry = require('./NotifierRegistry');
+const TelegramRouter = require('./TelegramRouter');
+const TelegramActions = require('./TelegramActions');
+const QuietHours = require('./QuietHours');
+const DateFormatter = require('./DateFormatter');
+const createCommands = require('./TelegramCommands');
+const AutoReplier = require('./AutoReplier');
+const SalesLedger = require('./SalesLedger');
+const ReportScheduler = require('./ReportScheduler');
+const Dashboard = require('./Dashboard');
+const HealthServer = require('./HealthServer');
+const WebhookNotifier = require('./WebhookNotifier');
+const { createStateStore } = require('./StateStore');
+const httpClient = require('./HttpClient');
 
 // Check debug mode
 const DEBUG_MODE = process.env.DEBUG_MODE === 'true';
 
+// Alert on messages our own staff wrote in the seller panel too (default: buyer messages only)
+const NOTIFY_SELLER_MESSAGES = process.env.NOTIFY_SELLER_MESSAGES === 'true';
+// Remind about chats where the buyer wrote last over this many minutes ago (unset = no reminders)
+const AWAITING_REPLY_MINUTES = parseInt(process.env.AWAITING_REPLY_MINUTES, 10) || null;
+// How often to repeat the reminder (minutes, default AWAITING_REPLY_MINUTES)
+const AWAITING_REPLY_INTERVAL = (parseInt(process.env.AWAITING_REPLY_INTERVAL_MINUTES, 10) || AWAITING_REPLY_MINUTES || 0) * 60000;
+// Chats whose messages are fetched at the same time in each poll (default 4)
+const POLL_CONCURRENCY = parseInt(process.env.POLL_CONCURRENCY, 10) || undefined;
+// Adaptive polling pace (see PollScheduler.js) - unset values keep the scheduler defaults
+const POLL_SCHEDULE = {
+    ordersInterval: parseInt(process.env.POLL_ORDERS_INTERVAL, 10) || undefined, // ms, default: the account's pollingInterval
+    chatsInterval: parseInt(process.env.POLL_CHATS_INTERVAL, 10) || undefined,
+    activeInterval: parseInt(process.env.POLL_ACTIVE_INTERVAL, 10) || undefined, // ms while orders or messages are coming in
+    activeWindow: (parseInt(process.env.POLL_ACTIVE_MINUTES, 10) || 0) * 60000 || undefined,
+    idleInterval: parseInt(process.env.POLL_IDLE_INTERVAL, 10) || undefined, // ms once nothing has happened for a while
+    idleAfter: (parseInt(process.env.POLL_IDLE_MINUTES, 10) || 0) * 60000 || undefined,
+    maxBackoff: parseInt(process.env.POLL_MAX_BACKOFF, 10) || undefined, // ms, longest wait after repeated failures
+    failureAlertThreshold: parseInt(process.env.POLL_FAILURE_ALERT_THRESHOLD, 10) || 3 // Failed polls in a row before the error alert
+};
+
 // Create a conditional logger
 const logger = {
     log: (...args) => DEBUG_MODE && console.log(...args),
@@ -13,25 +52,24 @@ const logger = {
     info: (...args) => DEBUG_MODE && console.info(...args)
 };
 
-// Utility function to format dates in GMT+3
-function formatDateGMT3(dateString) {
-    if (!dateString) return 'N/A';
-    
-    try {
-        const date = new Date(dateString);
-        return date.toLocaleString('en-US', {
-            timeZone: 'Europe/Istanbul',
-            year: 'numeric',
-            month: '2-digit',
-            day: '2-digit',
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            hour12: false
-        });
-    } catch (error) {
-        return dateString;
-    }
+// Dates in the console log (TIMEZONE, default Europe/Istanbul)
+let dates;
+try {
+    dates = new DateFormatter();
+} catch (error) {
+    logger.error('❌', error.message);
+    process.exit(1);
+}
+
+// Log every HTTP call (HTTP_LOG=true) - tokens, signatures and passwords are masked
+if (process.env.HTTP_LOG === 'true') {
+    httpClient.addHooks({
+        onRequest: (request) => console.log(`🌐 ${request.method} ${request.url}`, request.data !== undefined ? JSON.stringify(request.data) : ''),
+        onResponse: (response) => console.log(`🌐 ${response.method} ${response.url} -> ${response.status || response.error} (${response.duration}ms)`)
+    });
+}
+if (process.env.HTTPS_PROXY || process.env.https_proxy) {
+    logger.log('🌐 Sending HTTP requests through HTTPS_PROXY');
 }
 
 logger.log('╔'.repeat(80));
@@ -39,20 +77,53 @@ logger.log('🚀 GGSEL MONITOR WITH TELEGRAM NOTIFICATIONS');
 logger.log('╔'.repeat(80));
 logger.log('');
 
-// Initialize Telegram notifier
+// Every enabled notification channel - each event goes to all of them
+const notifiers = new NotifierRegistry({ debugMode: DEBUG_MODE });
+
+// Initialize Telegram notifier and routing rules
 let telegram = null;
+let router = null;
 try {
     const botToken = process.env.TELEGRAM_BOT_TOKEN;
     const chatId = process.env.TELEGRAM_CHAT_ID;
     
-    if (!botToken || !chatId) {
+    if (process.env.TELEGRAM_ENABLED === 'false') {
+        logger.log('⚠️  Telegram disabled (TELEGRAM_ENABLED=false)');
+        logger.log('');
+    } else if (!botToken || !chatId) {
         logger.log('⚠️  Telegram not configured - notifications disabled');
         logger.log('💡 To enable Telegram notifications:');
         logger.log('   1. Add TELEGRAM_BOT_TOKEN to your .env file');
         logger.log('   2. Add TELEGRAM_CHAT_ID to your .env file');
         logger.log('');
     } else {
-        telegram = new TelegramNotifier(botToken, chatId);
+        // Route events to chats from TELEGRAM_ROUTES_FILE, or send everything to TELEGRAM_CHAT_ID
+        if (process.env.TELEGRAM_ROUTES_FILE) {
+            router = TelegramRouter.fromFile(process.env.TELEGRAM_ROUTES_FILE);
+            logger.log(`🧭 Loaded ${router.rules.length} routing rule(s) from ${process.env.TELEGRAM_ROUTES_FILE}`);
+        } else {
+            router = TelegramRouter.forSingleChat(chatId);
+        }
+        
+        // Quiet hours, digest and mute switches from QUIET_HOURS_FILE
+        let quietHours = null;
+        if (process.env.QUIET_HOURS_FILE) {
+            quietHours = QuietHours.fromFile(process.env.QUIET_HOURS_FILE, { debugMode: DEBUG_MODE });
+            logger.log(`🌙 Loaded quiet hours from ${process.env.QUIET_HOURS_FILE} (${quietHours.mode} mode)`);
+        }
+        
+        // Notifications go through a rate-limited outgoing queue saved to TELEGRAM_QUEUE_FILE
+        // Buttons on order and message alerts (TELEGRAM_BUTTONS_ENABLED=false turns them off), state in TELEGRAM_ACTIONS_FILE
+        const actions = process.env.TELEGRAM_BUTTONS_ENABLED === 'false' ? null
+            : { quickReplies: TelegramActions.loadQuickReplies(process.env.QUICK_REPLIES_FILE) };
+        // One thread per buyer chat: TELEGRAM_THREADS=reply (reply chains) or topic (forum topics), saved to TELEGRAM_THREADS_FILE
+        const threads = process.env.TELEGRAM_THREADS ? { mode: process.env.TELEGRAM_THREADS } : null;
+        telegram = new TelegramNotifier(botToken, chatId, undefined, { router, replyChatIds: router.getChatIds(), queue: {}, actions, quietHours, threads });
+        const restored = telegram.queue.load();
+        if (restored > 0) {
+            logger.log(`📤 ${restored} unsent Telegram message(s) from the last run will be sent`);
+        }
+        notifiers.register(telegram);
         logger.log('📱 Telegram notifier initialized');
         logger.log('');
     }
@@ -62,6 +133,107 @@ try {
     logger.log('');
 }
 
+// Load seller accounts (GGSEL_ACCOUNTS_FILE, or the single GGSEL_SELLER_ID account)
+let accounts = [];
+try {
+    accounts = loadAccounts();
+} catch (error) {
+    logger.error('❌ Failed to load accounts:', error.message);
+    process.exit(1);
+}
+const multipleAccounts = accounts.length > 1;
+if (multipleAccounts) {
+    logger.log(`🏪 Monitoring ${accounts.length} shops: ${accounts.map(a => a.name).join(', ')}`);
+    logger.log('');
+}
+
+// Initialize a state store per account (lets the monitor resume after a restart)
+function createAccountStateStore(account) {
+    const type = process.env.STATE_STORE || 'json';
+    try {
+        const store = createStateStore(type, account.stateFile, multipleAccounts ? account.name : null);
+        if (store) {
+            logger.log(`💾 ${account.name ? `[${account.name}] ` : ''}State store: ${type} (${store.filePath})`);
+        } else {
+            logger.log('💾 State store disabled - monitor will re-baseline on every start');
+        }
+        return store;
+    } catch (error) {
+        logger.error('❌ State store initialization failed:', error.message);
+        logger.log('📋 Monitor will continue without persisting state');
+        return null;
+    }
+}
+
+// Load auto-reply rules (optional)
+let autoReplier = null;
+if (process.env.AUTO_REPLY_FILE) {
+    try {
+        const dryRun = process.env.AUTO_REPLY_DRY_RUN !== undefined ? process.env.AUTO_REPLY_DRY_RUN === 'true' : undefined;
+        autoReplier = AutoReplier.fromFile(process.env.AUTO_REPLY_FILE, { dryRun, debugMode: DEBUG_MODE });
+        logger.log(`🤖 Loaded ${autoReplier.rules.length} auto-reply rule(s)${autoReplier.dryRun ? ' (DRY RUN - nothing will be sent)' : ''}`);
+        logger.log('');
+    } catch (error) {
+        logger.error('❌ Failed to load auto-reply rules:', error.message);
+        logger.log('📋 Monitor will continue without auto-replies');
+        logger.log('');
+    }
+}
+
+// Notification channels besides Telegram, each switched on by its own setting
+// (webhooks: WEBHOOKS_FILE or WEBHOOK_URLS, the rest: DISCORD_ENABLED, SLACK_ENABLED, EMAIL_ENABLED)
+const CHANNELS = [
+    { label: '🔗 Webhooks', create: () => WebhookNotifier.fromEnv({ debugMode: DEBUG_MODE }) },
+    { label: '🎮 Discord', create: () => DiscordNotifier.fromEnv({ debugMode: DEBUG_MODE }) },
+    { label: '💼 Slack', create: () => SlackNotifier.fromEnv({ debugMode: DEBUG_MODE }) },
+    { label: '📧 Email', create: () => EmailNotifier.fromEnv({ debugMode: DEBUG_MODE }) }
+];
+for (const { label, create } of CHANNELS) {
+    try {
+        const notifier = create();
+        if (notifier) {
+            notifiers.register(notifier);
+            logger.log(`${label} notifications enabled`);
+        }
+    } catch (error) {
+        logger.error(`❌ ${label} initialization failed:`, error.message);
+        logger.log('📋 Monitor will continue without this channel');
+    }
+}
+if (notifiers.size > 0) {
+    logger.log(`📣 Notification channels: ${notifiers.getChannels().join(', ')}`);
+    logger.log('');
+}
+
+// Ledger of every order for sales reports (SALES_LEDGER_FILE=none turns it off)
+let salesLedger = null;
+let reportScheduler = null;
+if (process.env.SALES_LEDGER_FILE !== 'none') {
+    salesLedger = new SalesLedger(process.env.SALES_LEDGER_FILE || undefined, { debugMode: DEBUG_MODE });
+    logger.log(`📒 Sales ledger: ${salesLedger.filePath}`);
+    
+    // Daily / weekly reports (SALES_REPORTS=daily,weekly by default, or none)
+    const reports = (process.env.SALES_REPORTS || 'daily,weekly').toLowerCase().split(',').map(kind => kind.trim());
+    if (telegram && !reports.includes('none')) {
+        try {
+            reportScheduler = new ReportScheduler({
+                daily: reports.includes('daily'),
+                weekly: reports.includes('weekly'),
+                hour: process.env.SALES_REPORT_HOUR !== undefined ? parseInt(process.env.SALES_REPORT_HOUR, 10) : undefined,
+                dates: salesLedger.dates, // Report days and the send hour follow TIMEZONE
+                debugMode: DEBUG_MODE,
+                send: async (kind, period) => {
+                    const summary = salesLedger.summarize(period.from, period.to);
+                    await notifiers.notify('notifySalesReport', kind, SalesLedger.formatPeriod(period.from, period.to, salesLedger.dates), summary, {});
+                }
+            });
+        } catch (error) {
+            logger.error('❌ Sales reports disabled:', error.message);
+        }
+    }
+    logger.log('');
+}
+
 logger.log('📋 Features:');
 logger.log('   ✅ Detects NEW ORDERS');
 logger.log('   ✅ Detects new chats');
@@ -69,102 +241,250 @@ logger.log('   ✅ Detects new messages');
 logger.log('   ✅ Shows message content');
 if (telegram) {
     logger.log('   ✅ Sends Telegram notifications');
+    logger.log('   ✅ Replies to buyers from Telegram');
+    logger.log(`   ✅ Bot commands (/help, /stats, /orders, /chat, ${salesLedger ? '/report, ' : ''}/pause, /resume)`);
+}
+if (notifiers.size > (telegram ? 1 : 0)) {
+    logger.log(`   ✅ Notifications via ${notifiers.getChannels().join(', ')}`);
+}
+if (process.env.DASHBOARD_PORT) {
+    logger.log(`   ✅ Web dashboard on port ${process.env.DASHBOARD_PORT}`);
+}
+if (process.env.HEALTH_PORT) {
+    logger.log(`   ✅ Health checks and metrics on port ${process.env.HEALTH_PORT}`);
+}
+if (reportScheduler) {
+    logger.log(`   ✅ Sales reports (${[reportScheduler.daily && 'daily', reportScheduler.weekly && 'weekly'].filter(Boolean).join(' + ')} at ${reportScheduler.hour}:00 ${reportScheduler.dates.timeZone})`);
+}
+if (autoReplier) {
+    logger.log(`   ✅ Auto-replies to buyer messages${autoReplier.dryRun ? ' (dry run)' : ''}`);
 }
 logger.log('');
 logger.log('╔'.repeat(80));
 logger.log('');
 
-const monitor = new GGSelChatMonitor({
-    pollingInterval: 15000,
-    debugMode: DEBUG_MODE, // Pass debug mode to monitor
+// Web dashboard (created once the monitors exist - see below)
+let dashboard = null;
+
+// Create the monitor for one seller account - each has its own token cache, state and polling loop
+function createAccountMonitor(account) {
+    const auth = new GGSelAuth({ name: account.name, sellerId: account.sellerId, secretKey: account.secretKey });
+    
+    // Label notifications with the shop only when several shops share the bot
+    const shop = multipleAccounts ? account.name : null;
+    const label = shop ? `[${shop}] ` : '';
     
-    // =============================================
-    // 🛒 NEW ORDER HANDLER
-    // =============================================
-    onNewOrder: async (sale) => {
-        const formattedDate = formatDateGMT3(sale.date);
+    const monitor = new GGSelChatMonitor({
+        name: shop,
+        sellerId: account.sellerId,
+        auth: auth, // Token cache of this account (the monitor logs in again when a token is rejected)
+        pollingInterval: account.pollingInterval,
+        fetchConcurrency: POLL_CONCURRENCY,
+        schedule: {
+            ...POLL_SCHEDULE,
+            ordersInterval: account.ordersInterval || POLL_SCHEDULE.ordersInterval,
+            chatsInterval: account.chatsInterval || POLL_SCHEDULE.chatsInterval
+        },
+        debugMode: DEBUG_MODE, // Pass debug mode to monitor
+        stateStore: createAccountStateStore(account), // Persist cursors and caches across restarts
+        awaitingReplyMinutes: AWAITING_REPLY_MINUTES, // Remind about buyers waiting this long for an answer
+        awaitingReplyInterval: AWAITING_REPLY_INTERVAL,
         
-        // Console output (only in debug mode)
-        logger.log('\n🎉🛒 NEW ORDER RECEIVED! 🛒🎉');
-        logger.log('═'.repeat(80));
-        logger.log(`🆔 Invoice ID: ${sale.invoice_id}`);
-        logger.log(`📦 Product: ${sale.product.name}`);
-        if (sale.buyer_email) {
-            logger.log(`📧 Buyer Email: ${sale.buyer_email}`);
-        }
-        logger.log(`💰 USD: $${sale.product.price_usd} | EUR: €${sale.product.price_eur} | RUB: ₽${sale.product.price_rub}`);
-        logger.log(`📅 Date: ${formattedDate} (GMT+3)`);
-        logger.log('═'.repeat(80));
+        // =============================================
+        // 🛒 NEW ORDER HANDLER
+        // =============================================
+        onNewOrder: async (sale) => {
+            // Console output (only in debug mode)
+            logger.log(`\n🎉🛒 ${label}NEW ORDER RECEIVED! 🛒🎉`);
+            logger.log('═'.repeat(80));
+            logger.log(`🆔 Invoice ID: ${sale.invoice_id}`);
+            logger.log(`📦 Product: ${sale.product.name}`);
+            if (sale.buyer_email) {
+                logger.log(`📧 Buyer Email: ${sale.buyer_email}`);
+            }
+            logger.log(`💰 USD: $${sale.product.price_usd} | EUR: €${sale.product.price_eur} | RUB: ₽${sale.product.price_rub}`);
+            logger.log(`📅 Date: ${dates.format(sale.date)}`);
+            logger.log('═'.repeat(80));
+            
+            if (dashboard) {
+                dashboard.recordOrder(sale, account.name);
+            }
+            
+            // Keep the order for sales reports
+            if (salesLedger) {
+                try {
+                    await salesLedger.record(sale, account.name);
+                } catch (error) {
+                    logger.error(`❌ ${label}Failed to record order ${sale.invoice_id} in the sales ledger:`, error.message);
+                }
+            }
+            
+            // Send to every notification channel (always, regardless of debug mode)
+            await notifiers.notifyNewOrder(sale, { shop });
+        },
         
-        // Send to Telegram (always, regardless of debug mode)
-        if (telegram) {
-            try {
-                await telegram.notifyNewOrder(sale);
-                logger.log('📱 Telegram notification sent!');
-            } catch (error) {
-                logger.error('❌ Failed to send Telegram notification:', error.message);
+        // =============================================
+        // 💬 NEW CHAT HANDLER
+        // =============================================
+        onNewChat: async (chat, productName) => {
+            // Console output (only in debug mode)
+            logger.log(`\n💬 ${label}NEW CHAT CREATED!`);
+            logger.log('═'.repeat(80));
+            logger.log(`🆔 Order Number: ${chat.id_i}`);
+            logger.log(`📦 Product: ${productName || `ID: ${chat.product}`}`);
+            logger.log(`📧 Customer: ${chat.email}`);
+            logger.log('═'.repeat(80));
+            
+            if (dashboard) {
+                dashboard.recordChat(chat, productName, account.name);
             }
-        }
-    },
-    
-    // =============================================
-    // 💬 NEW CHAT HANDLER
-    // =============================================
-    onNewChat: async (chat, productName) => {
-        // Console output (only in debug mode)
-        logger.log('\n💬 NEW CHAT CREATED!');
-        logger.log('═'.repeat(80));
-        logger.log(`🆔 Order Number: ${chat.id_i}`);
-        logger.log(`📦 Product: ${productName || `ID: ${chat.product}`}`);
-        logger.log(`📧 Customer: ${chat.email}`);
-        logger.log('═'.repeat(80));
+            
+            // Send to every notification channel (always, regardless of debug mode)
+            await notifiers.notifyNewChat(chat, productName, { shop });
+        },
         
-        // Send to Telegram (always, regardless of debug mode)
-        if (telegram) {
-            try {
-                await telegram.notifyNewChat(chat, productName);
-                logger.log('📱 Telegram notification sent!');
-            } catch (error) {
-                logger.error('❌ Failed to send Telegram notification:', error.message);
+        // =============================================
+        // 📨 NEW MESSAGE HANDLER
+        // =============================================
+        onNewMessage: async (chat, newMessageCount, messages, productName, details) => {
+            // Console output (only in debug mode)
+            logger.log(`\n📨 ${label}NEW MESSAGE(S) RECEIVED!`);
+            logger.log('═'.repeat(80));
+            logger.log(`🆔 Order Number: ${chat.id_i}`);
+            logger.log(`📦 Product: ${productName || `ID: ${chat.product}`}`);
+            logger.log(`📧 Customer: ${chat.email}`);
+            logger.log(`📊 New Messages: +${newMessageCount}`);
+            
+            if (messages && messages.length > 0) {
+                logger.log('\n📝 Messages:');
+                messages.forEach((msg, index) => {
+                    const sender = msg.buyer ? '👤 Customer' : '🏢 You';
+                    logger.log(`   ${index + 1}. ${sender}: "${msg.message}"`);
+                });
             }
-        }
-    },
-    
-    // =============================================
-    // 📨 NEW MESSAGE HANDLER
-    // =============================================
-    onNewMessage: async (chat, newMessageCount, messages, productName) => {
-        // Console output (only in debug mode)
-        logger.log('\n📨 NEW MESSAGE(S) RECEIVED!');
-        logger.log('═'.repeat(80));
-        logger.log(`🆔 Order Number: ${chat.id_i}`);
-        logger.log(`📦 Product: ${productName || `ID: ${chat.product}`}`);
-        logger.log(`📧 Customer: ${chat.email}`);
-        logger.log(`📊 New Messages: +${newMessageCount}`);
+            logger.log('═'.repeat(80));
+            
+            if (dashboard) {
+                dashboard.recordMessages(chat, messages, productName, account.name);
+            }
+            
+            // Send to every notification channel (always, regardless of debug mode)
+            // Messages our own staff wrote in the seller panel are left out unless NOTIFY_SELLER_MESSAGES=true
+            const alertMessages = (messages || []).filter(msg => NOTIFY_SELLER_MESSAGES || msg.buyer);
+            if (alertMessages.length > 0) {
+                await notifiers.notifyNewMessage(chat, alertMessages.length, alertMessages, productName, { shop });
+            } else {
+                logger.log(`🏢 ${label}Only seller messages in chat ${chat.id_i} - no alert`);
+            }
+            
+            // Answer common questions automatically
+            if (autoReplier) {
+                try {
+                    const reply = await autoReplier.handle(chat, messages, productName, async (chatId, text) => {
+                        await monitor.sendMessage(chatId, text);
+                    }, details);
+                    
+                    if (reply) {
+                        await notifiers.notify('notifyAutoReply', chat, reply, { shop });
+                    }
+                } catch (error) {
+                    logger.error(`❌ ${label}Auto-reply to chat ${chat.id_i} failed:`, error.message);
+                }
+            }
+        },
         
-        if (messages && messages.length > 0) {
-            logger.log('\n📝 Messages:');
-            messages.forEach((msg, index) => {
-                const sender = msg.buyer ? '👤 Customer' : '🏢 You';
-                logger.log(`   ${index + 1}. ${sender}: "${msg.message}"`);
-            });
-        }
-        logger.log('═'.repeat(80));
+        // =============================================
+        // ⚠️ ERROR HANDLER
+        // =============================================
+        onError: async (error, context) => {
+            await notifiers.notifyError(error, context, { shop });
+        },
         
-        // Send to Telegram (always, regardless of debug mode)
-        if (telegram) {
-            try {
-                await telegram.notifyNewMessage(chat, newMessageCount, messages, productName);
-                logger.log('📱 Telegram notification sent!');
-            } catch (error) {
-                logger.error('❌ Failed to send Telegram notification:', error.message);
+        // Buyers who wrote last and have waited over AWAITING_REPLY_MINUTES
+        onAwaitingReply: async (chats) => {
+            await notifiers.notify('notifyAwaitingReply', chats, { shop, minutes: AWAITING_REPLY_MINUTES });
+        },
+        
+        // Keep the dashboard's health panel current
+        onPollComplete: () => {
+            if (dashboard) {
+                dashboard.recordPoll(account.name);
             }
         }
-    }
-});
+    });
+    
+    return { name: account.name, monitor };
+}
+
+const monitors = accounts.map(createAccountMonitor);
+
+if (process.env.DASHBOARD_PORT) {
+    dashboard = new Dashboard({
+        port: parseInt(process.env.DASHBOARD_PORT, 10),
+        host: process.env.DASHBOARD_HOST,
+        token: process.env.DASHBOARD_TOKEN,
+        accounts: monitors,
+        debugMode: DEBUG_MODE
+    });
+}
+
+// Health checks and Prometheus metrics (/healthz, /readyz, /metrics)
+let healthServer = null;
+if (process.env.HEALTH_PORT) {
+    healthServer = new HealthServer({
+        port: parseInt(process.env.HEALTH_PORT, 10),
+        host: process.env.HEALTH_HOST,
+        accounts: monitors,
+        notifiers: notifiers,
+        readyWindow: (parseInt(process.env.HEALTH_READY_MINUTES, 10) || 0) * 60000 || undefined, // Ready while the last poll succeeded this recently (default 5 min)
+        debugMode: DEBUG_MODE
+    });
+}
+
+// Find the monitor for a shop label (null = the only account)
+function findAccount(shop) {
+    return monitors.find(entry => !shop || entry.name === shop) || monitors[0];
+}
 
 // Start the monitor
 (async () => {
+    // Load the order history before any new orders come in
+    if (salesLedger) {
+        try {
+            await salesLedger.load();
+        } catch (error) {
+            logger.error('❌ Failed to load the sales ledger:', error.message);
+        }
+    }
+
+    if (autoReplier) {
+        try {
+            await autoReplier.load();
+        } catch (error) {
+            logger.error('❌ Failed to load auto-reply cooldowns:', error.message);
+        }
+    }
+
+    if (dashboard) {
+        try {
+            await dashboard.start();
+            console.log(`🖥️  Dashboard: http://${dashboard.host}:${dashboard.port}/${dashboard.token ? '?token=...' : ''}`);
+        } catch (error) {
+            logger.error('❌ Failed to start the dashboard:', error.message);
+            dashboard = null;
+        }
+    }
+    
+    if (healthServer) {
+        try {
+            await healthServer.start();
+            console.log(`🩺 Health checks: http://${healthServer.host}:${healthServer.port}/healthz (/readyz, /metrics)`);
+        } catch (error) {
+            logger.error('❌ Failed to start the health server:', error.message);
+            healthServer = null;
+        }
+    }
+    
     // Test Telegram connection if configured
     if (telegram) {
         logger.log('Testing Telegram connection...\n');
@@ -180,15 +500,66 @@ const monitor = new GGSelChatMonitor({
             }
         }
         logger.log('');
+        
+        if (telegram.actions) {
+            try {
+                await telegram.actions.load();
+            } catch (error) {
+                logger.error('❌ Failed to load Telegram button state:', error.message);
+            }
+        }
+        if (telegram.threads) {
+            try {
+                const threadCount = await telegram.threads.load();
+                logger.log(`🧵 ${threadCount} buyer chat thread(s) restored (${telegram.threads.mode} mode)`);
+            } catch (error) {
+                logger.error('❌ Failed to load Telegram threads:', error.message);
+            }
+        }
+        telegram.queue.start();
+        
+        // Events held during quiet hours go out as a digest once they end
+        if (telegram.quietHours) {
+            try {
+                const held = await telegram.quietHours.load();
+                if (held > 0) {
+                    logger.log(`🌙 ${held} event(s) from the last run are waiting for the digest`);
+                }
+            } catch (error) {
+                logger.error('❌ Failed to load the quiet hours digest:', error.message);
+            }
+            telegram.quietHours.start(() => telegram.sendDigest());
+        }
+        
+        // Listen for replies to notifications (forwarded to the buyer chat) and bot commands
+        telegram.startPolling({
+            onReply: async (chatId, text, message, shop) => {
+                const account = findAccount(shop);
+                await account.monitor.sendMessage(chatId, text);
+            },
+            commands: createCommands({ accounts: monitors, telegram, salesLedger })
+        });
+        
+        if (reportScheduler) {
+            reportScheduler.start();
+        }
     }
     
-    // Start monitoring
-    monitor.start();
+    // Start monitoring - each account polls on its own schedule, so one failing shop never blocks another
+    for (const { monitor } of monitors) {
+        monitor.start();
+    }
     
     // Show initial message even in non-debug mode
     if (!DEBUG_MODE) {
         console.log('🚀 GGSel Monitor started in SILENT MODE');
+        if (multipleAccounts) {
+            console.log(`🏪 Shops: ${monitors.map(entry => entry.name).join(', ')}`);
+        }
         console.log('📱 Telegram notifications:', telegram ? 'ENABLED' : 'DISABLED');
+        if (notifiers.size > (telegram ? 1 : 0)) {
+            console.log('📣 Notification channels:', notifiers.getChannels().join(', '));
+        }
         console.log('🔇 Console output disabled. Set DEBUG_MODE=true in .env to enable console logs.');
         console.log('💡 Press Ctrl+C to stop\n');
     }
@@ -197,10 +568,13 @@ const monitor = new GGSelChatMonitor({
 // Show statistics every minute (only in debug mode)
 if (DEBUG_MODE) {
     setInterval(() => {
-        const stats = monitor.getStats();
         const time = new Date().toLocaleTimeString();
         const telegramStatus = telegram ? '📱 ON' : '📱 OFF';
-        logger.log(`\n📊 [${time}] ${telegramStatus} | Chats: ${stats.totalChats} | Invoices cached: ${stats.cachedInvoices} | Last invoice: ${stats.lastSaleInvoiceId}`);
+        for (const { name, monitor } of monitors) {
+            const stats = monitor.getStats();
+            const shopLabel = multipleAccounts ? `${name} | ` : '';
+            logger.log(`\n📊 [${time}] ${telegramStatus}${telegram ? ` (queue: ${telegram.queue.getDepth()})` : ''} | ${shopLabel}Chats: ${stats.totalChats} | Invoices cached: ${stats.cachedInvoices} | Last invoice: ${stats.lastSaleInvoiceId}`);
+        }
     }, 60000);
 }
 
@@ -211,17 +585,39 @@ process.on('SIGINT', () => {
     console.log('🛑 SHUTTING DOWN');
     console.log('╔'.repeat(80));
     
-    const stats = monitor.getStats();
-    console.log(`\n📊 Final Statistics:`);
-    console.log(`   Last Sale Invoice: ${stats.lastSaleInvoiceId}`);
-    console.log(`   Total Chats: ${stats.totalChats}`);
-    console.log(`   Invoices Cached: ${stats.cachedInvoices}`);
-    console.log(`   Products Cached: ${stats.cachedProducts}`);
-    console.log(`   Telegram: ${telegram ? 'Enabled' : 'Disabled'}`);
+    for (const { name, monitor } of monitors) {
+        const stats = monitor.getStats();
+        console.log(`\n📊 Final Statistics${multipleAccounts ? ` (${name})` : ''}:`);
+        console.log(`   Last Sale Invoice: ${stats.lastSaleInvoiceId}`);
+        console.log(`   Total Chats: ${stats.totalChats}`);
+        console.log(`   Invoices Cached: ${stats.cachedInvoices}`);
+        console.log(`   Products Cached: ${stats.cachedProducts}`);
+        
+        monitor.stop();
+    }
+    console.log(`\n   Telegram: ${telegram ? 'Enabled' : 'Disabled'}`);
     console.log(`   Debug Mode: ${DEBUG_MODE ? 'ON' : 'OFF'}`);
     console.log('');
     
-    monitor.stop();
+    if (telegram) {
+        telegram.stopPolling();
+        telegram.queue.stop();
+        if (telegram.quietHours) {
+            telegram.quietHours.stop();
+        }
+        if (telegram.queue.getDepth() > 0) {
+            console.log(`📤 ${telegram.queue.getDepth()} unsent Telegram message(s) saved for the next start`);
+        }
+    }
+    if (reportScheduler) {
+        reportScheduler.stop();
+    }
+    if (dashboard) {
+        dashboard.stop();
+    }
+    if (healthServer) {
+        healthServer.stop();
+    }
     console.log('✅ Monitor stopped successfully');
     console.log('👋 Goodbye!\n');
     process.exit(0);
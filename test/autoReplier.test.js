@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AutoReplier = require('../AutoReplier');
+
+const chat = { id_i: 1000, product: 100, email: 'buyer@example.com' };
+
+function buyerMessage(text, id = 1) {
+    return { id, message: text, buyer: 1 };
+}
+
+function createReplier(rules, options = {}) {
+    const sent = [];
+    const replier = new AutoReplier({ rules }, { debugMode: false, file: null, ...options });
+    const send = async (chatId, text) => { sent.push({ chatId, text }); };
+    return { replier, sent, send };
+}
+
+test('keyword rules reply with the filled-in template', async () => {
+    const { replier, sent, send } = createReplier([
+        { name: 'key', keywords: ['where is my key'], reply: 'Order {order}: your {product} key was sent to {email}' }
+    ]);
+
+    const result = await replier.handle(chat, [buyerMessage('Hi, WHERE is my key??')], 'Steam Key', send);
+
+    assert.deepStrictEqual(result, { rule: 'key', text: 'Order 1000: your Steam Key key was sent to buyer@example.com', dryRun: false });
+    assert.deepStrictEqual(sent, [{ chatId: 1000, text: result.text }]);
+});
+
+test('pattern rules match with a regular expression', async () => {
+    const { replier, sent, send } = createReplier([
+        { name: 'refund', pattern: '\\brefund\\b|возврат', reply: 'Refunds take 3 days' }
+    ]);
+
+    assert.ok(await replier.handle({ ...chat, id_i: 1 }, [buyerMessage('I want a refund')], null, send));
+    assert.ok(await replier.handle({ ...chat, id_i: 2 }, [buyerMessage('Хочу возврат')], null, send));
+    assert.strictEqual(await replier.handle({ ...chat, id_i: 3 }, [buyerMessage('refunded already, thanks')], null, send), null);
+    assert.strictEqual(sent.length, 2);
+});
+
+test('seller messages never trigger a reply', async () => {
+    const { replier, sent, send } = createReplier([{ name: 'any', keywords: ['key'], reply: 'ok' }]);
+
+    const result = await replier.handle(chat, [{ id: 1, message: 'Here is your key', buyer: 0 }], null, send);
+
+    assert.strictEqual(result, null);
+    assert.deepStrictEqual(sent, []);
+});
+
+test('product, language and first-message filters', async () => {
+    const { replier, send } = createReplier([
+        { name: 'welcome', firstMessage: true, reply: 'Welcome!' },
+        { name: 'product-only', keywords: ['help'], productIds: [555], reply: 'Product help' },
+        { name: 'russian', keywords: ['help', 'помогите'], languages: ['ru'], reply: 'Помощь' }
+    ]);
+
+    // Not the first message, wrong product, not Russian - nothing matches
+    assert.strictEqual(await replier.handle(chat, [buyerMessage('help')], null, send, { firstMessageInChat: false }), null);
+
+    const welcome = await replier.handle({ ...chat, id_i: 1 }, [buyerMessage('hello')], null, send, { firstMessageInChat: true });
+    assert.strictEqual(welcome.rule, 'welcome');
+
+    const productHelp = await replier.handle({ ...chat, id_i: 2, product: 555 }, [buyerMessage('help')], null, send);
+    assert.strictEqual(productHelp.rule, 'product-only');
+
+    const russian = await replier.handle({ ...chat, id_i: 3 }, [buyerMessage('помогите')], null, send);
+    assert.strictEqual(russian.rule, 'russian');
+});
+
+test('a rule fires once per chat within its cooldown', async () => {
+    const { replier, sent, send } = createReplier([{ name: 'key', keywords: ['key'], reply: 'Check your email', cooldownMinutes: 30 }]);
+
+    await replier.handle(chat, [buyerMessage('key?')], null, send);
+    await replier.handle(chat, [buyerMessage('key??', 2)], null, send);
+    await replier.handle({ ...chat, id_i: 2000 }, [buyerMessage('key?')], null, send);
+    assert.deepStrictEqual(sent.map(s => s.chatId), [1000, 2000]);
+
+    // After the cooldown the rule can fire again
+    const realNow = Date.now;
+    Date.now = () => realNow() + 31 * 60 * 1000;
+    try {
+        await replier.handle(chat, [buyerMessage('key???', 3)], null, send);
+    } finally {
+        Date.now = realNow;
+    }
+    assert.deepStrictEqual(sent.map(s => s.chatId), [1000, 2000, 1000]);
+});
+
+test('cooldowns survive a restart', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-auto-replies-')), 'auto-replies-state.json');
+    const rules = [
+        { name: 'key', keywords: ['key'], reply: 'Check your email', cooldownMinutes: 30 },
+        { name: 'short', keywords: ['key'], reply: 'Still checking', cooldownMinutes: 1 }
+    ];
+
+    const first = createReplier(rules, { file });
+    await first.replier.handle(chat, [buyerMessage('key?')], null, first.send);
+    assert.deepStrictEqual(first.sent.map(s => s.text), ['Check your email']);
+
+    const second = createReplier(rules, { file });
+    await second.replier.load();
+    await second.replier.handle(chat, [buyerMessage('key??', 2)], null, second.send);
+    assert.deepStrictEqual(second.sent.map(s => s.text), ['Still checking']);
+
+    // Expired cooldowns and those of removed rules are not restored
+    const realNow = Date.now;
+    Date.now = () => realNow() + 2 * 60 * 1000;
+    try {
+        const third = createReplier([rules[1]], { file });
+        await third.replier.load();
+        assert.deepStrictEqual(Array.from(third.replier.lastReplies.keys()), []);
+    } finally {
+        Date.now = realNow;
+    }
+});
+
+test('a rule using {email} is skipped when the buyer email is unknown', async () => {
+    const { replier, sent, send } = createReplier([
+        { name: 'key', keywords: ['key'], reply: 'Your key was sent to {email}' },
+        { name: 'fallback', keywords: ['key'], reply: 'Your key is on the order page' }
+    ]);
+
+    const result = await replier.handle({ ...chat, email: '' }, [buyerMessage('key?')], null, send);
+
+    assert.strictEqual(result.rule, 'fallback');
+    assert.deepStrictEqual(sent, [{ chatId: 1000, text: 'Your key is on the order page' }]);
+    assert.ok(await replier.handle(chat, [buyerMessage('key?')], null, send));
+});
+
+test('dry run reports the reply without sending it', async () => {
+    const { replier, sent, send } = createReplier([{ name: 'key', keywords: ['key'], reply: 'Check {email}' }], { dryRun: true });
+
+    const originalInfo = console.info;
+    const logged = [];
+    console.info = (...args) => logged.push(args.join(' '));
+    let result;
+    try {
+        result = await replier.handle(chat, [buyerMessage('key?')], null, send);
+    } finally {
+        console.info = originalInfo;
+    }
+
+    assert.deepStrictEqual(result, { rule: 'key', text: 'Check buyer@example.com', dryRun: true });
+    assert.deepStrictEqual(sent, []);
+    assert.match(logged[0], /DRY RUN/);
+});
+
+test('invalid rules are rejected', () => {
+    assert.throws(() => new AutoReplier({ rules: [{ name: 'x', keywords: ['a'] }] }), /"reply" is required/);
+    assert.throws(() => new AutoReplier({ rules: [{ name: 'x', reply: 'y' }] }), /set "keywords", "pattern" or "firstMessage"/);
+    assert.throws(() => new AutoReplier({ rules: [{ name: 'x', pattern: '(', reply: 'y' }] }), /invalid pattern/);
+});
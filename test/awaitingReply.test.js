@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MockServer = require('./mockServer');
+const { runPoll, runStart } = require('./helpers');
+const GGSel = require('../GGSel');
+const GGSelChatMonitor = require('../GGSelChatMonitor-Complete');
+const TelegramNotifier = require('../TelegramNotifier');
+const createCommands = require('../TelegramCommands');
+
+const server = new MockServer();
+const MINUTE = 60000;
+
+test.before(async () => {
+    await server.start();
+    process.env.GGSEL_API_URL = server.ggselUrl;
+    process.env.GGSEL_SELLER_ID = String(server.sellerId);
+    process.env.GGSEL_SECRET_KEY = server.secretKey;
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+    GGSel.clearTokenCache();
+    server.products.set(200, 'Game Pass');
+    server.purchases.set(1001, { buyer_info: { email: 'a@example.com' } });
+    server.purchases.set(1002, { buyer_info: { email: 'b@example.com' } });
+});
+
+function createMonitor(options = {}) {
+    const reminders = [];
+    const monitor = new GGSelChatMonitor({
+        debugMode: false,
+        onNewOrder: () => {},
+        onNewChat: () => {},
+        onNewMessage: () => {},
+        onAwaitingReply: (chats) => reminders.push(chats.map(chat => chat.chatId).sort()),
+        awaitingReplyMinutes: 30,
+        ...options
+    });
+    return { monitor, reminders };
+}
+
+// Pretend every recorded speaker was seen `minutes` ago
+function age(monitor, minutes) {
+    for (const speaker of monitor.lastSpeakers.values()) {
+        speaker.at -= minutes * MINUTE;
+    }
+    monitor.lastAwaitingReplyCheck = 0;
+}
+
+test('the last speaker of each chat is tracked, including our own replies', async () => {
+    server.addChat({ id: 1, id_i: 1001, product: 200 });
+    server.addChat({ id: 2, id_i: 1002, product: 200 });
+    server.addMessage(1001, { id: 1, message: 'Where is my key?', buyer: 1 });
+    server.addMessage(1002, { id: 2, message: 'Hi', buyer: 1 });
+    server.addMessage(1002, { id: 3, message: 'Hello, here it is', buyer: 0 });
+    const { monitor } = createMonitor();
+
+    await runStart(monitor);
+    assert.deepStrictEqual(monitor.getAwaitingReply().map(chat => [chat.chatId, chat.productName]), [[1001, 'Game Pass']]);
+    assert.strictEqual(monitor.getStats().awaitingReply, 1);
+
+    // Answering from Telegram (or an auto-reply) clears it
+    await monitor.sendMessage(1001, 'Sent it again');
+    assert.deepStrictEqual(monitor.getAwaitingReply(), []);
+
+    // The buyer writes again - waiting again
+    server.addMessage(1001, { id: 5, message: 'Thanks, one more question', buyer: 1 });
+    await runPoll(monitor);
+    assert.deepStrictEqual(monitor.getAwaitingReply().map(chat => chat.chatId), [1001]);
+
+    // Saved with the rest of the monitor state
+    const restored = createMonitor().monitor;
+    restored.restoreState(JSON.parse(JSON.stringify(monitor.serializeState())));
+    assert.deepStrictEqual(restored.getAwaitingReply().map(chat => chat.chatId), [1001]);
+});
+
+test('buyers waiting too long are reminded about, unless answered in the seller panel', async () => {
+    server.addChat({ id: 1, id_i: 1001, product: 200 });
+    server.addChat({ id: 2, id_i: 1002, product: 200 });
+    server.addMessage(1001, { id: 1, message: 'Where is my key?', buyer: 1 });
+    server.addMessage(1002, { id: 2, message: 'Hello?', buyer: 1 });
+    const { monitor, reminders } = createMonitor();
+
+    await runStart(monitor);
+    assert.deepStrictEqual(reminders, []);
+
+    age(monitor, 31);
+    await runPoll(monitor);
+    assert.deepStrictEqual(reminders, [[1001, 1002]]);
+
+    // Not again until the interval has passed
+    await runPoll(monitor);
+    assert.strictEqual(reminders.length, 1);
+
+    // Chat 1002 was answered in the panel and read, so it left the unread list
+    server.chats = server.chats.filter(chat => chat.id_i !== 1002);
+    server.addMessage(1002, { id: 3, message: 'Sorry for the wait!', buyer: 0 });
+    age(monitor, 0);
+    await runPoll(monitor);
+    assert.deepStrictEqual(reminders[1], [1001]);
+});
+
+test('the reminder and /waiting list the waiting chats', async () => {
+    const telegram = new TelegramNotifier(server.botToken, '777', false, { apiBaseUrl: server.url });
+    const since = Date.now() - 2 * 60 * MINUTE;
+    const chats = [{ chatId: 1001, productId: 200, productName: 'Game <Pass>', since: since }, { chatId: 1002, productId: 300, productName: null, since: since }];
+
+    await telegram.notifyAwaitingReply(chats, { shop: 'Main Shop', minutes: 30 });
+    const [reminder] = server.telegramMessages;
+    assert.match(reminder.text, /^⏳ <b>AWAITING YOUR REPLY<\/b> \(2\)/);
+    assert.match(reminder.text, /🏪 <b>Shop:<\/b> Main Shop/);
+    assert.match(reminder.text, /waited over 30 min/);
+    assert.match(reminder.text, /🆔 <b>1001<\/b> · Game &lt;Pass&gt; · 💬 2 hours ago\n🆔 <b>1002<\/b> · 💬 2 hours ago/);
+
+    const monitor = { getAwaitingReply: () => chats };
+    const commands = createCommands({ accounts: [{ name: null, monitor }], telegram });
+    assert.match(await commands.waiting.handler([]), /🆔 <b>1001<\/b> - Game &lt;Pass&gt;\n   💬 2 hours ago/);
+
+    monitor.getAwaitingReply = () => [];
+    assert.match(await commands.waiting.handler([]), /Nobody is waiting/);
+});
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const MockServer = require('./mockServer');
+const { runPoll, runStart, waitFor } = require('./helpers');
+const GGSel = require('../GGSel');
+const GGSelChatMonitor = require('../GGSelChatMonitor-Complete');
+const Dashboard = require('../Dashboard');
+
+const server = new MockServer();
+const DASHBOARD_TOKEN = 'dashboard-secret';
+let monitor;
+let dashboard;
+
+test.before(async () => {
+    await server.start();
+    process.env.GGSEL_API_URL = server.ggselUrl;
+    process.env.GGSEL_SELLER_ID = String(server.sellerId);
+    process.env.GGSEL_SECRET_KEY = server.secretKey;
+    process.env.GGSEL_RETRY_DELAY = '1';
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(async () => {
+    server.reset();
+    GGSel.clearTokenCache();
+
+    server.products.set(100, 'Steam Key');
+    server.addSale({ invoice_id: 1000, date: '2024-05-01T10:00:00Z', product: { id: 100, name: 'Steam Key', price_usd: 10 } });
+    server.addChat({ id: 1, id_i: 1000, product: 100, cnt_msg: 2, cnt_new: 1, last_message: '2024-05-01T10:06:00Z' });
+    server.addMessage(1000, { id: 2, message: 'Thanks', buyer: 0, date_written: '2024-05-01T10:06:00Z' });
+    server.addMessage(1000, { id: 1, message: 'Where is my key?', buyer: 1, date_written: '2024-05-01T10:05:00Z' });
+
+    monitor = new GGSelChatMonitor({
+        debugMode: false,
+        onNewOrder: (sale) => dashboard.recordOrder(sale),
+        onNewChat: (chat, productName) => dashboard.recordChat(chat, productName),
+        onNewMessage: (chat, count, messages, productName) => dashboard.recordMessages(chat, messages, productName),
+        onPollComplete: () => dashboard.recordPoll(null)
+    });
+    dashboard = new Dashboard({
+        port: 0,
+        token: DASHBOARD_TOKEN,
+        debugMode: false,
+        accounts: [{ name: null, monitor }]
+    });
+    await dashboard.start();
+});
+
+test.afterEach(async () => {
+    await dashboard.stop();
+});
+
+function dashboardUrl(pathname) {
+    return `http://127.0.0.1:${dashboard.port}${pathname}${pathname.includes('?') ? '&' : '?'}token=${DASHBOARD_TOKEN}`;
+}
+
+// Collect Server-Sent Events from /events until the returned close() is called
+function openEventStream() {
+    const events = [];
+    let buffer = '';
+    const request = http.get(dashboardUrl('/events'), (response) => {
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                const event = /^event: (.*)$/m.exec(block);
+                const data = /^data: (.*)$/m.exec(block);
+                if (event && data) {
+                    events.push({ event: event[1], data: JSON.parse(data[1]) });
+                }
+            }
+        });
+    });
+    request.on('error', () => {});
+    return { events, close: () => request.destroy() };
+}
+
+test('every request needs the dashboard token', async () => {
+    const withoutToken = await fetch(`http://127.0.0.1:${dashboard.port}/api/state`);
+    assert.strictEqual(withoutToken.status, 401);
+
+    const withHeader = await fetch(`http://127.0.0.1:${dashboard.port}/api/state`, { headers: { Authorization: `Bearer ${DASHBOARD_TOKEN}` } });
+    assert.strictEqual(withHeader.status, 200);
+
+    const page = await fetch(dashboardUrl('/'));
+    assert.strictEqual(page.status, 200);
+    assert.match(await page.text(), /EventSource/);
+});
+
+test('the state snapshot shows poll health, caches and unread chats', async () => {
+    await runStart(monitor);
+
+    const state = await (await fetch(dashboardUrl('/api/state'))).json();
+    const [account] = state.accounts;
+    assert.strictEqual(account.stats.lastPollError, null);
+    assert.ok(account.stats.lastPollAt > 0);
+    assert.strictEqual(account.stats.lastSaleInvoiceId, 1000);
+    assert.strictEqual(typeof account.stats.cachedInvoices, 'number');
+    assert.deepStrictEqual(account.unreadChats, [
+        { chatId: 1000, productId: 100, unread: 1, messageCount: 2, lastMessage: '2024-05-01T10:06:00Z', email: null }
+    ]);
+
+    server.failNext('/debates/v2/chats', 502, { error: 'Bad gateway' }, 3);
+    await runPoll(monitor);
+    const failed = await (await fetch(dashboardUrl('/api/state'))).json();
+    assert.strictEqual(failed.accounts[0].stats.lastPollError, 'HTTP 502');
+});
+
+test('new orders, messages and poll results are pushed live', async () => {
+    await runStart(monitor);
+    const stream = openEventStream();
+    try {
+        await waitFor(() => dashboard.clients.size === 1);
+
+        server.addSale({ invoice_id: 1001, date: '2024-05-02T12:00:00Z', product: { id: 100, name: 'Steam Key', price_usd: 10 } });
+        server.purchases.set(1001, { buyer_info: { email: 'buyer@example.com' }, amount: 900, currency_type: 'RUB' });
+        server.addMessage(1000, { id: 3, message: 'Any update?', buyer: 1, date_written: '2024-05-01T11:00:00Z' });
+        await runPoll(monitor);
+
+        await waitFor(() => stream.events.some(e => e.event === 'status'));
+        const order = stream.events.find(e => e.event === 'order');
+        const message = stream.events.find(e => e.event === 'message');
+        assert.strictEqual(order.data.invoiceId, 1001);
+        assert.strictEqual(order.data.email, 'buyer@example.com');
+        assert.strictEqual(order.data.amount, '900 RUB');
+        assert.strictEqual(message.data.chatId, 1000);
+        assert.strictEqual(message.data.text, 'Any update?');
+
+        // Recent items are kept for clients that connect later
+        const state = await (await fetch(dashboardUrl('/api/state'))).json();
+        assert.strictEqual(state.orders[0].invoiceId, 1001);
+        assert.strictEqual(state.messages[0].text, 'Any update?');
+    } finally {
+        stream.close();
+    }
+});
+
+test('a chat thread is fetched from the API oldest first', async () => {
+    const response = await fetch(dashboardUrl('/api/chats/1000'));
+    assert.strictEqual(response.status, 200);
+
+    const thread = await response.json();
+    assert.strictEqual(thread.chatId, 1000);
+    assert.deepStrictEqual(thread.messages.map(m => [m.buyer, m.text]), [[true, 'Where is my key?'], [false, 'Thanks']]);
+
+    assert.strictEqual((await fetch(dashboardUrl('/api/unknown'))).status, 404);
+});
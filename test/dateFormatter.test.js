@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DateFormatter = require('../DateFormatter');
+const TelegramNotifier = require('../TelegramNotifier');
+const TelegramRouter = require('../TelegramRouter');
+
+const SALE_DATE = '2024-05-02T21:30:00Z';
+
+test('dates are formatted in the configured timezone and locale', () => {
+    assert.strictEqual(new DateFormatter({ timeZone: 'Europe/Istanbul', locale: 'en' }).format(SALE_DATE), '05/03/2024, 00:30:00 GMT+3');
+    assert.strictEqual(new DateFormatter({ timeZone: 'America/New_York', locale: 'en' }).format(SALE_DATE), '05/02/2024, 17:30:00 GMT-4');
+    assert.strictEqual(new DateFormatter({ timeZone: 'UTC', locale: 'ru' }).format(Date.parse(SALE_DATE)), '02.05.2024, 21:30:00 GMT');
+    assert.strictEqual(new DateFormatter({ timeZone: 'UTC', locale: 'tr' }).format(new Date(SALE_DATE)), '02.05.2024 21:30:00 GMT');
+    assert.strictEqual(new DateFormatter({ timeZone: 'Asia/Kolkata' }).zoneLabel(SALE_DATE), 'GMT+5:30');
+
+    const dates = new DateFormatter({ timeZone: 'UTC', locale: 'en' });
+    assert.strictEqual(dates.format(null), 'N/A');
+    assert.strictEqual(dates.format('not a date'), 'N/A');
+
+    assert.throws(() => new DateFormatter({ timeZone: 'GMT+3 Istanbul' }), /Unknown timezone "GMT\+3 Istanbul"/);
+    assert.throws(() => new DateFormatter({ locale: 'en_US' }), /Invalid locale "en_US"/);
+});
+
+test('relative times pick the largest fitting unit', () => {
+    const now = Date.parse(SALE_DATE);
+    const english = new DateFormatter({ timeZone: 'UTC', locale: 'en' });
+
+    assert.strictEqual(english.relative(now - 20 * 1000, now), '20 seconds ago');
+    assert.strictEqual(english.relative(now - 3 * 60 * 1000, now), '3 minutes ago');
+    assert.strictEqual(english.relative(now - 5 * 60 * 60 * 1000, now), '5 hours ago');
+    assert.strictEqual(english.relative(now - 26 * 60 * 60 * 1000, now), 'yesterday');
+    assert.strictEqual(english.relative(now + 10 * 60 * 1000, now), 'in 10 minutes');
+    assert.strictEqual(english.relative(now, now), 'now');
+
+    assert.strictEqual(new DateFormatter({ timeZone: 'UTC', locale: 'ru' }).relative(now - 3 * 60 * 1000, now), '3 минуты назад');
+    assert.strictEqual(new DateFormatter({ timeZone: 'UTC', locale: 'tr' }).relative(now - 3 * 60 * 1000, now), '3 dakika önce');
+});
+
+test('each routed Telegram destination gets dates in its own timezone', async () => {
+    const router = new TelegramRouter({
+        rules: [{ events: ['order'], to: ['111', { chatId: '222', timeZone: 'America/New_York' }] }]
+    });
+    const telegram = new TelegramNotifier('test-token', '111', false, { router, timeZone: 'Europe/Istanbul', locale: 'en' });
+    const sent = [];
+    telegram.callApi = async (method, params) => {
+        sent.push([params.chat_id, params.text]);
+        return { ok: true };
+    };
+
+    await telegram.notifyNewOrder({ invoice_id: 1001, date: SALE_DATE, product: { name: 'Game Pass' }, formatted_amount: '15 USD' });
+
+    assert.strictEqual(sent.length, 2);
+    assert.match(sent[0][1], /Date:<\/b> 05\/03\/2024, 00:30:00 GMT\+3$/);
+    assert.match(sent[1][1], /Date:<\/b> 05\/02\/2024, 17:30:00 GMT-4$/);
+});
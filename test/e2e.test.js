@@ -0,0 +1,278 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MockServer = require('./mockServer');
+const { runPoll, runStart, waitFor } = require('./helpers');
+const GGSel = require('../GGSel');
+const GGSelChatMonitor = require('../GGSelChatMonitor-Complete');
+const TelegramNotifier = require('../TelegramNotifier');
+
+const server = new MockServer();
+const TELEGRAM_CHAT_ID = '777';
+
+test.before(async () => {
+    await server.start();
+    process.env.GGSEL_API_URL = server.ggselUrl;
+    process.env.GGSEL_SELLER_ID = String(server.sellerId);
+    process.env.GGSEL_SECRET_KEY = server.secretKey;
+    process.env.GGSEL_RETRY_DELAY = '1';
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+    GGSel.clearTokenCache();
+});
+
+// Seed the fake API with one existing order and one existing chat
+function seedExistingData() {
+    server.products.set(100, 'Steam Key');
+    server.products.set(200, 'Game Pass');
+    server.addSale({ invoice_id: 1000, date: '2024-05-01T10:00:00Z', product: { id: 100, name: 'Steam Key', price_usd: 10, price_eur: 9, price_rub: 900 } });
+    server.purchases.set(1000, { buyer_info: { email: 'old@example.com' }, amount: 10, currency_type: 'USD' });
+    server.addChat({ id: 1, id_i: 1000, product: 100, cnt_msg: 1, cnt_new: 1, last_message: '2024-05-01T10:05:00Z' });
+    server.addMessage(1000, { id: 1, message: 'Old question', buyer: 1, date_written: '2024-05-01T10:05:00Z' });
+}
+
+// Monitor wired to a real TelegramNotifier, like startMonitor-Telegram.js
+function createMonitor() {
+    const telegram = new TelegramNotifier(server.botToken, TELEGRAM_CHAT_ID, false, { apiBaseUrl: server.url });
+    const monitor = new GGSelChatMonitor({
+        debugMode: false,
+        pollingInterval: 60000,
+        onNewOrder: (sale) => telegram.notifyNewOrder(sale),
+        onNewChat: (chat, productName) => telegram.notifyNewChat(chat, productName),
+        onNewMessage: (chat, count, messages, productName) => telegram.notifyNewMessage(chat, count, messages, productName)
+    });
+    return { monitor, telegram };
+}
+
+test('startup logs in and does not alert on existing data', async () => {
+    seedExistingData();
+    const { monitor } = createMonitor();
+
+    await runStart(monitor);
+    await runPoll(monitor);
+
+    assert.strictEqual(server.loginCount, 1);
+    assert.strictEqual(monitor.lastSaleInvoiceId, 1000);
+    assert.deepStrictEqual(server.telegramMessages, []);
+});
+
+test('a new order is sent to Telegram with buyer email and amount', async () => {
+    seedExistingData();
+    const { monitor } = createMonitor();
+    await runStart(monitor);
+
+    server.addSale({ invoice_id: 1001, date: '2024-05-02T12:00:00Z', product: { id: 200, name: 'Game Pass', price_usd: 15, price_eur: 14, price_rub: 1400 } });
+    server.purchases.set(1001, { buyer_info: { email: 'buyer@example.com' }, amount: 1350, currency_type: 'RUB' });
+    await runPoll(monitor);
+    await waitFor(() => server.telegramMessages.length === 1);
+
+    const [message] = server.telegramMessages;
+    assert.strictEqual(message.chat.id, TELEGRAM_CHAT_ID);
+    assert.match(message.text, /NEW ORDER RECEIVED/);
+    assert.match(message.text, /1001/);
+    assert.match(message.text, /buyer@example\.com/);
+    assert.match(message.text, /1350 RUB/);
+    assert.strictEqual(monitor.lastSaleInvoiceId, 1001);
+});
+
+test('a new chat and its first messages are sent to Telegram', async () => {
+    seedExistingData();
+    const { monitor } = createMonitor();
+    await runStart(monitor);
+
+    server.purchases.set(1002, { buyer_info: { email: 'new@example.com' } });
+    server.addChat({ id: 2, id_i: 1002, product: 200, cnt_msg: 1, cnt_new: 1, last_message: '2024-05-02T13:00:00Z' });
+    server.addMessage(1002, { id: 5, message: 'Where is my <key>?', buyer: 1, date_written: '2024-05-02T13:00:00Z' });
+    await runPoll(monitor);
+    await waitFor(() => server.telegramMessages.length === 2);
+
+    const texts = server.telegramMessages.map(message => message.text);
+    assert.ok(texts.some(text => /NEW CHAT CREATED/.test(text) && /1002/.test(text) && /Game Pass/.test(text)));
+    assert.ok(texts.some(text => /NEW MESSAGE/.test(text) && /Where is my &lt;key&gt;\?/.test(text)));
+});
+
+test('a new message in an existing chat is sent to Telegram', async () => {
+    seedExistingData();
+    const { monitor } = createMonitor();
+    await runStart(monitor);
+
+    server.addMessage(1000, { id: 2, message: 'Any update?', buyer: 1, date_written: '2024-05-01T11:00:00Z' });
+    await runPoll(monitor);
+    await waitFor(() => server.telegramMessages.length === 1);
+
+    const [message] = server.telegramMessages;
+    assert.match(message.text, /NEW MESSAGE/);
+    assert.match(message.text, /old@example\.com/);
+    assert.match(message.text, /Any update\?/);
+    assert.doesNotMatch(message.text, /Old question/);
+});
+
+test('a replied Telegram message is forwarded to the buyer chat', async () => {
+    seedExistingData();
+    const { monitor, telegram } = createMonitor();
+    await runStart(monitor);
+
+    server.addMessage(1000, { id: 2, message: 'Any update?', buyer: 1, date_written: '2024-05-01T11:00:00Z' });
+    await runPoll(monitor);
+    await waitFor(() => server.telegramMessages.length === 1);
+
+    telegram.startPolling({
+        onReply: async (chatId, text) => monitor.sendMessage(chatId, text)
+    });
+    server.queueTelegramUpdate({
+        update_id: 1,
+        message: {
+            message_id: 50,
+            chat: { id: Number(TELEGRAM_CHAT_ID) },
+            text: 'Sent it again, check your inbox',
+            reply_to_message: { message_id: server.telegramMessages[0].message_id }
+        }
+    });
+
+    try {
+        await waitFor(() => server.telegramMessages.length === 2);
+    } finally {
+        telegram.stopPolling();
+    }
+
+    assert.deepStrictEqual(server.sentChatMessages, [{ id_i: 1000, message: 'Sent it again, check your inbox' }]);
+    assert.match(server.telegramMessages[1].text, /Reply sent to order/);
+});
+
+test('an expired token is replaced by a new login', async () => {
+    seedExistingData();
+    const { monitor } = createMonitor();
+    await runStart(monitor);
+    assert.strictEqual(server.loginCount, 1);
+
+    // Jump past the token validity window - the cached token must not be reused
+    const realNow = Date.now;
+    Date.now = () => realNow() + GGSel.TOKEN_VALIDITY_DURATION + 1000;
+    server.expireTokens();
+    try {
+        server.addSale({ invoice_id: 1001, date: '2024-05-02T12:00:00Z', product: { id: 200, name: 'Game Pass', price_usd: 15, price_eur: 14, price_rub: 1400 } });
+        server.purchases.set(1001, { buyer_info: { email: 'buyer@example.com' } });
+        await runPoll(monitor);
+    } finally {
+        Date.now = realNow;
+    }
+    await waitFor(() => server.telegramMessages.length === 1);
+
+    assert.strictEqual(server.loginCount, 2);
+    assert.match(server.telegramMessages[0].text, /1001/);
+});
+
+test('a failing chats endpoint does not stop the monitor', async () => {
+    seedExistingData();
+    const { monitor } = createMonitor();
+    await runStart(monitor);
+
+    server.addMessage(1000, { id: 2, message: 'Hello?', buyer: 1, date_written: '2024-05-01T11:00:00Z' });
+    // Fails every attempt of the poll (the first try plus two retries)
+    server.failNext('/debates/v2/chats', 502, { error: 'Bad gateway' }, 3);
+    await runPoll(monitor);
+    assert.deepStrictEqual(server.telegramMessages, []);
+
+    // The next poll picks the message up
+    await runPoll(monitor);
+    await waitFor(() => server.telegramMessages.length === 1);
+    assert.match(server.telegramMessages[0].text, /Hello\?/);
+});
+
+test('a sales API error does not alert or move the order cursor', async () => {
+    seedExistingData();
+    const { monitor } = createMonitor();
+    await runStart(monitor);
+
+    server.failNext('/seller-last-sales', 200, { retval: -1, retdesc: 'Temporary error' });
+    await runPoll(monitor);
+
+    assert.strictEqual(monitor.lastSaleInvoiceId, 1000);
+    assert.deepStrictEqual(server.telegramMessages, []);
+});
+
+test('invalid credentials fail startup without crashing', async () => {
+    seedExistingData();
+    process.env.GGSEL_SECRET_KEY = 'wrong-secret';
+    const { monitor } = createMonitor();
+    try {
+        await runStart(monitor);
+    } finally {
+        process.env.GGSEL_SECRET_KEY = server.secretKey;
+    }
+
+    assert.strictEqual(server.loginCount, 0);
+    assert.strictEqual(monitor.lastSaleInvoiceId, null);
+    assert.deepStrictEqual(server.telegramMessages, []);
+});
+
+test('notifications go to the routed chat and forum topic, and replies from there are forwarded', async () => {
+    seedExistingData();
+    const telegram = new TelegramNotifier(server.botToken, TELEGRAM_CHAT_ID, false, { apiBaseUrl: server.url, replyChatIds: ['-100200'] });
+    const monitor = new GGSelChatMonitor({
+        debugMode: false,
+        onNewOrder: () => {},
+        onNewChat: () => {},
+        onNewMessage: (chat, count, messages, productName) => telegram.notifyNewMessage(chat, count, messages, productName, { chatId: '-100200', threadId: 9 })
+    });
+    await runStart(monitor);
+
+    server.addMessage(1000, { id: 2, message: 'Any update?', buyer: 1, date_written: '2024-05-01T11:00:00Z' });
+    await runPoll(monitor);
+    await waitFor(() => server.telegramMessages.length === 1);
+
+    const [notification] = server.telegramMessages;
+    assert.strictEqual(notification.params.chat_id, '-100200');
+    assert.strictEqual(notification.params.message_thread_id, 9);
+
+    telegram.startPolling({
+        onReply: async (chatId, text) => monitor.sendMessage(chatId, text)
+    });
+    server.queueTelegramUpdate({
+        update_id: 1,
+        message: {
+            message_id: 60,
+            message_thread_id: 9,
+            chat: { id: -100200 },
+            text: 'On it',
+            reply_to_message: { message_id: notification.message_id }
+        }
+    });
+
+    try {
+        await waitFor(() => server.telegramMessages.length === 2);
+    } finally {
+        telegram.stopPolling();
+    }
+
+    assert.deepStrictEqual(server.sentChatMessages, [{ id_i: 1000, message: 'On it' }]);
+    assert.strictEqual(server.telegramMessages[1].params.chat_id, -100200);
+    assert.strictEqual(server.telegramMessages[1].params.message_thread_id, 9);
+});
+
+test('onError is called once per failure streak', async () => {
+    seedExistingData();
+    const errors = [];
+    const monitor = new GGSelChatMonitor({
+        debugMode: false,
+        onNewOrder: () => {},
+        onNewChat: () => {},
+        onNewMessage: () => {},
+        onError: (error, context) => errors.push(context)
+    });
+    await runStart(monitor);
+
+    server.failNext('/debates/v2/chats', 500, { error: 'down' }, 6);
+    await runPoll(monitor);
+    await runPoll(monitor);
+    await runPoll(monitor);
+    server.failNext('/debates/v2/chats', 500, { error: 'down again' }, 3);
+    await runPoll(monitor);
+
+    assert.deepStrictEqual(errors, ['Polling', 'Polling']);
+});
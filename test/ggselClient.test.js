@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MockServer = require('./mockServer');
+const { GGSelAuth } = require('../GGSel');
+const GGSelClient = require('../GGSelClient');
+const { GGSelNetworkError, GGSelHttpError, GGSelApiError, GGSelAuthError } = GGSelClient;
+
+const server = new MockServer();
+
+test.before(async () => {
+    await server.start();
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+});
+
+function createClient(options = {}) {
+    const auth = new GGSelAuth({ sellerId: server.sellerId, secretKey: server.secretKey, apiBaseUrl: server.ggselUrl });
+    return new GGSelClient({ auth, apiBaseUrl: server.ggselUrl, sellerId: server.sellerId, retryDelay: 1, ...options });
+}
+
+const requestsTo = (path) => server.requests.filter(r => r.path.endsWith(path));
+
+test('server errors are retried until the request goes through', async () => {
+    server.addChat({ id: 1, id_i: 1000, product: 100, cnt_msg: 1, cnt_new: 1 });
+    server.failNext('/debates/v2/chats', 503, { error: 'Busy' }, 2);
+
+    const chats = await createClient().fetchChats();
+
+    assert.deepStrictEqual(chats.items.map(chat => chat.id_i), [1000]);
+    assert.strictEqual(requestsTo('/debates/v2/chats').length, 3);
+});
+
+test('the last HTTP error is thrown once the retries run out', async () => {
+    server.failNext('/debates/v2/chats', 502, { error: 'Bad gateway' }, 5);
+
+    await assert.rejects(createClient({ retries: 1 }).fetchChats(), (error) => {
+        assert.ok(error instanceof GGSelHttpError);
+        assert.strictEqual(error.statusCode, 502);
+        assert.strictEqual(error.endpoint, '/debates/v2/chats');
+        assert.deepStrictEqual(error.body, { error: 'Bad gateway' });
+        return true;
+    });
+    assert.strictEqual(requestsTo('/debates/v2/chats').length, 2);
+});
+
+test('an API error in the body is thrown without retrying', async () => {
+    await assert.rejects(createClient().fetchPurchaseInfo(404), (error) => {
+        assert.ok(error instanceof GGSelApiError);
+        assert.strictEqual(error.retval, -2);
+        assert.strictEqual(error.message, 'API Error: Invoice not found');
+        return true;
+    });
+    assert.strictEqual(requestsTo('/purchase/info/404').length, 1);
+});
+
+test('a rejected token is replaced by a new login and the request repeated', async () => {
+    server.products.set(100, 'Steam Key');
+    const client = createClient();
+    assert.strictEqual((await client.fetchProduct(100)).name, 'Steam Key');
+
+    server.expireTokens();
+    await client.sendMessage(1000, 'Hello');
+
+    assert.strictEqual(server.loginCount, 2);
+    assert.deepStrictEqual(server.sentChatMessages, [{ id_i: 1000, message: 'Hello' }]);
+});
+
+test('chats are fetched with the current token as a Bearer header', async () => {
+    const client = createClient();
+    await client.fetchChats();
+    server.expireTokens();
+    await client.fetchChats();
+
+    const [first, rejected, retried] = requestsTo('/debates/v2/chats');
+    assert.strictEqual(first.headers.authorization, `Bearer ${first.query.token}`);
+    assert.strictEqual(rejected.headers.authorization, `Bearer ${rejected.query.token}`);
+    assert.strictEqual(retried.headers.authorization, `Bearer ${retried.query.token}`);
+    assert.notStrictEqual(retried.query.token, first.query.token);
+});
+
+test('wrong credentials and unreachable servers fail with typed errors', async () => {
+    const auth = new GGSelAuth({ sellerId: 333, secretKey: 'wrong', apiBaseUrl: server.ggselUrl });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await assert.rejects(new GGSelClient({ auth, apiBaseUrl: server.ggselUrl }).fetchChats(), GGSelAuthError);
+    } finally {
+        console.error = originalError;
+    }
+
+    // Nothing listens on port 9 - the connection is refused on every attempt
+    const offline = new GGSelClient({ auth: { getToken: async () => 'token' }, apiBaseUrl: 'http://127.0.0.1:9', retries: 1, retryDelay: 1 });
+    await assert.rejects(offline.fetchMessages(1000), (error) => {
+        assert.ok(error instanceof GGSelNetworkError);
+        assert.strictEqual(error.code, 'ECONNREFUSED');
+        return true;
+    });
+});
+
+test('a sent chat message is not posted again after a timeout or a server error', async () => {
+    const client = createClient({ timeout: 50 });
+
+    // GGSel takes the message but answers too late
+    server.delayNext('/debates/v2', 150);
+    await assert.rejects(client.sendMessage(1000, 'Your key: ABC'), (error) => {
+        assert.ok(error instanceof GGSelNetworkError);
+        assert.strictEqual(error.code, 'ECONNABORTED');
+        return true;
+    });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.deepStrictEqual(server.sentChatMessages, [{ id_i: 1000, message: 'Your key: ABC' }]);
+
+    server.failNext('/debates/v2', 502, { error: 'Bad gateway' });
+    await assert.rejects(client.sendMessage(1000, 'Hello'), GGSelHttpError);
+    assert.strictEqual(server.requests.filter(r => r.method === 'POST' && r.path.endsWith('/debates/v2')).length, 2);
+
+    // A rate limit means the message was turned away, so it is tried again
+    server.failNext('/debates/v2', 429, { error: 'Too many requests' });
+    await client.sendMessage(1000, 'Hello again');
+    assert.strictEqual(server.sentChatMessages.length, 2);
+});
@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MockServer = require('./mockServer');
+const { runPoll, runStart, quietly } = require('./helpers');
+const GGSel = require('../GGSel');
+const GGSelChatMonitor = require('../GGSelChatMonitor-Complete');
+const NotifierRegistry = require('../NotifierRegistry');
+const TelegramNotifier = require('../TelegramNotifier');
+const HealthServer = require('../HealthServer');
+const WebhookNotifier = require('../WebhookNotifier');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const server = new MockServer();
+let monitor;
+let notifiers;
+let health;
+
+test.before(async () => {
+    await server.start();
+    process.env.GGSEL_API_URL = server.ggselUrl;
+    process.env.GGSEL_SELLER_ID = String(server.sellerId);
+    process.env.GGSEL_SECRET_KEY = server.secretKey;
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(async () => {
+    server.reset();
+    GGSel.clearTokenCache();
+
+    server.products.set(100, 'Steam Key');
+    server.addSale({ invoice_id: 1000, date: '2024-05-01T10:00:00Z', product: { id: 100, name: 'Steam Key', price_usd: 10 } });
+    server.addChat({ id: 1, id_i: 1000, product: 100 });
+    server.addMessage(1000, { id: 1, message: 'Where is my key?', buyer: 1, date_written: '2024-05-01T10:05:00Z' });
+
+    const auth = new GGSel.GGSelAuth({ sellerId: server.sellerId, secretKey: server.secretKey, apiBaseUrl: server.ggselUrl });
+    monitor = new GGSelChatMonitor({ name: 'Main "Shop"', auth, apiRetries: 0, debugMode: false, onNewOrder: () => {}, onNewChat: () => {}, onNewMessage: () => {} });
+    monitor.getChatBuyerEmail = async () => null;
+
+    notifiers = new NotifierRegistry({ debugMode: false });
+    notifiers.register({ channel: 'telegram', notifyNewOrder: async () => {} });
+    notifiers.register({ channel: 'slack', notifyNewOrder: async () => { throw new Error('Slack is down'); } });
+
+    health = new HealthServer({ port: 0, accounts: [{ name: 'Main "Shop"', monitor }], notifiers, readyWindow: 60000, debugMode: false });
+    await health.start();
+});
+
+test.afterEach(async () => {
+    await health.stop();
+});
+
+const healthUrl = (pathname) => `http://127.0.0.1:${health.port}${pathname}`;
+
+test('healthz answers and readyz follows the last poll', async () => {
+    const live = await fetch(healthUrl('/healthz'));
+    assert.strictEqual(live.status, 200);
+    assert.strictEqual((await live.json()).status, 'ok');
+
+    // Nothing polled yet
+    monitor.isRunning = true;
+    assert.strictEqual((await fetch(healthUrl('/readyz'))).status, 503);
+    monitor.isRunning = false;
+
+    await runStart(monitor);
+    monitor.isRunning = true;
+    const ready = await fetch(healthUrl('/readyz'));
+    assert.strictEqual(ready.status, 200);
+    assert.strictEqual((await ready.json()).accounts[0].ready, true);
+
+    // A failed poll, then a successful one that is too old
+    server.failNext('/debates/v2/chats', 502, { retval: 1 });
+    await runPoll(monitor);
+    monitor.isRunning = true;
+    const failing = await fetch(healthUrl('/readyz'));
+    assert.strictEqual(failing.status, 503);
+    assert.strictEqual((await failing.json()).accounts[0].lastPollError, 'HTTP 502');
+
+    await runPoll(monitor);
+    monitor.isRunning = true;
+    assert.strictEqual((await fetch(healthUrl('/readyz'))).status, 200);
+    monitor.lastPollAt = Date.now() - 61000;
+    assert.strictEqual((await fetch(healthUrl('/readyz'))).status, 503);
+
+    // A paused shop does not hold readiness back
+    monitor.isRunning = false;
+    assert.strictEqual((await fetch(healthUrl('/readyz'))).status, 200);
+    assert.strictEqual((await fetch(healthUrl('/unknown'))).status, 404);
+});
+
+test('metrics are served in the Prometheus text format', async () => {
+    await runStart(monitor);
+    server.failNext('/debates/v2/chats', 502, { retval: 1 });
+    await runPoll(monitor);
+    server.expireTokens();
+    await runPoll(monitor);
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await notifiers.notifyNewOrder({ invoice_id: 1001 });
+        await notifiers.notifyNewOrder({ invoice_id: 1002 });
+    } finally {
+        console.error = originalError;
+    }
+
+    const response = await fetch(healthUrl('/metrics'));
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    const body = await response.text();
+    const shop = 'shop="Main \\"Shop\\""';
+
+    assert.match(body, /^# HELP ggsel_polls_total Polls run\n# TYPE ggsel_polls_total counter$/m);
+    assert.ok(body.includes(`ggsel_polls_total{${shop}} 3\n`));
+    assert.match(body, new RegExp(`^ggsel_last_poll_duration_seconds\\{${escape(shop)}\\} \\d`, 'm'));
+    assert.ok(body.includes(`ggsel_last_poll_success{${shop}} 1\n`));
+    assert.ok(body.includes(`ggsel_api_requests_total{${shop},endpoint="GET /debates/v2/chats"} 4\n`));
+    assert.ok(body.includes(`ggsel_api_errors_total{${shop},endpoint="GET /debates/v2/chats"} 1\n`));
+    assert.ok(body.includes(`ggsel_token_refreshes_total{${shop}} 2\n`));
+    assert.ok(body.includes('ggsel_notifications_sent_total{channel="telegram"} 2\n'));
+    assert.ok(body.includes('ggsel_notifications_failed_total{channel="slack"} 2\n'));
+    assert.ok(body.includes(`ggsel_tracked_chats{${shop}} 1\n`));
+    assert.ok(body.includes(`ggsel_cache_entries{${shop},cache="products"} 1\n`));
+
+    // Each metric has one HELP / TYPE header, however many samples it has
+    assert.strictEqual(body.match(/# TYPE ggsel_cache_entries /g).length, 1);
+});
+
+test('a webhook that could not be delivered counts as failed', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-health-'));
+    const webhooks = new WebhookNotifier({ webhooks: [{ url: `${server.url}/webhooks/orders`, secret: 'hook-secret' }] },
+        { retryDelay: 1, maxAttempts: 1, debugMode: false, deadLetterFile: path.join(dir, 'dead-letters.jsonl') });
+    notifiers = new NotifierRegistry({ debugMode: false });
+    notifiers.register(webhooks);
+    health.notifiers = notifiers;
+
+    const sale = { invoice_id: 1001, date: '2024-05-01T11:00:00Z', product: { id: 100, name: 'Steam Key', price_usd: 10 } };
+    try {
+        await notifiers.notifyNewOrder(sale);
+        server.failNext('/webhooks/orders', 500, { error: 'down' });
+        await quietly(() => notifiers.notifyNewOrder({ ...sale, invoice_id: 1002 }));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const body = await (await fetch(healthUrl('/metrics'))).text();
+    assert.ok(body.includes('ggsel_notifications_sent_total{channel="webhooks"} 1\n'));
+    assert.ok(body.includes('ggsel_notifications_failed_total{channel="webhooks"} 1\n'));
+});
+
+test('queued Telegram notifications count once, when the queue has sent or dropped their messages', async () => {
+    const telegram = new TelegramNotifier(server.botToken, '777', false, {
+        apiBaseUrl: server.url,
+        queue: { file: null, perChatPerSecond: 20, retryDelay: 1, maxAttempts: 2 }
+    });
+    notifiers = new NotifierRegistry({ debugMode: false });
+    notifiers.register(telegram);
+    health.notifiers = notifiers;
+
+    const sale = { invoice_id: 1001, date: '2024-05-01T11:00:00Z', product: { id: 100, name: 'Steam Key', price_usd: 10 } };
+    await notifiers.notifyNewOrder(sale);
+    await notifiers.notifyNewOrder({ ...sale, invoice_id: 1002 });
+    // A notification split into two messages, and a command reply that is no notification
+    await notifiers.notifyError(new Error('x'.repeat(5000)), 'Polling');
+    await telegram.send('📊 Status');
+    const queued = await (await fetch(healthUrl('/metrics'))).text();
+    assert.ok(queued.includes('ggsel_notifications_sent_total{channel="telegram"} 0\n'));
+    assert.ok(queued.includes('ggsel_telegram_queue_depth 5\n'));
+
+    // The first message fails on both attempts and is dropped
+    server.failNext('/sendMessage', 502, { ok: false, description: 'Bad Gateway' }, 2);
+    try {
+        telegram.queue.start();
+        await quietly(() => telegram.queue.onIdle());
+    } finally {
+        telegram.queue.stop();
+    }
+
+    const body = await (await fetch(healthUrl('/metrics'))).text();
+    assert.ok(body.includes('ggsel_notifications_sent_total{channel="telegram"} 2\n'));
+    assert.ok(body.includes('ggsel_notifications_failed_total{channel="telegram"} 1\n'));
+    assert.ok(body.includes('ggsel_telegram_queue_depth 0\n'));
+});
+
+function escape(text) {
+    return text.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+}
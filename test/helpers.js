@@ -0,0 +1,38 @@
+// Shared helpers for driving the monitor in tests
+
+// Run exactly one poll cycle without scheduling the next one
+async function runPoll(monitor) {
+    monitor.isRunning = true;
+    await monitor.poll();
+    monitor.stop();
+}
+
+// Run start() (initial load plus the first poll) without leaving the loop running
+async function runStart(monitor) {
+    await monitor.start();
+    monitor.stop();
+}
+
+// Wait until check() returns a truthy value (e.g. work done in the background, like a queue sending)
+async function waitFor(check, timeout = 2000) {
+    const startedAt = Date.now();
+    while (!check()) {
+        if (Date.now() - startedAt > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// Run fn with console.error silenced (expected failures are logged)
+async function quietly(fn) {
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.error = originalError;
+    }
+}
+
+module.exports = { runPoll, runStart, waitFor, quietly };
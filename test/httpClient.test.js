@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const MockServer = require('./mockServer');
+const httpClient = require('../HttpClient');
+const { GGSelAuth } = require('../GGSel');
+
+const server = new MockServer();
+// Plain stub: counts connections, answers /slow never, and doubles as a forward proxy
+const stub = {
+    server: null,
+    url: null,
+    connections: 0,
+    proxied: []
+};
+
+test.before(async () => {
+    await server.start();
+
+    stub.server = http.createServer((req, res) => {
+        // A forward proxy gets the full URL in the request line
+        if (req.url.startsWith('http://')) {
+            stub.proxied.push({ url: req.url, auth: req.headers['proxy-authorization'] || null });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ proxied: true }));
+        }
+        if (req.url === '/slow') return;
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+    });
+    stub.server.on('connection', () => stub.connections++);
+    await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+    stub.url = `http://127.0.0.1:${stub.server.address().port}`;
+});
+
+test.after(async () => {
+    stub.server.closeAllConnections();
+    await new Promise(resolve => stub.server.close(resolve));
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+    stub.connections = 0;
+    stub.proxied = [];
+});
+
+test('requests share keep-alive connections', async () => {
+    for (let i = 0; i < 3; i++) {
+        const response = await httpClient.get(`${stub.url}/ping`);
+        assert.deepStrictEqual(response.data, { ok: true });
+    }
+    assert.strictEqual(stub.connections, 1);
+});
+
+test('a request that takes too long times out', async () => {
+    await assert.rejects(httpClient.get(`${stub.url}/slow`, { timeout: 50 }), (error) => {
+        assert.strictEqual(error.code, 'ECONNABORTED');
+        return true;
+    });
+});
+
+test('requests go through HTTPS_PROXY except for NO_PROXY hosts and localhost', async () => {
+    process.env.HTTPS_PROXY = stub.url.replace('http://', 'http://user:p%40ss@');
+    process.env.NO_PROXY = 'internal.example, .corp.example';
+    try {
+        const response = await httpClient.get('http://ggsel.invalid/api/ping?token=abc');
+        assert.deepStrictEqual(response.data, { proxied: true });
+        assert.deepStrictEqual(stub.proxied, [{
+            url: 'http://ggsel.invalid/api/ping?token=abc',
+            auth: `Basic ${Buffer.from('user:p@ss').toString('base64')}`
+        }]);
+
+        assert.strictEqual(httpClient.proxyFor('https://internal.example/x'), false);
+        assert.strictEqual(httpClient.proxyFor('https://api.corp.example/x'), false);
+        assert.strictEqual(httpClient.proxyFor(`${server.url}/x`), false);
+        assert.strictEqual(httpClient.proxyFor('https://api.telegram.org/x').port, Number(new URL(stub.url).port));
+    } finally {
+        delete process.env.HTTPS_PROXY;
+        delete process.env.NO_PROXY;
+    }
+    assert.strictEqual(httpClient.proxyFor('https://api.telegram.org/x'), false);
+});
+
+test('logging hooks see requests and responses with secrets masked', async () => {
+    const requests = [];
+    const responses = [];
+    const removeHooks = httpClient.addHooks({
+        onRequest: (request) => requests.push(request),
+        onResponse: (response) => responses.push(response)
+    });
+    try {
+        // The GGSel login signs the request - the signature must not reach the logs
+        const auth = new GGSelAuth({ sellerId: server.sellerId, secretKey: server.secretKey, apiBaseUrl: server.ggselUrl });
+        await auth.getToken();
+        await httpClient.post(`${server.url}/bot${server.botToken}/sendMessage?token=abc`, { chat_id: 1, text: 'Hi' });
+        await assert.rejects(httpClient.post(`${server.url}/botwrong:token/sendMessage`, { chat_id: 1, text: 'Hi' }));
+    } finally {
+        removeHooks();
+    }
+    await httpClient.get(`${stub.url}/ping`);
+
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(requests[0].method, 'POST');
+    assert.strictEqual(requests[0].url, `${server.ggselUrl}/apilogin`);
+    assert.strictEqual(requests[0].data.sign, '***');
+    assert.strictEqual(requests[0].data.seller_id, server.sellerId);
+    assert.strictEqual(requests[1].url, `${server.url}/bot***/sendMessage?token=***`);
+    assert.deepStrictEqual(requests[1].data, { chat_id: 1, text: 'Hi' });
+
+    assert.deepStrictEqual(responses.map(r => r.status), [200, 200, 401]);
+    assert.strictEqual(responses[2].url, `${server.url}/bot***/sendMessage`);
+    assert.match(responses[2].error, /401/);
+    assert.ok(responses.every(r => r.duration >= 0));
+    assert.ok(!JSON.stringify({ requests, responses }).includes(server.botToken));
+});
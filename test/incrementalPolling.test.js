@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MockServer = require('./mockServer');
+const { runPoll, runStart } = require('./helpers');
+const GGSel = require('../GGSel');
+const GGSelChatMonitor = require('../GGSelChatMonitor-Complete');
+
+const server = new MockServer();
+
+test.before(async () => {
+    await server.start();
+    process.env.GGSEL_API_URL = server.ggselUrl;
+    process.env.GGSEL_SELLER_ID = String(server.sellerId);
+    process.env.GGSEL_SECRET_KEY = server.secretKey;
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+    GGSel.clearTokenCache();
+    server.products.set(200, 'Game Pass');
+    server.addSale({ invoice_id: 1000, date: '2024-05-01T10:00:00Z', product: { id: 200, name: 'Game Pass' } });
+});
+
+function createMonitor(options = {}) {
+    const alerts = [];
+    const monitor = new GGSelChatMonitor({
+        debugMode: false,
+        onNewOrder: () => {},
+        onNewChat: () => {},
+        onNewMessage: (chat, count, messages) => alerts.push({ chatId: chat.id_i, ids: messages.map(msg => msg.id) }),
+        ...options
+    });
+    monitor.getChatBuyerEmail = async () => null;
+    return { monitor, alerts };
+}
+
+function addChatWithMessages(chatId, count) {
+    server.addChat({ id: chatId, id_i: chatId, product: 200 });
+    for (let id = 1; id <= count; id++) {
+        server.addMessage(chatId, { id: id, message: `Message ${id}`, buyer: 1, date_written: `2024-05-01T10:${String(id % 60).padStart(2, '0')}:00Z` });
+    }
+}
+
+const messageRequests = () => server.requests.filter(r => r.method === 'GET' && r.path.endsWith('/debates/v2'));
+
+test('unchanged chats are skipped and changed ones fetched from the cursor', async () => {
+    addChatWithMessages(1001, 3);
+    addChatWithMessages(1002, 2);
+    const { monitor, alerts } = createMonitor();
+    await runStart(monitor);
+    await runPoll(monitor);
+
+    // Nothing changed since startup - no messages are requested
+    server.requests = [];
+    await runPoll(monitor);
+    assert.deepStrictEqual(messageRequests(), []);
+    assert.strictEqual(monitor.getStats().lastPollChatsSkipped, 2);
+
+    server.addMessage(1002, { id: 3, message: 'Any news?', buyer: 1, date_written: '2024-05-01T11:00:00Z' });
+    server.requests = [];
+    await runPoll(monitor);
+
+    assert.deepStrictEqual(messageRequests().map(r => [r.query.id_i, r.query.id_from]), [['1002', '2']]);
+    assert.deepStrictEqual(alerts, [{ chatId: 1002, ids: [3] }]);
+    assert.strictEqual(monitor.lastMessageIds.get(1002), 3);
+});
+
+test('a chat with more new messages than one page is read page by page', async () => {
+    addChatWithMessages(1001, 1);
+    const { monitor, alerts } = createMonitor();
+    await runStart(monitor);
+    await runPoll(monitor);
+
+    for (let id = 2; id <= 251; id++) {
+        server.addMessage(1001, { id: id, message: `Message ${id}`, buyer: 1, date_written: '2024-05-01T12:00:00Z' });
+    }
+    server.requests = [];
+    await runPoll(monitor);
+
+    assert.deepStrictEqual(messageRequests().map(r => r.query.id_from), ['1', '201']);
+    assert.strictEqual(alerts.length, 1);
+    assert.strictEqual(alerts[0].ids.length, 250);
+    assert.strictEqual(alerts[0].ids[249], 251);
+});
+
+test('a chat with more new messages than the page limit is finished on the next poll', async () => {
+    addChatWithMessages(1001, 1);
+    const { monitor, alerts } = createMonitor();
+    await runStart(monitor);
+    await runPoll(monitor);
+
+    // 5 pages of 200 are read per poll
+    for (let id = 2; id <= 1101; id++) {
+        server.addMessage(1001, { id: id, message: `Message ${id}`, buyer: 1, date_written: '2024-05-01T12:00:00Z' });
+    }
+    await runPoll(monitor);
+    assert.strictEqual(alerts.length, 1);
+    assert.strictEqual(alerts[0].ids.length, 1000);
+    assert.strictEqual(monitor.lastMessageIds.get(1001), 1001);
+
+    // The chat list is the same, but the rest is still fetched
+    server.requests = [];
+    await runPoll(monitor);
+    assert.deepStrictEqual(messageRequests().map(r => r.query.id_from), ['1001']);
+    assert.strictEqual(alerts.length, 2);
+    assert.deepStrictEqual([alerts[1].ids[0], alerts[1].ids.length], [1002, 100]);
+
+    // Caught up - the chat is skipped again
+    server.requests = [];
+    await runPoll(monitor);
+    assert.deepStrictEqual(messageRequests(), []);
+});
+
+test('chats are fetched concurrently up to the limit and alerted in list order', async () => {
+    const chatIds = [1001, 1002, 1003, 1004, 1005, 1006, 1007];
+    for (const chatId of chatIds) addChatWithMessages(chatId, 1);
+    const { monitor, alerts } = createMonitor({ fetchConcurrency: 3 });
+    await runStart(monitor);
+    await runPoll(monitor);
+
+    for (const chatId of chatIds) {
+        server.addMessage(chatId, { id: 2, message: 'Hello?', buyer: 1, date_written: '2024-05-01T12:00:00Z' });
+    }
+
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const fetchMessages = monitor.fetchMessages.bind(monitor);
+    monitor.fetchMessages = async (...args) => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        try {
+            // Answer in reverse order so a sequential handler would be noticed
+            await new Promise(resolve => setTimeout(resolve, 40 - (args[0] % 1000) * 5));
+            return await fetchMessages(...args);
+        } finally {
+            inFlight--;
+        }
+    };
+    await runPoll(monitor);
+
+    assert.strictEqual(maxInFlight, 3);
+    const listOrder = server.chats.map(chat => chat.id_i);
+    assert.deepStrictEqual(alerts.map(alert => alert.chatId), listOrder);
+});
+
+test('poll duration and API calls are reported in the stats', async () => {
+    addChatWithMessages(1001, 1);
+    const { monitor } = createMonitor();
+    await runStart(monitor);
+
+    server.requests = [];
+    await runPoll(monitor);
+    const stats = monitor.getStats();
+
+    const ggselRequests = server.requests.filter(r => r.path.startsWith('/api_sellers'));
+    assert.strictEqual(stats.lastPollApiCalls, ggselRequests.length);
+    assert.ok(stats.lastPollDuration >= 0);
+    assert.ok(stats.averagePollDuration >= 0);
+    assert.strictEqual(stats.polls, 2); // start() runs the first poll
+    // The initial load, the first poll and this one
+    assert.strictEqual(stats.apiCalls.endpoints['GET /debates/v2/chats'].calls, 3);
+    assert.strictEqual(stats.apiCalls.endpoints['GET /seller-last-sales'].calls, 3);
+    assert.strictEqual(stats.apiCalls.errors, 0);
+});
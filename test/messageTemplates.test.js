@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MessageTemplates = require('../MessageTemplates');
+const TelegramNotifier = require('../TelegramNotifier');
+const createCommands = require('../TelegramCommands');
+const { quietly } = require('./helpers');
+const { renderTemplate } = MessageTemplates;
+
+const sale = {
+    invoice_id: 1001,
+    date: '2024-05-02T12:00:00Z',
+    product: { id: 200, name: 'Game <Pass>', price_usd: 15, price_eur: 14, price_rub: 1400 },
+    buyer_email: 'buyer@example.com',
+    formatted_amount: '1350 RUB'
+};
+
+// TelegramNotifier that collects texts instead of calling the Bot API
+function createTelegram(options = {}) {
+    const telegram = new TelegramNotifier('test-token', '777', false, options);
+    telegram.sent = [];
+    telegram.callApi = async (method, params) => {
+        telegram.sent.push(params.text);
+        return { ok: true };
+    };
+    return telegram;
+}
+
+test('values are escaped and sections follow the data', () => {
+    const template = 'Hi {{name}}{{{raw}}}\n{{#email}}\n📧 {{email}}\n{{/email}}\n{{^email}}\nNo email\n{{/email}}\n{{#items}}- {{title}} ({{count}})\n{{/items}}{{#tags}}[{{.}}]{{/tags}}';
+
+    assert.strictEqual(
+        renderTemplate(template, { name: '<b>', raw: '<i>!</i>', email: 'a@b.c', count: 0, items: [{ title: 'A' }, { title: 'B&C', count: 2 }], tags: ['x', 'y'] }),
+        'Hi &lt;b&gt;<i>!</i>\n📧 a@b.c\n- A (0)\n- B&amp;C (2)\n[x][y]'
+    );
+    assert.strictEqual(renderTemplate(template, { name: 'Bob', items: [] }), 'Hi Bob\nNo email\n');
+
+    // Data that looks like a tag is printed, not expanded
+    assert.strictEqual(renderTemplate('{{text}}', { text: '{{secret}}', secret: 'x' }), '{{secret}}');
+
+    assert.throws(() => renderTemplate('{{#a}}x'), /Unclosed section \{\{#a\}\}/);
+    assert.throws(() => renderTemplate('{{#a}}x{{/b}}'), /Unexpected \{\{\/b\}\}/);
+});
+
+test('notifications use the configured locale', async () => {
+    assert.deepStrictEqual(MessageTemplates.getLocales(), ['en', 'ru', 'tr']);
+
+    const english = createTelegram();
+    await english.notifyNewOrder(sale, { shop: 'Main Shop' });
+    assert.match(english.sent[0], /NEW ORDER RECEIVED/);
+    assert.match(english.sent[0], /🏪 <b>Shop:<\/b> Main Shop\n/);
+    assert.match(english.sent[0], /Game &lt;Pass&gt;/);
+    assert.match(english.sent[0], /Order Amount:<\/b> 1350 RUB/);
+    assert.doesNotMatch(english.sent[0], /Prices/);
+
+    const russian = createTelegram({ locale: 'ru' });
+    await russian.notifyNewOrder({ ...sale, buyer_email: '', formatted_amount: null });
+    assert.match(russian.sent[0], /НОВЫЙ ЗАКАЗ/);
+    assert.doesNotMatch(russian.sent[0], /Email|Магазин/);
+    assert.match(russian.sent[0], /💰 <b>Цены:<\/b>\n   💵 USD: \$15\n/);
+
+    const turkish = createTelegram({ locale: 'tr' });
+    await turkish.notifyNewMessage({ id_i: 1002, product: 200 }, 1, [{ message: 'Merhaba', is_file: 1, filename: 'error.png' }], null);
+    assert.match(turkish.sent[0], /YENİ MESAJ/);
+    assert.match(turkish.sent[0], /Ürün:<\/b> ID: 200/);
+    assert.match(turkish.sent[0], /Müşteri:<\/b> yok/);
+    assert.match(turkish.sent[0], /<i>"Merhaba"<\/i>\n📎 Ek: error\.png\n\n/);
+
+    assert.throws(() => createTelegram({ locale: 'xx' }), /Unknown locale "xx" \(available: en, ru, tr\)/);
+});
+
+test('templates in TEMPLATES_DIR override the built-in ones', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-templates-'));
+    fs.mkdirSync(path.join(dir, 'de'));
+    fs.writeFileSync(path.join(dir, 'new-chat.html'), 'Chat {{orderId}}{{#shop}} @ {{shop}}{{/shop}}\n');
+    fs.writeFileSync(path.join(dir, 'de', 'new-chat.html'), 'Neuer Chat {{orderId}}\n');
+
+    const telegram = createTelegram({ templatesDir: dir });
+    await telegram.notifyNewChat({ id_i: 1002, product: 200 }, 'Game Pass', { shop: 'Main Shop' });
+    await telegram.sendTestMessage();
+    assert.strictEqual(telegram.sent[0], 'Chat 1002 @ Main Shop');
+    // Not overridden - built-in text
+    assert.match(telegram.sent[1], /GGSel Monitor Connected/);
+
+    // A locale that only exists in the override folder, with English for the rest
+    const german = createTelegram({ locale: 'de', templatesDir: dir });
+    await german.notifyNewChat({ id_i: 1002, product: 200 }, 'Game Pass');
+    await german.notifyError(new Error('boom'), 'Polling');
+    assert.strictEqual(german.sent[0], 'Neuer Chat 1002');
+    assert.match(german.sent[1], /MONITOR ERROR/);
+});
+
+test('reply confirmations and command replies use the configured locale', async () => {
+    const russian = createTelegram({ locale: 'ru' });
+    russian.messageChatMap.set('777:5', { chatId: 1002, shop: null });
+    russian.onReply = async () => {};
+    russian.commands = {
+        chat: createCommands({ accounts: [{ name: null, monitor: { fetchMessages: async () => [] } }], telegram: russian }).chat,
+        broken: { handler: async () => { throw new Error('Сбой <API>'); } }
+    };
+    const update = (text, replyTo) => ({ update_id: 1, message: { message_id: 9, chat: { id: 777 }, text, reply_to_message: replyTo ? { message_id: replyTo } : undefined } });
+
+    await russian.handleUpdate(update('Здравствуйте', 5));
+    await russian.handleUpdate(update('Здравствуйте', 6));
+    await russian.handleUpdate(update('/nope'));
+    await russian.handleUpdate(update('/chat 1002'));
+    await quietly(() => russian.handleUpdate(update('/broken')));
+
+    assert.deepStrictEqual(russian.sent, [
+        '✅ Ответ отправлен в заказ <b>1002</b>',
+        '⚠️ Это сообщение не связано с чатом покупателя. Ответьте на уведомление о новом сообщении.',
+        '❓ Неизвестная команда: /nope\nОтправьте /help, чтобы увидеть список команд.',
+        '📭 В чате <b>1002</b> нет сообщений',
+        '❌ Команда /broken не выполнена: Сбой &lt;API&gt;'
+    ]);
+});
@@ -0,0 +1,336 @@
+// Local fake GGSel seller API and Telegram Bot API for offline tests
+//
+// GGSel endpoints live under /api_sellers/api, Telegram under /bot<token>/<method>,
+// anything POSTed under /webhooks/ is recorded as a webhook delivery, and files added with
+// addFile() are served under /files/.
+// Tests change the public fields (sales, chats, messages, ...) between polls and
+// inspect what the code under test sent (telegramMessages, telegramFiles, telegramEdits, sentChatMessages, requests).
+
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+
+const GGSEL_PREFIX = '/api_sellers/api';
+
+class MockServer {
+    constructor(options = {}) {
+        this.sellerId = options.sellerId || 12345;
+        this.secretKey = options.secretKey || 'test-secret';
+        this.botToken = options.botToken || 'test-bot-token';
+        this.server = null;
+        this.url = null;
+        this.reset();
+    }
+
+    // Clear all data and recorded requests
+    reset() {
+        // GGSel data
+        this.sales = []; // Newest first, like the real API
+        this.purchases = new Map(); // invoice_id -> purchase info content
+        this.products = new Map(); // product_id -> product name
+        this.chats = []; // Chats returned by debates/v2/chats
+        this.messages = new Map(); // id_i -> messages
+        this.sentChatMessages = []; // Messages posted to debates/v2 by the seller
+
+        // Auth - seller_id -> secret key for every account that may log in
+        this.sellers = new Map([[this.sellerId, this.secretKey]]);
+        this.validTokens = new Set();
+        this.loginCount = 0;
+
+        // Telegram data
+        this.telegramMessages = []; // Every sendMessage call
+        this.telegramUpdates = []; // Queued updates returned by getUpdates
+        this.telegramFiles = []; // sendPhoto / sendDocument uploads: { method, chatId, caption, filename, contentType, size }
+        this.telegramEdits = []; // editMessageText / editMessageReplyMarkup calls: { method, chatId, messageId, text, replyMarkup }
+        this.callbackAnswers = []; // answerCallbackQuery calls: { id, text }
+        this.forumTopics = []; // createForumTopic calls: { chatId, threadId, name }
+        this.files = new Map(); // /files/<name> -> { contentType, data }
+        this.nextTelegramMessageId = 1;
+
+        // Webhook deliveries: { path, headers, rawBody, body }
+        this.webhookRequests = [];
+
+        // Request log and injected failures
+        this.requests = [];
+        this.failures = [];
+        this.delays = [];
+    }
+
+    // Start listening on a random local port
+    async start() {
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+        const { port } = this.server.address();
+        this.url = `http://127.0.0.1:${port}`;
+        this.ggselUrl = `${this.url}${GGSEL_PREFIX}`;
+        return this;
+    }
+
+    async stop() {
+        if (!this.server) return;
+        await new Promise(resolve => this.server.close(resolve));
+        this.server = null;
+    }
+
+    // Make the next `times` requests whose path contains `pathPart` fail with the given status/body
+    failNext(pathPart, status = 500, body = { retval: -1, retdesc: 'Internal error' }, times = 1) {
+        this.failures.push({ pathPart, status, body, times });
+    }
+
+    // Answer the next `times` requests whose path contains `pathPart` only after `delay` ms (they are still processed)
+    delayNext(pathPart, delay, times = 1) {
+        this.delays.push({ pathPart, delay, times });
+    }
+
+    // Allow another seller account to log in
+    addSeller(sellerId, secretKey) {
+        this.sellers.set(sellerId, secretKey);
+    }
+
+    // Invalidate every issued token (simulates token expiry on the server side)
+    expireTokens() {
+        this.validTokens.clear();
+    }
+
+    // Helpers to add data
+    addSale(sale) {
+        this.sales.unshift(sale);
+        this.sales.sort((a, b) => b.invoice_id - a.invoice_id);
+    }
+
+    addChat(chat) {
+        this.chats.unshift(chat);
+    }
+
+    // Serve a file at <url>/files/<name> (returns its URL)
+    addFile(name, data, contentType = 'application/octet-stream') {
+        this.files.set(name, { contentType: contentType, data: Buffer.from(data) });
+        return `${this.url}/files/${name}`;
+    }
+
+    addMessage(chatId, message) {
+        if (!this.messages.has(chatId)) {
+            this.messages.set(chatId, []);
+        }
+        this.messages.get(chatId).push(message);
+
+        // Like the real list, the chat's message count and last message date follow its messages
+        const chat = this.chats.find(item => item.id_i === chatId);
+        if (chat) {
+            chat.cnt_msg = Math.max(chat.cnt_msg || 0, this.messages.get(chatId).length);
+            if (message.date_written && !(chat.last_message > message.date_written)) {
+                chat.last_message = message.date_written;
+            }
+        }
+    }
+
+    // Queue a Telegram update for the next getUpdates call
+    queueTelegramUpdate(update) {
+        this.telegramUpdates.push(update);
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, this.url);
+        const rawBuffer = await readRawBody(req);
+        const rawBody = rawBuffer.toString();
+        const body = parseBody(rawBody);
+        this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+
+        const delay = this.delays.find(d => url.pathname.includes(d.pathPart));
+        if (delay) {
+            delay.times--;
+            if (delay.times <= 0) {
+                this.delays.splice(this.delays.indexOf(delay), 1);
+            }
+            await new Promise(resolve => setTimeout(resolve, delay.delay));
+        }
+
+        const failure = this.failures.find(f => url.pathname.includes(f.pathPart));
+        if (failure) {
+            failure.times--;
+            if (failure.times <= 0) {
+                this.failures.splice(this.failures.indexOf(failure), 1);
+            }
+            return send(res, failure.status, failure.body);
+        }
+
+        if (url.pathname.startsWith(GGSEL_PREFIX)) {
+            return this.handleGGSel(req, res, url, body);
+        }
+        if (url.pathname.startsWith('/bot')) {
+            if (String(req.headers['content-type']).startsWith('multipart/form-data')) {
+                const form = await new Response(rawBuffer, { headers: { 'Content-Type': req.headers['content-type'] } }).formData();
+                return this.handleTelegram(req, res, url, Object.fromEntries(form.entries()));
+            }
+            return this.handleTelegram(req, res, url, body);
+        }
+        if (req.method === 'GET' && url.pathname.startsWith('/files/')) {
+            const file = this.files.get(decodeURIComponent(url.pathname.slice('/files/'.length)));
+            if (!file) {
+                return send(res, 404, { error: 'Not found' });
+            }
+            res.writeHead(200, { 'Content-Type': file.contentType, 'Content-Length': file.data.length });
+            return res.end(file.data);
+        }
+        if (req.method === 'POST' && url.pathname.startsWith('/webhooks/')) {
+            this.webhookRequests.push({ path: url.pathname, headers: req.headers, rawBody: rawBody, body: body });
+            return send(res, 200, { ok: true });
+        }
+        return send(res, 404, { error: 'Not found' });
+    }
+
+    handleGGSel(req, res, url, body) {
+        const path = url.pathname.slice(GGSEL_PREFIX.length);
+
+        if (req.method === 'POST' && path === '/apilogin') {
+            const secretKey = this.sellers.get(body.seller_id);
+            const expectedSign = crypto.createHash('sha256').update(secretKey + Math.round(body.timestamp).toString()).digest('hex');
+            if (!secretKey || body.sign !== expectedSign) {
+                return send(res, 401, { retval: -1, retdesc: 'Invalid credentials' });
+            }
+            this.loginCount++;
+            const token = `token-${this.loginCount}`;
+            this.validTokens.add(token);
+            return send(res, 200, { retval: 0, token: token });
+        }
+
+        // Everything else needs a valid token
+        if (!this.validTokens.has(url.searchParams.get('token'))) {
+            return send(res, 401, { retval: -1, retdesc: 'Token expired or invalid' });
+        }
+
+        let match;
+        if (req.method === 'GET' && path === '/seller-last-sales') {
+            const top = parseInt(url.searchParams.get('top'), 10) || 10;
+            return send(res, 200, { retval: 0, retdesc: '', sales: this.sales.slice(0, top) });
+        }
+        if (req.method === 'GET' && (match = path.match(/^\/purchase\/info\/(\d+)$/))) {
+            const purchase = this.purchases.get(Number(match[1]));
+            if (!purchase) {
+                return send(res, 200, { retval: -2, retdesc: 'Invoice not found' });
+            }
+            return send(res, 200, { retval: 0, retdesc: '', content: purchase });
+        }
+        if (req.method === 'GET' && (match = path.match(/^\/products\/(\d+)\/data$/))) {
+            const name = this.products.get(Number(match[1]));
+            if (!name) {
+                return send(res, 200, { retval: -2, retdesc: 'Product not found' });
+            }
+            return send(res, 200, { retval: 0, retdesc: '', product: { id: Number(match[1]), name: name } });
+        }
+        if (req.method === 'GET' && path === '/debates/v2/chats') {
+            return send(res, 200, { items: this.chats, cnt_pages: 1 });
+        }
+        if (req.method === 'GET' && path === '/debates/v2') {
+            const chatId = Number(url.searchParams.get('id_i'));
+            const count = parseInt(url.searchParams.get('count'), 10) || 10;
+            const idFrom = Number(url.searchParams.get('id_from')) || 0;
+            const messages = [...(this.messages.get(chatId) || [])].sort((a, b) => a.id - b.id);
+            // id_from: the first `count` messages after that ID, otherwise the latest `count`
+            return send(res, 200, idFrom ? messages.filter(msg => msg.id > idFrom).slice(0, count) : messages.slice(-count));
+        }
+        if (req.method === 'POST' && path === '/debates/v2') {
+            const chatId = Number(url.searchParams.get('id_i'));
+            const existing = this.messages.get(chatId) || [];
+            const id = existing.reduce((max, msg) => Math.max(max, msg.id), 0) + 1;
+            this.sentChatMessages.push({ id_i: chatId, message: body.message });
+            this.addMessage(chatId, { id: id, message: body.message, buyer: 0, date_written: new Date().toISOString() });
+            return send(res, 200, { retval: 0, retdesc: '' });
+        }
+
+        return send(res, 404, { retval: -1, retdesc: `Unknown endpoint ${req.method} ${path}` });
+    }
+
+    handleTelegram(req, res, url, body) {
+        const [, tokenPart, method] = url.pathname.split('/');
+        if (tokenPart !== `bot${this.botToken}`) {
+            return send(res, 401, { ok: false, error_code: 401, description: 'Unauthorized' });
+        }
+
+        const params = { ...Object.fromEntries(url.searchParams), ...body };
+
+        switch (method) {
+            case 'getMe':
+                return send(res, 200, { ok: true, result: { id: 1, is_bot: true, first_name: 'Test Bot', username: 'test_bot' } });
+            case 'sendMessage': {
+                const message = { message_id: this.nextTelegramMessageId++, chat: { id: params.chat_id }, text: params.text, params: params };
+                this.telegramMessages.push(message);
+                return send(res, 200, { ok: true, result: message });
+            }
+            case 'sendPhoto':
+            case 'sendDocument': {
+                const file = method === 'sendPhoto' ? params.photo : params.document;
+                const message = { message_id: this.nextTelegramMessageId++, chat: { id: params.chat_id }, caption: params.caption };
+                this.telegramFiles.push({
+                    method: method,
+                    chatId: params.chat_id,
+                    caption: params.caption,
+                    filename: file?.name,
+                    contentType: file?.type,
+                    size: file?.size
+                });
+                return send(res, 200, { ok: true, result: message });
+            }
+            case 'editMessageText':
+            case 'editMessageReplyMarkup': {
+                const message = this.telegramMessages.find(m => String(m.chat.id) === String(params.chat_id) && m.message_id === Number(params.message_id));
+                if (!message) {
+                    return send(res, 400, { ok: false, error_code: 400, description: 'Bad Request: message to edit not found' });
+                }
+                this.telegramEdits.push({
+                    method: method,
+                    chatId: params.chat_id,
+                    messageId: message.message_id,
+                    text: params.text,
+                    replyMarkup: params.reply_markup
+                });
+                if (params.text !== undefined) message.text = params.text;
+                message.params = { ...message.params, reply_markup: params.reply_markup };
+                return send(res, 200, { ok: true, result: message });
+            }
+            case 'createForumTopic': {
+                const topic = { chatId: params.chat_id, threadId: 100 + this.forumTopics.length, name: params.name };
+                this.forumTopics.push(topic);
+                return send(res, 200, { ok: true, result: { message_thread_id: topic.threadId, name: topic.name } });
+            }
+            case 'answerCallbackQuery':
+                this.callbackAnswers.push({ id: params.callback_query_id, text: params.text });
+                return send(res, 200, { ok: true, result: true });
+            case 'getUpdates': {
+                const offset = parseInt(params.offset, 10) || 0;
+                const updates = this.telegramUpdates.filter(update => update.update_id >= offset);
+                this.telegramUpdates = updates;
+                // Hold empty responses briefly, like a (very short) long poll
+                const delay = updates.length > 0 ? 0 : 50;
+                setTimeout(() => send(res, 200, { ok: true, result: updates }), delay);
+                return;
+            }
+            default:
+                return send(res, 404, { ok: false, error_code: 404, description: `Unknown method ${method}` });
+        }
+    }
+}
+
+function readRawBody(req) {
+    return new Promise((resolve) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+    });
+}
+
+function parseBody(data) {
+    if (!data) return {};
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        return { raw: data };
+    }
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+module.exports = MockServer;
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockServer = require('./mockServer');
+const { runStart } = require('./helpers');
+const { GGSelAuth } = require('../GGSel');
+const { loadAccounts } = require('../AccountConfig');
+const GGSelChatMonitor = require('../GGSelChatMonitor-Complete');
+
+const server = new MockServer();
+
+test.before(async () => {
+    await server.start();
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+    server.addSeller(222, 'second-secret');
+});
+
+function writeAccountsFile(config) {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-accounts-')), 'accounts.json');
+    fs.writeFileSync(filePath, JSON.stringify(config));
+    return filePath;
+}
+
+test('each account has its own token cache', async () => {
+    const first = new GGSelAuth({ sellerId: server.sellerId, secretKey: server.secretKey, apiBaseUrl: server.ggselUrl });
+    const second = new GGSelAuth({ sellerId: 222, secretKey: 'second-secret', apiBaseUrl: server.ggselUrl });
+
+    const firstToken = await first.getToken();
+    const secondToken = await second.getToken();
+    assert.notStrictEqual(firstToken, secondToken);
+    assert.strictEqual(server.loginCount, 2);
+
+    // Cached tokens are reused, and clearing one account leaves the other alone
+    assert.strictEqual(await first.getToken(), firstToken);
+    second.clearTokenCache();
+    assert.strictEqual(await first.getToken(), firstToken);
+    assert.notStrictEqual(await second.getToken(), secondToken);
+    assert.strictEqual(server.loginCount, 3);
+});
+
+test('a failing account does not affect the others', async () => {
+    server.addSale({ invoice_id: 500, date: '2024-05-01T10:00:00Z', product: { id: 1, name: 'Key' } });
+
+    const createMonitor = (name, sellerId, secretKey) => {
+        const auth = new GGSelAuth({ name, sellerId, secretKey, apiBaseUrl: server.ggselUrl });
+        return new GGSelChatMonitor({
+            name,
+            sellerId,
+            debugMode: false,
+            apiBaseUrl: server.ggselUrl,
+            auth: auth,
+            onNewOrder: () => {},
+            onNewChat: () => {},
+            onNewMessage: () => {}
+        });
+    };
+
+    const healthy = createMonitor('Healthy', server.sellerId, server.secretKey);
+    const broken = createMonitor('Broken', 333, 'wrong');
+
+    await Promise.all([runStart(healthy), runStart(broken)]);
+
+    assert.strictEqual(healthy.lastSaleInvoiceId, 500);
+    assert.strictEqual(broken.lastSaleInvoiceId, null);
+    assert.strictEqual(healthy.getStats().name, 'Healthy');
+
+    // Each monitor asks for sales with its own seller ID
+    const salesRequests = server.requests.filter(r => r.path.endsWith('/seller-last-sales'));
+    assert.ok(salesRequests.every(r => r.query.seller_id === String(server.sellerId)));
+});
+
+test('accounts are loaded from a file with secrets from the environment', () => {
+    process.env.TEST_SHOP_SECRET = 'from-env';
+    try {
+        const filePath = writeAccountsFile({
+            accounts: [
+                { name: 'Main', sellerId: 1, secretKey: 'inline', pollingInterval: 20000, ordersInterval: 10000 },
+                { name: 'Keys', sellerId: 2, secretKeyEnv: 'TEST_SHOP_SECRET' }
+            ]
+        });
+
+        assert.deepStrictEqual(loadAccounts(filePath), [
+            { name: 'Main', sellerId: '1', secretKey: 'inline', pollingInterval: 20000, ordersInterval: 10000, chatsInterval: null, stateFile: null },
+            { name: 'Keys', sellerId: '2', secretKey: 'from-env', pollingInterval: 15000, ordersInterval: null, chatsInterval: null, stateFile: null }
+        ]);
+    } finally {
+        delete process.env.TEST_SHOP_SECRET;
+    }
+});
+
+test('invalid account files are rejected', () => {
+    assert.throws(() => loadAccounts(writeAccountsFile({ accounts: [] })), /No accounts found/);
+    assert.throws(() => loadAccounts(writeAccountsFile({ accounts: [{ sellerId: 1, secretKey: 'x' }] })), /"name" is required/);
+    assert.throws(() => loadAccounts(writeAccountsFile({ accounts: [{ name: 'A', sellerId: 1, secretKeyEnv: 'MISSING_SECRET_VAR' }] })), /MISSING_SECRET_VAR is empty/);
+    assert.throws(() => loadAccounts(writeAccountsFile({
+        accounts: [{ name: 'Shop', sellerId: 1, secretKey: 'x' }, { name: 'shop', sellerId: 2, secretKey: 'y' }]
+    })), /Duplicate account name/);
+});
+
+test('the single account needs GGSEL_SELLER_ID - there is no default seller', () => {
+    const sellerId = process.env.GGSEL_SELLER_ID;
+    delete process.env.GGSEL_SELLER_ID;
+    try {
+        assert.throws(() => loadAccounts(''), /GGSEL_SELLER_ID is not set/);
+    } finally {
+        if (sellerId !== undefined) process.env.GGSEL_SELLER_ID = sellerId;
+    }
+});
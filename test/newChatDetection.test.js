@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GGSelChatMonitor = require('../GGSelChatMonitor-Complete');
+const { runPoll, runStart, quietly } = require('./helpers');
+
+// Fake chats API - tests change `chats` between polls
+function createMonitor(initialChats, options = {}) {
+    const api = {
+        chats: initialChats.map(id => ({ id_i: id, product: 100 })),
+        messages: new Map() // id_i -> messages
+    };
+    const events = { newChats: [], newMessages: [] };
+
+    const monitor = new GGSelChatMonitor({
+        debugMode: false,
+        getToken: async () => 'test-token',
+        onNewOrder: () => {},
+        onNewChat: (chat) => events.newChats.push(chat.id_i),
+        onNewMessage: (chat, count) => events.newMessages.push({ id: chat.id_i, count }),
+        ...options
+    });
+
+    monitor.fetchLastSales = async () => ({ retval: 0, sales: [] });
+    monitor.fetchChats = async () => ({ items: api.chats.map(chat => ({ ...chat })) });
+    monitor.fetchMessages = async (chatId) => (api.messages.get(chatId) || []).map(msg => ({ ...msg }));
+    monitor.fetchProduct = async (productId) => `Product ${productId}`;
+    monitor.getChatBuyerEmail = async () => 'buyer@example.com';
+
+    const setChats = (ids) => {
+        api.chats = ids.map(id => ({ id_i: id, product: 100 }));
+    };
+
+    return { monitor, api, events, setChats };
+}
+
+test('existing chats at startup are not reported as new', async () => {
+    const { monitor, events } = createMonitor([1, 2, 3]);
+    await runStart(monitor);
+    await runPoll(monitor);
+
+    assert.deepStrictEqual(events.newChats, []);
+});
+
+test('a chat that appears is reported once', async () => {
+    const { monitor, events, setChats } = createMonitor([1, 2]);
+    await runStart(monitor);
+
+    setChats([3, 1, 2]);
+    await runPoll(monitor);
+    await runPoll(monitor);
+
+    assert.deepStrictEqual(events.newChats, [3]);
+});
+
+test('a new chat is reported when another chat is read in the same cycle', async () => {
+    const { monitor, events, setChats } = createMonitor([1, 2]);
+    await runStart(monitor);
+
+    // Chat 2 was read (drops out of filter_new=1) while chat 3 arrived - count stays the same
+    setChats([3, 1]);
+    await runPoll(monitor);
+
+    assert.deepStrictEqual(events.newChats, [3]);
+});
+
+test('only the new chat is reported, wherever it appears in the list', async () => {
+    const { monitor, events, setChats } = createMonitor([1, 2]);
+    await runStart(monitor);
+
+    setChats([1, 2, 4]);
+    await runPoll(monitor);
+
+    assert.deepStrictEqual(events.newChats, [4]);
+});
+
+test('reordering chats does not report anything', async () => {
+    const { monitor, events, setChats } = createMonitor([1, 2, 3]);
+    await runStart(monitor);
+
+    setChats([3, 1, 2]);
+    await runPoll(monitor);
+    setChats([2, 3, 1]);
+    await runPoll(monitor);
+
+    assert.deepStrictEqual(events.newChats, []);
+});
+
+test('a chat that is read and comes back is not reported as new', async () => {
+    const { monitor, events, setChats } = createMonitor([1, 2]);
+    await runStart(monitor);
+
+    setChats([1]);
+    await runPoll(monitor);
+    setChats([2, 1]);
+    await runPoll(monitor);
+
+    assert.deepStrictEqual(events.newChats, []);
+});
+
+test('several new chats across add, remove and reorder sequences', async () => {
+    const { monitor, events, setChats } = createMonitor([1, 2, 3]);
+    await runStart(monitor);
+
+    setChats([5, 4, 3]);
+    await runPoll(monitor);
+    setChats([3, 6]);
+    await runPoll(monitor);
+    setChats([]);
+    await runPoll(monitor);
+    setChats([7, 1, 2, 6]);
+    await runPoll(monitor);
+
+    assert.deepStrictEqual(events.newChats, [5, 4, 6, 7]);
+});
+
+test('initial messages of a new chat are reported with it', async () => {
+    const { monitor, api, events, setChats } = createMonitor([1]);
+    await runStart(monitor);
+
+    api.messages.set(2, [{ id: 11, message: 'hello', buyer: 1 }, { id: 10, message: 'hi', buyer: 1 }]);
+    setChats([2, 1]);
+    await runPoll(monitor);
+
+    assert.deepStrictEqual(events.newChats, [2]);
+    assert.deepStrictEqual(events.newMessages, [{ id: 2, count: 2 }]);
+    assert.strictEqual(monitor.lastMessageIds.get(2), 11);
+});
+
+test('known chat IDs survive a restart through the state store', async () => {
+    let saved = null;
+    const stateStore = {
+        load: async () => saved,
+        save: async (state) => { saved = JSON.parse(JSON.stringify(state)); }
+    };
+
+    const first = createMonitor([1, 2], { stateStore });
+    await runStart(first.monitor);
+    assert.deepStrictEqual(saved.knownChatIds.sort(), [1, 2]);
+
+    // Chat 3 arrives while the monitor is down, chat 1 is read
+    const second = createMonitor([3, 2], { stateStore });
+    await runStart(second.monitor);
+
+    assert.deepStrictEqual(second.events.newChats, [3]);
+});
+
+test('state is saved once the new chat handlers have finished, and a failing one does not stop the poll', async () => {
+    const order = [];
+    const stateStore = {
+        load: async () => null,
+        save: async () => { order.push('save'); }
+    };
+    const { monitor, setChats } = createMonitor([1], {
+        stateStore,
+        onNewChat: async (chat) => {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            order.push(`chat ${chat.id_i}`);
+            throw new Error('Telegram is down');
+        }
+    });
+    await runStart(monitor);
+    order.length = 0;
+
+    setChats([2, 3, 1]);
+    await quietly(() => runPoll(monitor));
+
+    assert.deepStrictEqual(order, ['chat 2', 'chat 3', 'save']);
+});
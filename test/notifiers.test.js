@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MockServer = require('./mockServer');
+const NotifierRegistry = require('../NotifierRegistry');
+const TelegramNotifier = require('../TelegramNotifier');
+const TelegramRouter = require('../TelegramRouter');
+const DiscordNotifier = require('../DiscordNotifier');
+const SlackNotifier = require('../SlackNotifier');
+const EmailNotifier = require('../EmailNotifier');
+
+const server = new MockServer();
+
+test.before(async () => {
+    await server.start();
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+});
+
+const sale = {
+    invoice_id: 1001,
+    date: '2024-05-02T12:00:00Z',
+    product: { id: 200, name: 'Game Pass', price_usd: 15, price_eur: 14, price_rub: 1400 },
+    buyer_email: 'buyer@example.com',
+    order_amount: 1350,
+    currency_type: 'RUB',
+    formatted_amount: '1350 RUB'
+};
+const chat = { id_i: 1002, product: 200, email: 'new@example.com', last_message: '2024-05-02T13:00:00Z' };
+const messages = [{ id: 5, message: 'Where is my <key>?', buyer: 1, date_written: '2024-05-02T13:00:00Z' }];
+
+// Records calls, optionally failing
+function fakeNotifier(channel, fail = false) {
+    const calls = [];
+    return {
+        channel,
+        calls,
+        notifyNewOrder: async (...args) => {
+            calls.push(['notifyNewOrder', ...args]);
+            if (fail) throw new Error(`${channel} is down`);
+        }
+    };
+}
+
+test('the registry sends each event to every channel that supports it', async () => {
+    const registry = new NotifierRegistry({ debugMode: false });
+    const first = fakeNotifier('first');
+    const broken = fakeNotifier('broken', true);
+    const ordersOnly = fakeNotifier('orders-only');
+    registry.register(first).register(broken).register(ordersOnly);
+
+    const originalError = console.error;
+    console.error = () => {};
+    let summary;
+    try {
+        summary = await registry.notifyNewOrder(sale, { shop: 'Main Shop' });
+    } finally {
+        console.error = originalError;
+    }
+
+    assert.deepStrictEqual(summary, { sent: ['first', 'orders-only'], failed: ['broken'] });
+    assert.deepStrictEqual(first.calls, [['notifyNewOrder', sale, { shop: 'Main Shop' }]]);
+
+    // Channels without the method are skipped
+    assert.deepStrictEqual(await registry.notifyNewChat(chat, 'Game Pass'), { sent: [], failed: [] });
+
+    assert.deepStrictEqual(registry.getChannels(), ['first', 'broken', 'orders-only']);
+    assert.throws(() => registry.register(fakeNotifier('first')), /already registered/);
+});
+
+test('Telegram sends to every destination the router picks', async () => {
+    const router = new TelegramRouter({
+        rules: [
+            { events: ['order'], to: ['-100111', { chatId: '-100222', threadId: 7 }] },
+            { events: ['new_message'], to: ['-100333'] }
+        ]
+    });
+    const telegram = new TelegramNotifier(server.botToken, '777', false, { apiBaseUrl: server.url, router });
+
+    await telegram.notifyNewOrder(sale);
+    await telegram.notifyNewChat(chat, 'Game Pass'); // No rule - not sent
+    await telegram.notifyNewMessage(chat, 1, messages, 'Game Pass');
+
+    assert.deepStrictEqual(server.telegramMessages.map(m => [m.params.chat_id, m.params.message_thread_id]), [
+        ['-100111', undefined],
+        ['-100222', 7],
+        ['-100333', undefined]
+    ]);
+
+    // An explicit destination skips the router
+    await telegram.notifyNewChat(chat, 'Game Pass', { chatId: '555' });
+    assert.strictEqual(server.telegramMessages[3].params.chat_id, '555');
+});
+
+test('the default single chat setup sends the poll failure alert', async () => {
+    const telegram = new TelegramNotifier(server.botToken, '777', false, { apiBaseUrl: server.url, router: TelegramRouter.forSingleChat('777') });
+    const registry = new NotifierRegistry({ debugMode: false });
+    registry.register(telegram);
+
+    assert.deepStrictEqual(await registry.notifyError(new Error('HTTP 503'), 'Polling'), { sent: ['telegram'], failed: [] });
+    assert.strictEqual(server.telegramMessages.length, 1);
+    assert.strictEqual(server.telegramMessages[0].params.chat_id, '777');
+    assert.match(server.telegramMessages[0].text, /HTTP 503/);
+});
+
+test('Discord gets an embed per event', async () => {
+    const discord = new DiscordNotifier(`${server.url}/webhooks/discord`, { debugMode: false });
+
+    await discord.notifyNewOrder(sale, { shop: 'Main Shop' });
+    await discord.notifyNewMessage(chat, 1, messages, 'Game Pass');
+
+    const [order, message] = server.webhookRequests.map(r => r.body.embeds[0]);
+    assert.strictEqual(order.title, '🛒 New order #1001');
+    assert.strictEqual(order.url, 'https://seller.ggsel.net/orders/1001');
+    assert.deepStrictEqual(order.fields.map(f => [f.name, f.value]), [
+        ['Shop', 'Main Shop'],
+        ['Product', 'Game Pass'],
+        ['Amount', '1350 RUB'],
+        ['Buyer Email', 'buyer@example.com']
+    ]);
+    assert.strictEqual(order.timestamp, '2024-05-02T12:00:00.000Z');
+    assert.strictEqual(message.description, '👤 > Where is my <key>?');
+});
+
+test('Slack gets a Block Kit message with escaped text', async () => {
+    const slack = new SlackNotifier(`${server.url}/webhooks/slack`, { debugMode: false });
+
+    await slack.notifyNewMessage(chat, 1, messages, 'Game Pass');
+
+    const [request] = server.webhookRequests;
+    assert.strictEqual(request.body.text, '📨 1 new message(s) - order #1002');
+    assert.strictEqual(request.body.blocks[0].type, 'header');
+    assert.ok(request.body.blocks[1].fields.some(f => f.text === '*Customer:*\nnew@example.com'));
+    assert.strictEqual(request.body.blocks[2].text.text, '*👤 Customer:*\n>Where is my &lt;key&gt;?');
+});
+
+test('a failing webhook channel rejects so the registry can report it', async () => {
+    const discord = new DiscordNotifier(`${server.url}/webhooks/discord`, { debugMode: false });
+    server.failNext('/webhooks/discord', 404, { message: 'Unknown Webhook' });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await assert.rejects(() => discord.notifyError(new Error('boom'), 'Polling'));
+    } finally {
+        console.error = originalError;
+    }
+});
+
+test('email has a subject, text and HTML part', async () => {
+    const email = new EmailNotifier({ from: 'monitor@example.com', to: 'me@example.com, ops@example.com' }, { transport: { jsonTransport: true }, debugMode: false });
+
+    const info = await email.notifyNewMessage(chat, 1, messages, 'Game Pass', { shop: 'Main Shop' });
+    const mail = JSON.parse(info.message);
+
+    assert.strictEqual(mail.subject, '[GGSel - Main Shop] 1 new message(s) - order #1002');
+    assert.deepStrictEqual(mail.to.map(to => to.address), ['me@example.com', 'ops@example.com']);
+    assert.match(mail.text, /Shop: Main Shop/);
+    assert.match(mail.text, /Customer \(.*\):\nWhere is my <key>\?/);
+    assert.match(mail.html, /Where is my &lt;key&gt;\?/);
+
+    assert.throws(() => new EmailNotifier({ host: 'smtp.example.com' }), /EMAIL_TO/);
+    assert.throws(() => new EmailNotifier({ to: 'me@example.com' }), /SMTP_HOST/);
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MockServer = require('./mockServer');
+const { runPoll, runStart, waitFor } = require('./helpers');
+const GGSel = require('../GGSel');
+const GGSelChatMonitor = require('../GGSelChatMonitor-Complete');
+const PollScheduler = require('../PollScheduler');
+
+const server = new MockServer();
+
+test.before(async () => {
+    await server.start();
+    process.env.GGSEL_API_URL = server.ggselUrl;
+    process.env.GGSEL_SELLER_ID = String(server.sellerId);
+    process.env.GGSEL_SECRET_KEY = server.secretKey;
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+    GGSel.clearTokenCache();
+    server.products.set(200, 'Game Pass');
+    server.addSale({ invoice_id: 1000, date: '2024-05-01T10:00:00Z', product: { id: 200, name: 'Game Pass' } });
+});
+
+function createMonitor(options = {}) {
+    const monitor = new GGSelChatMonitor({
+        debugMode: false,
+        apiRetries: 0,
+        onNewOrder: () => {},
+        onNewChat: () => {},
+        onNewMessage: () => {},
+        ...options
+    });
+    monitor.getChatBuyerEmail = async () => null;
+    return monitor;
+}
+
+test('the pace speeds up after activity and slows down when idle', () => {
+    const startedAt = 1000000;
+    const scheduler = new PollScheduler({ interval: 15000, activeInterval: 5000, activeWindow: 60000, idleInterval: 60000, idleAfter: 600000 });
+    scheduler.startedAt = startedAt;
+
+    assert.strictEqual(scheduler.mode(startedAt + 1000), 'normal');
+    assert.strictEqual(scheduler.nextDelay('orders', startedAt + 1000), 15000);
+
+    scheduler.recordActivity(startedAt + 2000);
+    assert.strictEqual(scheduler.mode(startedAt + 30000), 'active');
+    assert.strictEqual(scheduler.nextDelay('chats', startedAt + 30000), 5000);
+
+    // Back to normal once the active window is over, idle after a long quiet spell
+    assert.strictEqual(scheduler.mode(startedAt + 62000), 'normal');
+    assert.strictEqual(scheduler.mode(startedAt + 602000), 'idle');
+    assert.strictEqual(scheduler.nextDelay('orders', startedAt + 602000), 60000);
+});
+
+test('repeated failures back off exponentially and alert once at the threshold', () => {
+    const scheduler = new PollScheduler({ interval: 10000, maxBackoff: 60000, failureAlertThreshold: 3 });
+
+    const alerts = [];
+    const delays = [];
+    for (let i = 0; i < 6; i++) {
+        alerts.push(scheduler.recordFailure());
+        delays.push(scheduler.nextDelay('orders'));
+    }
+    assert.deepStrictEqual(alerts, [false, false, true, false, false, false]);
+    assert.deepStrictEqual(delays, [10000, 20000, 40000, 60000, 60000, 60000]);
+    assert.strictEqual(scheduler.mode(), 'backoff');
+
+    scheduler.recordSuccess();
+    assert.strictEqual(scheduler.nextDelay('orders'), 10000);
+    assert.strictEqual(scheduler.recordFailure(), false); // A new streak counts from zero
+});
+
+test('orders and chats are checked at their own intervals', async () => {
+    const monitor = createMonitor({ schedule: { ordersInterval: 30, chatsInterval: 5000 } });
+    const checks = { orders: 0, chats: 0 };
+    const checkNewOrders = monitor.checkNewOrders.bind(monitor);
+    const checkChats = monitor.checkChats.bind(monitor);
+    monitor.checkNewOrders = async () => {
+        checks.orders++;
+        return checkNewOrders();
+    };
+    monitor.checkChats = async () => {
+        checks.chats++;
+        return checkChats();
+    };
+
+    await monitor.start();
+    try {
+        await waitFor(() => checks.orders >= 4);
+    } finally {
+        monitor.stop();
+    }
+
+    // Only the first poll checked chats
+    assert.strictEqual(checks.chats, 1);
+    assert.deepStrictEqual(monitor.getStats().nextPollIn, { orders: 30, chats: 5000 });
+});
+
+test('a new order switches to the active pace', async () => {
+    const monitor = createMonitor({ pollingInterval: 15000, schedule: { activeInterval: 2000 } });
+    await runStart(monitor);
+    assert.strictEqual(monitor.getStats().pollMode, 'normal');
+
+    server.addSale({ invoice_id: 1001, date: '2024-05-01T11:00:00Z', product: { id: 200, name: 'Game Pass' } });
+    await runPoll(monitor);
+
+    assert.strictEqual(monitor.getStats().pollMode, 'active');
+    assert.deepStrictEqual(monitor.getStats().nextPollIn, { orders: 2000, chats: 2000 });
+});
+
+test('the error alert waits for the failure threshold and is sent once per streak', async () => {
+    const errors = [];
+    const monitor = createMonitor({
+        schedule: { failureAlertThreshold: 3 },
+        onError: (error, context) => errors.push({ message: error.message, context: context })
+    });
+    await runStart(monitor);
+
+    server.failNext('/seller-last-sales', 503, { retval: 1 }, 5);
+    for (let i = 0; i < 5; i++) {
+        await runPoll(monitor);
+        assert.strictEqual(errors.length, i < 2 ? 0 : 1);
+    }
+    assert.deepStrictEqual(errors, [{ message: 'HTTP 503', context: 'Polling' }]);
+
+    const stats = monitor.getStats();
+    assert.strictEqual(stats.pollMode, 'backoff');
+    assert.strictEqual(stats.consecutiveFailures, 5);
+    assert.strictEqual(stats.lastPollError, 'HTTP 503');
+
+    await runPoll(monitor);
+    assert.strictEqual(monitor.getStats().consecutiveFailures, 0);
+    assert.strictEqual(monitor.getStats().lastPollError, null);
+});
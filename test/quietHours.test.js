@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockServer = require('./mockServer');
+const QuietHours = require('../QuietHours');
+const TelegramNotifier = require('../TelegramNotifier');
+const TelegramRouter = require('../TelegramRouter');
+
+const server = new MockServer();
+
+test.before(async () => {
+    await server.start();
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+});
+
+// 2024-05-06 is a Monday
+const at = (day, time) => Date.parse(`2024-05-${String(day).padStart(2, '0')}T${time}:00Z`);
+
+function createQuietHours(config = {}, file = null) {
+    return new QuietHours({ timeZone: 'UTC', schedule: { '*': '23:00-08:00', sat: '00:00-24:00', sun: [] }, ...config }, { file });
+}
+
+const sale = {
+    invoice_id: 1001,
+    date: '2024-05-02T12:00:00Z',
+    product: { id: 200, name: 'Game Pass', price_usd: 15 },
+    buyer_email: 'buyer@example.com'
+};
+
+test('quiet periods follow the weekday schedule, across midnight', () => {
+    const quiet = createQuietHours();
+
+    assert.strictEqual(quiet.isQuiet(at(6, '22:59')), false);
+    assert.strictEqual(quiet.isQuiet(at(6, '23:00')), true);
+    assert.strictEqual(quiet.isQuiet(at(7, '07:59')), true);
+    assert.strictEqual(quiet.isQuiet(at(7, '08:00')), false);
+    // Saturday is quiet all day, and Friday night runs into it
+    assert.strictEqual(quiet.isQuiet(at(11, '15:00')), true);
+    // Sunday has no quiet hours of its own, but Saturday's don't spill over either
+    assert.strictEqual(quiet.isQuiet(at(12, '03:00')), false);
+    // Sunday -> Monday: Sunday starts no overnight period
+    assert.strictEqual(quiet.isQuiet(at(13, '03:00')), false);
+
+    assert.throws(() => createQuietHours({ schedule: { monday: '23:00-08:00' } }), /unknown day "monday"/);
+    assert.throws(() => createQuietHours({ schedule: { mon: '23:00-25:00' } }), /invalid period "23:00-25:00" for mon/);
+    assert.throws(() => createQuietHours({ mode: 'loud' }), /unknown mode "loud"/);
+    assert.throws(() => createQuietHours({ mute: ['error'] }), /can't mute "error"/);
+});
+
+test('mute switches, urgent orders and events quiet hours leave alone', () => {
+    const quiet = createQuietHours({ mode: 'digest', mute: ['new_chat'], urgent: { minAmount: 100, currency: 'usd' } });
+    const night = at(6, '23:30');
+    const day = at(6, '12:00');
+
+    assert.strictEqual(quiet.decide('new_message', {}, night), 'digest');
+    assert.strictEqual(quiet.decide('new_message', {}, day), 'send');
+    assert.strictEqual(quiet.decide('new_chat', {}, day), 'mute');
+    assert.strictEqual(quiet.decide('order', { amounts: { USD: 15 } }, night), 'digest');
+    assert.strictEqual(quiet.decide('order', { amounts: { USD: 150 } }, night), 'send');
+    assert.strictEqual(quiet.decide('error', {}, night), 'send');
+    assert.strictEqual(quiet.decide('report', {}, night), 'send');
+});
+
+test('silent mode sends without a sound', async () => {
+    const quietHours = createQuietHours({ schedule: { '*': '00:00-24:00' } });
+    const telegram = new TelegramNotifier(server.botToken, '777', false, { apiBaseUrl: server.url, quietHours });
+
+    await telegram.notifyNewOrder(sale);
+    await telegram.notifyError(new Error('boom'), 'Polling');
+
+    assert.deepStrictEqual(server.telegramMessages.map(m => m.params.disable_notification), [true, false]);
+});
+
+test('digest mode holds events and sends one summary per destination', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-digest-')), 'telegram-digest.json');
+    const router = new TelegramRouter({
+        rules: [
+            { events: ['order'], to: ['100'] },
+            { events: ['new_chat', 'new_message'], to: ['200'] }
+        ]
+    });
+    const quietHours = createQuietHours({ mode: 'digest', schedule: { '*': '00:00-24:00' } }, file);
+    const telegram = new TelegramNotifier(server.botToken, '777', false, { apiBaseUrl: server.url, router, quietHours });
+
+    await telegram.notifyNewOrder({ ...sale, formatted_amount: '15 USD' }, { shop: 'Main Shop' });
+    await telegram.notifyNewChat({ id_i: 1002, product: 200 }, 'Game Pass');
+    await telegram.notifyNewMessage({ id_i: 1002, product: 200 }, 2, [{ message: 'Hi' }, { message: 'Where is my <key>?' }], 'Game Pass');
+    assert.strictEqual(server.telegramMessages.length, 0);
+
+    // Held events survive a restart
+    await quietHours.saving;
+    const restarted = createQuietHours({ mode: 'digest' }, file);
+    assert.strictEqual(await restarted.load(), 3);
+    telegram.quietHours = restarted;
+
+    await telegram.sendDigest();
+    assert.deepStrictEqual(server.telegramMessages.map(m => m.chat.id), ['100', '200']);
+    const [orders, chats] = server.telegramMessages.map(m => m.text);
+    assert.match(orders, /^🌙 <b>WHILE YOU WERE AWAY<\/b> \(1\)/);
+    assert.match(orders, /Order <b>1001<\/b> · Game Pass · 15 USD · 🏪 Main Shop/);
+    assert.match(chats, /\(2\)/);
+    assert.match(chats, /New chat <b>1002<\/b> · Game Pass\n/);
+    assert.match(chats, /<b>1002<\/b>: 2 message\(s\) · <i>"Where is my &lt;key&gt;\?"<\/i>/);
+    assert.deepStrictEqual(restarted.pending, []);
+
+    // Nothing held - nothing sent
+    await telegram.sendDigest();
+    assert.strictEqual(server.telegramMessages.length, 2);
+});
@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SalesLedger = require('../SalesLedger');
+const ReportScheduler = require('../ReportScheduler');
+const TelegramNotifier = require('../TelegramNotifier');
+const createCommands = require('../TelegramCommands');
+const DateFormatter = require('../DateFormatter');
+
+const { previousDay, previousWeek, formatPeriod } = SalesLedger;
+
+// Report days in the default TIMEZONE (GMT+3)
+const defaultDates = new DateFormatter();
+const parseDay = (text) => defaultDates.parseDay(text);
+
+function tempLedgerFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-ledger-')), 'sales-ledger.jsonl');
+}
+
+function sale(invoiceId, date, productId, productName, amount, currency) {
+    return {
+        invoice_id: invoiceId,
+        date: date,
+        product: { id: productId, name: productName, price_usd: 10 },
+        order_amount: amount,
+        currency_type: currency
+    };
+}
+
+// Two orders on May 1st and three on May 2nd (GMT+3)
+async function seedLedger(ledger) {
+    await ledger.record(sale(1, '2024-05-01T09:00:00Z', 100, 'Steam Key', 10, 'USD'));
+    await ledger.record(sale(2, '2024-05-01T20:59:00Z', 200, 'Game Pass', 900, 'RUB'));
+    await ledger.record(sale(3, '2024-05-01T21:00:00Z', 100, 'Steam Key', 10, 'USD'), 'Shop B');
+    await ledger.record(sale(4, '2024-05-02T12:00:00Z', 100, 'Steam Key', 14, 'USD'));
+    await ledger.record(sale(5, '2024-05-02T13:00:00Z', 200, 'Game Pass', 1500, 'RUB'));
+}
+
+test('orders are appended to the ledger file and reloaded', async () => {
+    const filePath = tempLedgerFile();
+    const ledger = new SalesLedger(filePath, { debugMode: false });
+    await seedLedger(ledger);
+
+    // The same invoice is never recorded twice
+    assert.strictEqual(await ledger.record(sale(1, '2024-05-01T09:00:00Z', 100, 'Steam Key', 10, 'USD')), false);
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8').trim().split('\n').length, 5);
+
+    const reloaded = new SalesLedger(filePath, { debugMode: false });
+    assert.strictEqual(await reloaded.load(), 5);
+    assert.deepStrictEqual(reloaded.orders.get(3), {
+        invoiceId: 3,
+        shop: 'Shop B',
+        productId: 100,
+        productName: 'Steam Key',
+        amount: 10,
+        currency: 'USD',
+        date: '2024-05-01T21:00:00.000Z'
+    });
+});
+
+test('a sale without the paid amount is recorded at its USD price', async () => {
+    const ledger = new SalesLedger(tempLedgerFile(), { debugMode: false });
+    await ledger.record({ invoice_id: 9, date: '2024-05-01T09:00:00Z', product: { id: 1, name: 'Key', price_usd: 7.5 } });
+
+    assert.strictEqual(ledger.orders.get(9).amount, 7.5);
+    assert.strictEqual(ledger.orders.get(9).currency, 'USD');
+});
+
+test('summaries group revenue per currency and compare with the previous period', async () => {
+    const ledger = new SalesLedger(tempLedgerFile(), { debugMode: false });
+    await seedLedger(ledger);
+
+    // 21:00 UTC is already May 2nd in GMT+3
+    const from = parseDay('2024-05-02');
+    const summary = ledger.summarize(from, defaultDates.addDays(from, 1));
+
+    assert.strictEqual(summary.orderCount, 3);
+    assert.deepStrictEqual(summary.revenue, { USD: 24, RUB: 1500 });
+    assert.deepStrictEqual(summary.averageOrder, { USD: 12, RUB: 1500 });
+    assert.deepStrictEqual(summary.topProducts, [
+        { productId: 100, name: 'Steam Key', count: 2 },
+        { productId: 200, name: 'Game Pass', count: 1 }
+    ]);
+    assert.deepStrictEqual(summary.previous, { orderCount: 2, revenue: { USD: 10, RUB: 900 } });
+
+    // One shop only
+    assert.strictEqual(ledger.summarize(from, defaultDates.addDays(from, 1), 'Shop B').orderCount, 1);
+});
+
+test('report periods follow GMT+3 days and Monday-Sunday weeks', () => {
+    // Wednesday 2024-05-08 01:00 GMT+3
+    const now = Date.parse('2024-05-07T22:00:00Z');
+
+    assert.deepStrictEqual(previousDay(now), { from: parseDay('2024-05-07'), to: parseDay('2024-05-08') });
+    assert.deepStrictEqual(previousWeek(now), { from: parseDay('2024-04-29'), to: parseDay('2024-05-06') });
+    assert.strictEqual(formatPeriod(parseDay('2024-04-29'), parseDay('2024-05-06')), '2024-04-29 - 2024-05-05');
+    assert.strictEqual(formatPeriod(parseDay('2024-05-07'), parseDay('2024-05-08')), '2024-05-07');
+
+    assert.strictEqual(parseDay('2024-02-30'), null);
+    assert.strictEqual(parseDay('yesterday'), null);
+});
+
+test('report days follow the configured timezone, DST changes included', async () => {
+    const ledger = new SalesLedger(tempLedgerFile(), { timeZone: 'America/New_York', debugMode: false });
+    const dates = ledger.dates;
+
+    // Clocks went forward on Sunday 2024-03-10 - that day has 23 hours
+    const sunday = dates.parseDay('2024-03-10');
+    assert.strictEqual(new Date(sunday).toISOString(), '2024-03-10T05:00:00.000Z');
+    assert.strictEqual(new Date(dates.addDays(sunday, 1)).toISOString(), '2024-03-11T04:00:00.000Z');
+    assert.strictEqual(dates.weekday(sunday), 6);
+
+    // Monday 2024-03-11 08:00 EDT
+    const now = Date.parse('2024-03-11T12:00:00Z');
+    assert.deepStrictEqual(previousDay(now, dates), { from: sunday, to: dates.parseDay('2024-03-11') });
+    assert.deepStrictEqual(previousWeek(now, dates), { from: dates.parseDay('2024-03-04'), to: dates.parseDay('2024-03-11') });
+    assert.strictEqual(formatPeriod(dates.parseDay('2024-03-04'), dates.parseDay('2024-03-11'), dates), '2024-03-04 - 2024-03-10');
+
+    // 02:00 UTC on the 11th is still the 10th in New York
+    await ledger.record(sale(1, '2024-03-11T02:00:00Z', 100, 'Steam Key', 10, 'USD'));
+    const summary = ledger.summarize(sunday, dates.parseDay('2024-03-11'));
+    assert.strictEqual(summary.orderCount, 1);
+
+    const telegram = new TelegramNotifier('test-token', '777', false);
+    assert.match(telegram.formatSalesReport('daily', '2024-03-10', summary), /2024-03-10 \(America\/New_York\)/);
+
+    // The report hour is local too: 09:00 EDT on the Monday
+    const scheduler = new ReportScheduler({ hour: 9, dates, debugMode: false, send: async () => {} });
+    assert.strictEqual(new Date(scheduler.nextRunTime(now)).toISOString(), '2024-03-11T13:00:00.000Z');
+    assert.strictEqual(new Date(scheduler.nextRunTime(Date.parse('2024-03-09T15:00:00Z'))).toISOString(), '2024-03-10T13:00:00.000Z');
+});
+
+test('the scheduler sends the daily report every day and the weekly report on Mondays', async () => {
+    const sent = [];
+    const scheduler = new ReportScheduler({ hour: 9, debugMode: false, send: async (kind, period) => sent.push({ kind, period }) });
+
+    // Sunday 2024-05-05 10:00 GMT+3 - the next run is Monday 09:00 GMT+3
+    const nextRun = scheduler.nextRunTime(Date.parse('2024-05-05T07:00:00Z'));
+    assert.strictEqual(new Date(nextRun).toISOString(), '2024-05-06T06:00:00.000Z');
+
+    await scheduler.run(nextRun);
+    assert.deepStrictEqual(sent, [
+        { kind: 'daily', period: { from: parseDay('2024-05-05'), to: parseDay('2024-05-06') } },
+        { kind: 'weekly', period: { from: parseDay('2024-04-29'), to: parseDay('2024-05-06') } }
+    ]);
+
+    // Tuesday - daily only
+    sent.length = 0;
+    await scheduler.run(nextRun + 24 * 60 * 60 * 1000);
+    assert.deepStrictEqual(sent.map(report => report.kind), ['daily']);
+
+    assert.throws(() => new ReportScheduler({ hour: 24, send: async () => {} }), /between 0 and 23/);
+});
+
+test('/report summarizes a custom date range', async () => {
+    const ledger = new SalesLedger(tempLedgerFile(), { debugMode: false });
+    await seedLedger(ledger);
+    const telegram = new TelegramNotifier('test-token', '777', false);
+    const commands = createCommands({ accounts: [{ name: null, monitor: {} }], telegram, salesLedger: ledger });
+
+    const text = await commands.report.handler(['2024-05-01', '2024-05-02']);
+    assert.match(text, /SALES REPORT/);
+    assert.match(text, /2024-05-01 - 2024-05-02/);
+    assert.match(text, /Orders:<\/b> 5/);
+    assert.match(text, /USD: 34/);
+    assert.match(text, /RUB: 2400/);
+    assert.match(text, /1\. Steam Key - 3/);
+
+    assert.match(await commands.report.handler(['2024-05-01']), /Orders:<\/b> 2 \(none in previous period\)/);
+    assert.match(await commands.report.handler(['2024-06-01', '2024-06-01']), /No orders in this period/);
+    assert.match(await commands.report.handler(['May', '1st']), /Usage/);
+    assert.match(await commands.report.handler(['2024-05-02', '2024-05-01']), /before the start date/);
+
+    // Without a ledger there is no /report command
+    assert.strictEqual(createCommands({ accounts: [], telegram }).report, undefined);
+});
+
+test('sales reports come from the localized, overridable template', async () => {
+    const ledger = new SalesLedger(tempLedgerFile(), { debugMode: false });
+    await seedLedger(ledger);
+    const summary = ledger.summarize(parseDay('2024-05-02'), parseDay('2024-05-03'));
+
+    const russian = new TelegramNotifier('test-token', '777', false, { locale: 'ru' });
+    const text = russian.formatSalesReport('weekly', '2024-05-02', summary, { shop: 'Shop B' });
+    assert.match(text, /^📊 <b>ОТЧЁТ О ПРОДАЖАХ ЗА НЕДЕЛЮ<\/b>\n📅 2024-05-02 \(Europe\/Istanbul\)\n\n🏪 <b>Магазин:<\/b> Shop B\n/);
+    assert.match(text, /Заказы:<\/b> 3 \(\+50% к 2\)/);
+    assert.match(text, /1\. Steam Key - 2/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-report-templates-'));
+    fs.writeFileSync(path.join(dir, 'sales-report.html'), '{{#daily}}Daily{{/daily}}: {{orderCount}} orders{{#revenue}} · {{amount}} {{currency}}{{/revenue}}\n');
+    const custom = new TelegramNotifier('test-token', '777', false, { templatesDir: dir });
+    assert.strictEqual(custom.formatSalesReport('daily', '2024-05-02', summary), 'Daily: 3 orders · 1500 RUB · 24 USD');
+});
@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockServer = require('./mockServer');
+const TelegramNotifier = require('../TelegramNotifier');
+
+const server = new MockServer();
+
+test.before(async () => {
+    await server.start();
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+});
+
+const sale = {
+    invoice_id: 1001,
+    date: '2024-05-02T12:00:00Z',
+    product: { id: 200, name: 'Game Pass', price_usd: 15 },
+    buyer_email: 'buyer@example.com'
+};
+
+function stateFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-actions-')), 'telegram-actions.json');
+}
+
+function createTelegram(file = null, options = {}) {
+    return new TelegramNotifier(server.botToken, '777', false, {
+        apiBaseUrl: server.url,
+        ...options,
+        actions: { file, quickReplies: [{ label: 'Key resent', text: 'I sent the key again' }] }
+    });
+}
+
+// A button press on a notification sent by the mock server
+function press(message, data, id = 'q1') {
+    return {
+        id: id,
+        from: { id: 5, first_name: 'Anna', username: 'anna' },
+        message: { message_id: message.message_id, chat: { id: 777 } },
+        data: data
+    };
+}
+
+function buttons(message) {
+    return message.params.reply_markup.inline_keyboard.flat().map(button => button.callback_data);
+}
+
+test('order and message alerts carry their buttons', async () => {
+    const telegram = createTelegram();
+    await telegram.notifyNewOrder(sale);
+    await telegram.notifyNewMessage({ id_i: 1002, product: 200 }, 1, [{ message: 'Hi' }], 'Game Pass');
+    await telegram.notifyNewOrder({ ...sale, invoice_id: 1003, buyer_email: '' });
+
+    const [order, message, noEmail] = server.telegramMessages;
+    assert.deepStrictEqual(buttons(order), ['chat:1001', 'email:1001', 'done:1001']);
+    assert.deepStrictEqual(buttons(message), ['reply:1002', 'quick:1002', 'mute:1002']);
+    assert.deepStrictEqual(buttons(noEmail), ['chat:1003', 'done:1003']);
+});
+
+test('marking an order handled edits the alert and survives a restart', async () => {
+    const file = stateFile();
+    const telegram = createTelegram(file);
+    await telegram.notifyNewOrder(sale);
+    const [alert] = server.telegramMessages;
+    const originalText = alert.text;
+
+    await telegram.handleUpdate({ update_id: 1, callback_query: press(alert, 'done:1001') });
+
+    const [edit] = server.telegramEdits;
+    assert.strictEqual(edit.method, 'editMessageText');
+    assert.ok(edit.text.startsWith(originalText));
+    assert.match(edit.text, /✅ <b>Handled<\/b> by @anna/);
+    assert.deepStrictEqual(buttons(alert), ['chat:1001', 'email:1001', 'undone:1001']);
+    assert.deepStrictEqual(server.callbackAnswers, [{ id: 'q1', text: '✅ Marked as handled' }]);
+
+    // A new process still knows the order is handled and can undo it
+    const restarted = createTelegram(file);
+    await restarted.actions.load();
+    assert.deepStrictEqual(buttons({ params: { reply_markup: restarted.actions.orderKeyboard(1001, 'x') } }), ['chat:1001', 'email:1001', 'undone:1001']);
+    await restarted.handleUpdate({ update_id: 2, callback_query: press(alert, 'undone:1001', 'q2') });
+    assert.strictEqual(server.telegramEdits[1].text, originalText);
+    assert.deepStrictEqual(buttons(alert), ['chat:1001', 'email:1001', 'done:1001']);
+});
+
+test('muting a chat silences its message alerts for an hour', async () => {
+    const telegram = createTelegram();
+    const chat = { id_i: 1002, product: 200 };
+    await telegram.notifyNewMessage(chat, 1, [{ message: 'Hi' }], 'Game Pass');
+    const [alert] = server.telegramMessages;
+
+    await telegram.handleUpdate({ update_id: 1, callback_query: press(alert, 'mute:1002') });
+    assert.match(server.telegramEdits[0].text, /🔕 <b>Muted<\/b> until/);
+    assert.deepStrictEqual(buttons(alert), ['reply:1002', 'quick:1002', 'unmute:1002']);
+
+    await telegram.notifyNewMessage(chat, 1, [{ message: 'Hello??' }], 'Game Pass');
+    assert.strictEqual(server.telegramMessages.length, 1);
+
+    await telegram.handleUpdate({ update_id: 2, callback_query: press(alert, 'unmute:1002', 'q2') });
+    await telegram.notifyNewMessage(chat, 1, [{ message: 'Anyone?' }], 'Game Pass');
+    assert.strictEqual(server.telegramMessages.length, 2);
+});
+
+test('quick replies, reply prompts and email buttons', async () => {
+    const telegram = createTelegram();
+    const sent = [];
+    telegram.onReply = async (chatId, text) => sent.push([chatId, text]);
+    await telegram.notifyNewMessage({ id_i: 1002, product: 200, email: 'buyer@example.com' }, 1, [{ message: 'Hi' }], 'Game Pass');
+    const [alert] = server.telegramMessages;
+
+    // "Quick replies…" swaps the keyboard for the list
+    await telegram.handleUpdate({ update_id: 1, callback_query: press(alert, 'quick:1002') });
+    assert.strictEqual(server.telegramEdits[0].method, 'editMessageReplyMarkup');
+    assert.deepStrictEqual(buttons(alert), ['qr:1002:0', 'back:1002']);
+
+    await telegram.handleUpdate({ update_id: 2, callback_query: press(alert, 'qr:1002:0', 'q2') });
+    assert.deepStrictEqual(sent, [[1002, 'I sent the key again']]);
+    assert.match(server.telegramEdits[1].text, /Quick reply sent:<\/b> Key resent/);
+    assert.deepStrictEqual(buttons(alert), ['reply:1002', 'quick:1002', 'mute:1002']);
+
+    // "Reply" asks for the text - answering the prompt goes to the buyer
+    await telegram.handleUpdate({ update_id: 3, callback_query: press(alert, 'reply:1002', 'q3') });
+    const prompt = server.telegramMessages[1];
+    assert.deepStrictEqual(prompt.params.reply_markup, { force_reply: true, selective: true });
+    assert.strictEqual(telegram.messageChatMap.get(`777:${prompt.message_id}`).chatId, 1002);
+
+    await telegram.handleUpdate({ update_id: 4, callback_query: press(alert, 'email:1002', 'q4') });
+    assert.strictEqual(server.telegramMessages[2].text, '📧 <code>buyer@example.com</code>');
+    assert.strictEqual(server.callbackAnswers.length, 4);
+});
+
+test('button answers and alert statuses follow the locale', async () => {
+    const telegram = createTelegram(null, { locale: 'ru' });
+    await telegram.notifyNewOrder(sale);
+    const [alert] = server.telegramMessages;
+
+    await telegram.handleUpdate({ update_id: 1, callback_query: press(alert, 'done:1001') });
+    assert.match(server.telegramEdits[0].text, /\n\n✅ <b>Обработан<\/b> \(@anna\) · /);
+    await telegram.handleUpdate({ update_id: 2, callback_query: press(alert, 'email:1001', 'q2') });
+    await telegram.handleUpdate({ update_id: 3, callback_query: press(alert, 'oops:1001', 'q3') });
+    assert.deepStrictEqual(server.callbackAnswers, [
+        { id: 'q1', text: '✅ Отмечен как обработанный' },
+        { id: 'q2', text: '📋 Нажмите на адрес, чтобы скопировать' },
+        { id: 'q3', text: '⚠️ Неизвестная кнопка' }
+    ]);
+
+    await telegram.handleUpdate({ update_id: 4, callback_query: press(alert, 'reply:1001', 'q4') });
+    assert.strictEqual(server.telegramMessages[2].text, '✍️ Ответ на заказ <b>1001</b>:');
+});
+
+test('button labels come from the templates, so TEMPLATES_DIR can change them or add a language', async () => {
+    const russian = createTelegram(null, { locale: 'ru' });
+    await russian.notifyNewOrder(sale);
+    assert.deepStrictEqual(server.telegramMessages[0].params.reply_markup.inline_keyboard.flat().map(button => button.text),
+        ['💬 Чат с покупателем', '📧 Скопировать email', '✅ Обработан']);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-labels-'));
+    fs.mkdirSync(path.join(dir, 'de'));
+    fs.writeFileSync(path.join(dir, 'de', 'button-labels.html'), '{{#showChat}}💬 Chat anzeigen{{/showChat}}\n{{#copyEmail}}📧 E-Mail kopieren{{/copyEmail}}\n{{#markHandled}}✅ Erledigt{{/markHandled}}\n');
+    try {
+        const german = createTelegram(null, { locale: 'de', templatesDir: dir });
+        await german.notifyNewOrder(sale);
+        assert.deepStrictEqual(server.telegramMessages[1].params.reply_markup.inline_keyboard.flat().map(button => button.text),
+            ['💬 Chat anzeigen', '📧 E-Mail kopieren', '✅ Erledigt']);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('button presses from other chats are refused', async () => {
+    const telegram = createTelegram();
+    await telegram.notifyNewOrder(sale);
+    const query = press(server.telegramMessages[0], 'done:1001');
+    query.message.chat.id = 999;
+
+    await telegram.handleUpdate({ update_id: 1, callback_query: query });
+    assert.deepStrictEqual(server.telegramEdits, []);
+    assert.deepStrictEqual(server.callbackAnswers, [{ id: 'q1', text: '⛔ Not allowed' }]);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const MockServer = require('./mockServer');
+const TelegramNotifier = require('../TelegramNotifier');
+const { splitMessage, MAX_MESSAGE_LENGTH } = TelegramNotifier;
+
+const server = new MockServer();
+
+test.before(async () => {
+    await server.start();
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+});
+
+function count(text, pattern) {
+    return (text.match(pattern) || []).length;
+}
+
+test('short messages are not split', () => {
+    assert.deepStrictEqual(splitMessage('<b>Hello</b>'), ['<b>Hello</b>']);
+});
+
+test('long messages are split into numbered parts with balanced tags', () => {
+    const lines = Array.from({ length: 300 }, (_, i) => `<i>"Message number ${i} with <b>bold</b> text"</i>`);
+    const text = `📨 <b>NEW MESSAGE(S)</b>\n<blockquote>${lines.join('\n')}</blockquote>\n💡 end`;
+
+    const parts = splitMessage(text);
+    assert.ok(parts.length > 1);
+    for (const [index, part] of parts.entries()) {
+        assert.ok(part.length <= MAX_MESSAGE_LENGTH, `part ${index + 1} is ${part.length} characters`);
+        assert.ok(part.startsWith(`📄 <b>(${index + 1}/${parts.length})</b>\n`));
+        assert.strictEqual(count(part, /<blockquote>/g), count(part, /<\/blockquote>/g));
+        assert.strictEqual(count(part, /<i>/g), count(part, /<\/i>/g));
+    }
+    // Split at line breaks - every message line stays whole
+    for (const line of lines) {
+        assert.ok(parts.some(part => part.includes(line)), line);
+    }
+});
+
+test('entities are never cut in half', () => {
+    const parts = splitMessage('&lt;'.repeat(3000), 1000);
+    for (const part of parts) {
+        const body = part.slice(part.indexOf('\n') + 1);
+        assert.match(body, /^(&lt;)+$/);
+    }
+    assert.strictEqual(parts.reduce((total, part) => total + count(part, /&lt;/g), 0), 3000);
+});
+
+test('a long chat history is sent as several messages', async () => {
+    const telegram = new TelegramNotifier(server.botToken, '777', false, { apiBaseUrl: server.url });
+    const messages = Array.from({ length: 200 }, (_, i) => ({ id: i + 1, message: `Hello, this is message ${i} of a very long first chat`, buyer: 1 }));
+
+    await telegram.notifyNewMessage({ id_i: 1002, product: 200 }, 200, messages, 'Game Pass');
+
+    assert.ok(server.telegramMessages.length > 1);
+    assert.ok(server.telegramMessages.every(m => m.text.length <= MAX_MESSAGE_LENGTH));
+    assert.match(server.telegramMessages[0].text, /^📄 <b>\(1\/\d+\)<\/b>\n📨 <b>NEW MESSAGE/);
+    // Replying to any part reaches the buyer
+    for (const message of server.telegramMessages) {
+        assert.strictEqual(telegram.messageChatMap.get(`777:${message.message_id}`).chatId, 1002);
+    }
+});
+
+test('attachments are re-sent as photos and documents within the size limit', async () => {
+    const telegram = new TelegramNotifier(server.botToken, '777', false, { apiBaseUrl: server.url, maxAttachmentMb: 0.01 });
+    const messages = [
+        { id: 1, message: 'Here is the error', buyer: 1, is_file: 1, filename: 'error.png', url: server.addFile('error.png', 'png-bytes', 'image/png') },
+        { id: 2, message: '', buyer: 1, is_file: 1, filename: 'receipt.pdf', url: server.addFile('receipt.pdf', 'pdf-bytes', 'application/pdf') },
+        { id: 3, message: 'Video', buyer: 1, is_file: 1, filename: 'video.mp4', url: server.addFile('video.mp4', Buffer.alloc(20000), 'video/mp4') },
+        { id: 4, message: 'Gone', buyer: 1, is_file: 1, filename: 'gone.png', url: `${server.url}/files/gone.png` }
+    ];
+
+    await telegram.notifyNewMessage({ id_i: 1002, product: 200 }, 4, messages, 'Game Pass');
+
+    // The notification text still links every file
+    assert.strictEqual(server.telegramMessages.length, 1);
+    assert.match(server.telegramMessages[0].text, /video\.mp4/);
+
+    // Too large and missing files are left as links
+    assert.deepStrictEqual(server.telegramFiles, [
+        { method: 'sendPhoto', chatId: '777', caption: 'Here is the error', filename: 'error.png', contentType: 'image/png', size: 9 },
+        { method: 'sendDocument', chatId: '777', caption: 'receipt.pdf', filename: 'receipt.pdf', contentType: 'application/pdf', size: 9 }
+    ]);
+});
+
+test('photos Telegram refuses are sent as documents', async () => {
+    const telegram = new TelegramNotifier(server.botToken, '777', false, { apiBaseUrl: server.url });
+    server.failNext('/sendPhoto', 400, { ok: false, error_code: 400, description: 'Bad Request: PHOTO_INVALID_DIMENSIONS' });
+
+    await telegram.sendAttachment({ url: server.addFile('banner.jpg', 'jpg-bytes', 'image/jpeg'), filename: 'banner.jpg', caption: 'Banner' });
+
+    assert.deepStrictEqual(server.telegramFiles.map(file => [file.method, file.filename]), [['sendDocument', 'banner.jpg']]);
+});
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockServer = require('./mockServer');
+const { quietly } = require('./helpers');
+const TelegramNotifier = require('../TelegramNotifier');
+const TelegramQueue = require('../TelegramQueue');
+
+const server = new MockServer();
+
+test.before(async () => {
+    await server.start();
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+});
+
+function queueFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-queue-')), 'telegram-queue.json');
+}
+
+function createTelegram(queueOptions = {}) {
+    return new TelegramNotifier(server.botToken, '777', false, {
+        apiBaseUrl: server.url,
+        queue: { file: null, perChatPerSecond: 20, retryDelay: 1, ...queueOptions }
+    });
+}
+
+test('messages are queued and sent in order, spaced out per chat', async () => {
+    const telegram = createTelegram();
+    const start = Date.now();
+
+    await telegram.send('A1', { chatId: '100' });
+    await telegram.send('A2', { chatId: '100' });
+    await telegram.send('A3', { chatId: '100' });
+    await telegram.send('B1', { chatId: '200' });
+    assert.strictEqual(telegram.queue.getDepth(), 4);
+    assert.strictEqual(server.telegramMessages.length, 0);
+
+    telegram.queue.start();
+    await telegram.queue.onIdle();
+
+    // B1 doesn't wait behind chat 100's per-chat limit
+    assert.deepStrictEqual(server.telegramMessages.map(m => m.text), ['A1', 'B1', 'A2', 'A3']);
+    assert.ok(Date.now() - start >= 100, 'three messages to one chat take at least two per-chat intervals');
+    assert.strictEqual(telegram.queue.getStats().sent, 4);
+    assert.strictEqual(telegram.queue.getDepth(), 0);
+});
+
+test('a 429 pauses the queue for retry_after without losing or reordering messages', async () => {
+    const telegram = createTelegram();
+    server.failNext('/sendMessage', 429, { ok: false, error_code: 429, description: 'Too Many Requests: retry after 0.2', parameters: { retry_after: 0.2 } });
+
+    const start = Date.now();
+    await telegram.send('first', { chatId: '100' });
+    await telegram.send('second', { chatId: '100' });
+    telegram.queue.start();
+    await telegram.queue.onIdle();
+
+    assert.deepStrictEqual(server.telegramMessages.map(m => m.text), ['first', 'second']);
+    assert.ok(Date.now() - start >= 200, 'waited for retry_after');
+    const stats = telegram.queue.getStats();
+    assert.strictEqual(stats.rateLimited, 1);
+    assert.strictEqual(stats.retried, 0);
+});
+
+test('server errors are retried with backoff, bad requests are dropped', async () => {
+    const telegram = createTelegram({ maxAttempts: 3 });
+    server.failNext('/sendMessage', 502, { ok: false, error_code: 502, description: 'Bad Gateway' }, 2);
+
+    telegram.queue.start();
+    await telegram.send('retried', { chatId: '100' });
+    await telegram.queue.onIdle();
+    assert.deepStrictEqual(server.telegramMessages.map(m => m.text), ['retried']);
+    assert.strictEqual(telegram.queue.getStats().retried, 2);
+
+    server.failNext('/sendMessage', 400, { ok: false, error_code: 400, description: "Bad Request: can't parse entities" });
+    await quietly(async () => {
+        await telegram.send('<b>broken', { chatId: '100' });
+        await telegram.send('next', { chatId: '100' });
+        await telegram.queue.onIdle();
+    });
+
+    assert.deepStrictEqual(server.telegramMessages.map(m => m.text), ['retried', 'next']);
+    assert.strictEqual(telegram.queue.getStats().failed, 1);
+});
+
+test('only network and server errors are retried, anything else is dropped at once', async () => {
+    const attempts = [];
+    const errors = {
+        reset: [Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })],
+        server: [Object.assign(new Error('Bad Gateway'), { response: { status: 502, data: {} } })],
+        bug: [new TypeError('Cannot read properties of undefined')]
+    };
+    const queue = new TelegramQueue({
+        file: null,
+        retryDelay: 1,
+        perChatPerSecond: 1000,
+        debugMode: false,
+        send: async (method, params) => {
+            attempts.push(params.text);
+            const error = errors[params.text].shift();
+            if (error) throw error;
+            return { ok: true };
+        }
+    });
+
+    ['reset', 'server', 'bug'].forEach(text => queue.enqueue('sendMessage', { chat_id: '100', text }));
+    queue.start();
+    await quietly(() => queue.onIdle());
+    queue.stop();
+
+    assert.deepStrictEqual(attempts, ['reset', 'reset', 'server', 'server', 'bug']);
+    assert.deepStrictEqual({ sent: queue.stats.sent, failed: queue.stats.failed }, { sent: 2, failed: 1 });
+});
+
+test('unsent messages survive a restart and replies still reach the buyer chat', async () => {
+    const file = queueFile();
+    const first = createTelegram({ file });
+    await first.notifyNewMessage({ id_i: 1002, product: 200 }, 1, [{ message: 'Hello?' }], 'Game Pass', { shop: 'Main Shop' });
+    await first.notifyNewChat({ id_i: 1003, product: 200 }, 'Game Pass');
+    // Writes are batched - stop() writes what is pending right away
+    assert.strictEqual(fs.existsSync(file), false);
+    first.queue.stop();
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).jobs.length, 2);
+
+    // "Restart" - a new notifier picks the queue up from the file
+    const second = createTelegram({ file });
+    assert.strictEqual(second.queue.load(), 2);
+    second.queue.start();
+    await second.queue.onIdle();
+    second.queue.stop();
+
+    assert.strictEqual(server.telegramMessages.length, 2);
+    assert.match(server.telegramMessages[0].text, /Hello\?/);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).jobs, []);
+
+    const [message] = server.telegramMessages;
+    assert.deepStrictEqual(second.messageChatMap.get(`777:${message.message_id}`), { chatId: 1002, shop: 'Main Shop' });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const TelegramRouter = require('../TelegramRouter');
+
+const SALES_GROUP = '-1001';
+const SUPPORT_GROUP = '-1002';
+const OWNER = '42';
+
+const router = new TelegramRouter({
+    rules: [
+        { events: ['order'], to: [SALES_GROUP] },
+        { events: ['new_chat', 'new_message'], to: [{ chatId: SUPPORT_GROUP, threadId: 7 }] },
+        { events: ['order'], to: [OWNER], minAmount: 100, currency: 'USD' },
+        { events: ['new_message'], to: [OWNER], productIds: [555] }
+    ]
+});
+
+function sale(overrides = {}) {
+    return {
+        invoice_id: 1,
+        product: { id: 100, price_usd: 10, price_rub: 900 },
+        ...overrides
+    };
+}
+
+test('single chat routing sends every event, errors included', () => {
+    const single = TelegramRouter.forSingleChat(123);
+
+    for (const event of ['order', 'new_chat', 'new_message', 'error', 'report']) {
+        assert.deepStrictEqual(single.resolve(event, {}), [{ chatId: '123', threadId: null }]);
+    }
+});
+
+test('events go to the chats and topics configured for them', () => {
+    assert.deepStrictEqual(router.resolve('order', TelegramRouter.orderContext(sale())), [{ chatId: SALES_GROUP, threadId: null }]);
+    assert.deepStrictEqual(router.resolve('new_chat', TelegramRouter.chatContext({ product: 100 })), [{ chatId: SUPPORT_GROUP, threadId: 7 }]);
+    assert.deepStrictEqual(router.resolve('error', {}), []);
+});
+
+test('high-value orders also go to the owner', () => {
+    const bigSale = sale({ product: { id: 100, price_usd: 150 } });
+    const chatIds = router.resolve('order', TelegramRouter.orderContext(bigSale)).map(d => d.chatId);
+
+    assert.deepStrictEqual(chatIds, [SALES_GROUP, OWNER]);
+});
+
+test('the actual amount paid wins over the listed price in the same currency', () => {
+    const discounted = sale({ product: { id: 100, price_usd: 150 }, order_amount: 90, currency_type: 'USD' });
+    const chatIds = router.resolve('order', TelegramRouter.orderContext(discounted)).map(d => d.chatId);
+
+    assert.deepStrictEqual(chatIds, [SALES_GROUP]);
+});
+
+test('amount rules do not match when the order has no amount in that currency', () => {
+    const rubOnly = sale({ product: { id: 100, price_rub: 100000 } });
+    const chatIds = router.resolve('order', TelegramRouter.orderContext(rubOnly)).map(d => d.chatId);
+
+    assert.deepStrictEqual(chatIds, [SALES_GROUP]);
+});
+
+test('product filters only match listed products', () => {
+    assert.deepStrictEqual(router.resolve('new_message', { productId: 555 }).map(d => d.chatId), [SUPPORT_GROUP, OWNER]);
+    assert.deepStrictEqual(router.resolve('new_message', { productId: 556 }).map(d => d.chatId), [SUPPORT_GROUP]);
+});
+
+test('the same destination is only notified once', () => {
+    const overlapping = new TelegramRouter({
+        rules: [
+            { events: ['order'], to: [SALES_GROUP, { chatId: SALES_GROUP, threadId: 3 }] },
+            { events: ['order'], to: [SALES_GROUP] }
+        ]
+    });
+
+    assert.deepStrictEqual(overlapping.resolve('order', {}), [
+        { chatId: SALES_GROUP, threadId: null },
+        { chatId: SALES_GROUP, threadId: 3 }
+    ]);
+    assert.deepStrictEqual(overlapping.getChatIds(), [SALES_GROUP]);
+});
+
+test('invalid rules are rejected', () => {
+    assert.throws(() => new TelegramRouter({ rules: [{ events: ['refund'], to: ['1'] }] }), /unknown event "refund"/);
+    assert.throws(() => new TelegramRouter({ rules: [{ events: ['order'], to: [] }] }), /needs at least one chat ID/);
+    assert.throws(() => new TelegramRouter({ rules: [{ events: ['order'], to: [{ chatId: '1', timeZone: 'Mars/Olympus' }] }] }), /Routing rule #1: Unknown timezone "Mars\/Olympus"/);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockServer = require('./mockServer');
+const { quietly } = require('./helpers');
+const TelegramNotifier = require('../TelegramNotifier');
+
+const server = new MockServer();
+
+test.before(async () => {
+    await server.start();
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+});
+
+const chat = { id_i: 1002, product: 200 };
+const otherChat = { id_i: 1003, product: 200 };
+
+function stateFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-threads-')), 'telegram-threads.json');
+}
+
+function createTelegram(threads, extra = {}) {
+    return new TelegramNotifier(server.botToken, '777', false, { apiBaseUrl: server.url, threads, ...extra });
+}
+
+test('reply mode keeps each buyer chat in a reply chain, across restarts', async () => {
+    const file = stateFile();
+    const telegram = createTelegram({ mode: 'reply', file });
+
+    await telegram.notifyNewChat(chat, 'Game Pass');
+    await telegram.notifyNewMessage(otherChat, 1, [{ message: 'Other buyer' }], 'Game Pass');
+    await telegram.notifyNewMessage(chat, 1, [{ message: 'Second' }], 'Game Pass');
+
+    const [first, other, second] = server.telegramMessages;
+    assert.strictEqual(first.params.reply_to_message_id, undefined);
+    assert.strictEqual(other.params.reply_to_message_id, undefined);
+    assert.strictEqual(second.params.reply_to_message_id, first.message_id);
+    assert.strictEqual(second.params.allow_sending_without_reply, true);
+
+    // A new process continues the same chain
+    await telegram.threads.saving;
+    const restarted = createTelegram({ mode: 'reply', file });
+    assert.strictEqual(await restarted.threads.load(), 2);
+    await restarted.notifyNewMessage(chat, 1, [{ message: 'Third' }], 'Game Pass');
+    assert.strictEqual(server.telegramMessages[3].params.reply_to_message_id, first.message_id);
+});
+
+test('queued messages are threaded when they are sent', async () => {
+    const telegram = createTelegram({ mode: 'reply', file: null }, { queue: { file: null, perChatPerSecond: 100 } });
+
+    await telegram.notifyNewChat(chat, 'Game Pass');
+    await telegram.notifyNewMessage(chat, 1, [{ message: 'Hello?' }], 'Game Pass');
+    telegram.queue.start();
+    await telegram.queue.onIdle();
+
+    const [first, second] = server.telegramMessages;
+    assert.strictEqual(second.params.reply_to_message_id, first.message_id);
+});
+
+test('topic mode opens one forum topic per order and routes replies in it to the buyer', async () => {
+    const telegram = createTelegram({ mode: 'topic', file: null });
+    const sent = [];
+    telegram.onReply = async (chatId, text, message, shop) => sent.push([chatId, text, shop]);
+
+    await Promise.all([
+        telegram.notifyNewChat(chat, 'Game Pass', { shop: 'Main Shop' }),
+        telegram.notifyNewMessage(chat, 1, [{ message: 'Hi' }], 'Game Pass', { shop: 'Main Shop' })
+    ]);
+    await telegram.notifyNewMessage(otherChat, 1, [{ message: 'Hey' }], null);
+
+    assert.deepStrictEqual(server.forumTopics, [
+        { chatId: '777', threadId: 100, name: '#1002 · Game Pass' },
+        { chatId: '777', threadId: 101, name: '#1003' }
+    ]);
+    assert.deepStrictEqual(server.telegramMessages.map(m => m.params.message_thread_id), [100, 100, 101]);
+
+    // Staff chatting in the topic stays in Telegram
+    await telegram.handleUpdate({
+        update_id: 1,
+        message: { message_id: 50, chat: { id: 777 }, message_thread_id: 100, is_topic_message: true, text: 'Who takes this one?', reply_to_message: { message_id: 100 } }
+    });
+    assert.deepStrictEqual(sent, []);
+    assert.strictEqual(server.telegramMessages.length, 3);
+
+    // A reply to the notification reaches the buyer
+    await telegram.handleUpdate({
+        update_id: 2,
+        message: { message_id: 51, chat: { id: 777 }, message_thread_id: 100, is_topic_message: true, text: 'Your key is on the way', reply_to_message: { message_id: server.telegramMessages[1].message_id } }
+    });
+    assert.deepStrictEqual(sent, [[1002, 'Your key is on the way', 'Main Shop']]);
+});
+
+test('a deleted topic is replaced by a new one', async () => {
+    const telegram = createTelegram({ mode: 'topic', file: null });
+    await telegram.notifyNewChat(chat, 'Game Pass');
+
+    server.failNext('/sendMessage', 400, { ok: false, error_code: 400, description: 'Bad Request: message thread not found' });
+    await quietly(() => telegram.notifyNewMessage(chat, 1, [{ message: 'Still there?' }], 'Game Pass'));
+
+    assert.deepStrictEqual(server.forumTopics.map(topic => topic.threadId), [100, 101]);
+    assert.deepStrictEqual(server.telegramMessages.map(m => m.params.message_thread_id), [100, 101]);
+});
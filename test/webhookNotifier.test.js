@@ -0,0 +1,198 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const MockServer = require('./mockServer');
+const { quietly } = require('./helpers');
+const WebhookNotifier = require('../WebhookNotifier');
+
+const server = new MockServer();
+const SECRET = 'webhook-secret';
+
+test.before(async () => {
+    await server.start();
+});
+
+test.after(async () => {
+    await server.stop();
+});
+
+test.beforeEach(() => {
+    server.reset();
+});
+
+function createNotifier(webhooks, options = {}) {
+    const deadLetterFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ggsel-webhooks-')), 'dead-letters.jsonl');
+    return new WebhookNotifier({ webhooks }, { retryDelay: 1, maxAttempts: 3, debugMode: false, deadLetterFile, ...options });
+}
+
+const sale = {
+    invoice_id: 1001,
+    date: '2024-05-02T12:00:00Z',
+    product: { id: 200, name: 'Game Pass', price_usd: 15, price_eur: 14, price_rub: 1400 },
+    buyer_email: 'buyer@example.com',
+    order_amount: 1350,
+    currency_type: 'RUB'
+};
+const chat = { id_i: 1002, product: 200, email: 'new@example.com', cnt_msg: 2, last_message: '2024-05-02T13:00:00Z' };
+
+test('orders are posted as a signed, versioned payload', async () => {
+    const notifier = createNotifier([{ url: `${server.url}/webhooks/orders`, secret: SECRET }]);
+
+    assert.strictEqual(await notifier.notifyNewOrder(sale, { shop: 'Main Shop' }), 1);
+
+    const [request] = server.webhookRequests;
+    const expectedSignature = 'sha256=' + crypto.createHmac('sha256', SECRET).update(request.rawBody).digest('hex');
+    assert.strictEqual(request.headers['x-ggsel-signature'], expectedSignature);
+    assert.strictEqual(request.headers['x-ggsel-event'], 'order');
+    assert.strictEqual(request.headers['idempotency-key'], 'order-1001');
+
+    assert.strictEqual(request.body.version, 1);
+    assert.strictEqual(request.body.id, 'order-1001');
+    assert.strictEqual(request.body.event, 'order');
+    assert.strictEqual(request.body.shop, 'Main Shop');
+    assert.deepStrictEqual(request.body.data, {
+        invoiceId: 1001,
+        product: { id: 200, name: 'Game Pass' },
+        buyerEmail: 'buyer@example.com',
+        amount: 1350,
+        currency: 'RUB',
+        prices: { usd: 15, eur: 14, rub: 1400 },
+        date: '2024-05-02T12:00:00Z'
+    });
+});
+
+test('every message is delivered separately with its own idempotency key', async () => {
+    const notifier = createNotifier([{ url: `${server.url}/webhooks/all`, secret: SECRET }]);
+
+    await notifier.notifyNewChat(chat, 'Game Pass');
+    await notifier.notifyNewMessage(chat, 2, [
+        { id: 5, message: 'Hello', buyer: 1, date_written: '2024-05-02T13:00:00Z' },
+        { id: 6, message: 'Screenshot', buyer: 1, is_file: 1, filename: 'error.png', date_written: '2024-05-02T13:01:00Z' }
+    ], 'Game Pass');
+
+    assert.deepStrictEqual(server.webhookRequests.map(r => r.headers['idempotency-key']), ['chat-1002', 'message-5', 'message-6']);
+    assert.deepStrictEqual(server.webhookRequests[2].body.data, {
+        orderId: 1002,
+        productId: 200,
+        productName: 'Game Pass',
+        buyerEmail: 'new@example.com',
+        message: { id: 6, text: 'Screenshot', fromBuyer: true, filename: 'error.png', date: '2024-05-02T13:01:00Z' }
+    });
+});
+
+test('webhooks only receive the events they subscribe to', async () => {
+    const notifier = createNotifier([
+        { url: `${server.url}/webhooks/orders`, secret: SECRET, events: ['order'] },
+        { url: `${server.url}/webhooks/chats`, secret: SECRET, events: ['new_chat', 'new_message'] }
+    ]);
+
+    await notifier.notifyNewOrder(sale);
+    await notifier.notifyNewChat(chat, null);
+
+    assert.deepStrictEqual(server.webhookRequests.map(r => `${r.path} ${r.body.event}`), ['/webhooks/orders order', '/webhooks/chats new_chat']);
+});
+
+test('server errors are retried with backoff until delivered', async () => {
+    const notifier = createNotifier([{ url: `${server.url}/webhooks/orders`, secret: SECRET }]);
+    server.failNext('/webhooks/orders', 503, { error: 'busy' }, 2);
+
+    assert.strictEqual(await notifier.notifyNewOrder(sale), 1);
+
+    const attempts = server.requests.filter(r => r.path === '/webhooks/orders');
+    assert.strictEqual(attempts.length, 3);
+    assert.strictEqual(server.webhookRequests.length, 1);
+    assert.ok(!fs.existsSync(notifier.deadLetterFile));
+});
+
+test('undeliverable events go to the dead-letter file and can be replayed', async () => {
+    const notifier = createNotifier([{ url: `${server.url}/webhooks/orders`, secret: SECRET }]);
+    server.failNext('/webhooks/orders', 500, { error: 'down' }, 3);
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await assert.rejects(notifier.notifyNewOrder(sale), /1 of 1 webhook deliveries of order-1001 failed/);
+    } finally {
+        console.error = originalError;
+    }
+
+    const [deadLetter] = fs.readFileSync(notifier.deadLetterFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.strictEqual(deadLetter.url, `${server.url}/webhooks/orders`);
+    assert.strictEqual(deadLetter.payload.id, 'order-1001');
+    assert.strictEqual(deadLetter.error, 'HTTP 500');
+    assert.ok(!JSON.stringify(deadLetter).includes(SECRET));
+
+    assert.deepStrictEqual(await notifier.replayDeadLetters(), { delivered: 1, failed: 0 });
+    assert.strictEqual(server.webhookRequests.length, 1);
+    assert.strictEqual(server.webhookRequests[0].headers['idempotency-key'], 'order-1001');
+    assert.ok(!fs.existsSync(notifier.deadLetterFile));
+});
+
+test('dead letters saved during a replay are kept and unreadable lines are skipped', async () => {
+    const notifier = createNotifier([{ url: `${server.url}/webhooks/orders`, secret: SECRET }]);
+    server.failNext('/webhooks/orders', 500, { error: 'down' }, 6);
+    const replayFile = `${notifier.deadLetterFile}.replaying`;
+
+    await quietly(async () => {
+        await assert.rejects(notifier.notifyNewOrder(sale));
+        fs.appendFileSync(notifier.deadLetterFile, '{"url": "truncated\n');
+        await assert.rejects(notifier.notifyNewOrder({ ...sale, invoice_id: 1002 }));
+
+        // The entries are moved aside while the replay runs; a new event lands in the dead-letter file meanwhile
+        const post = notifier.post.bind(notifier);
+        const seen = [];
+        notifier.post = async (webhook, payload) => {
+            seen.push(fs.readFileSync(replayFile, 'utf8').trim().split('\n').length);
+            if (payload.id === 'order-1001') {
+                await notifier.saveDeadLetter(webhook, { ...payload, id: 'order-1003' }, 'HTTP 500');
+                server.failNext('/webhooks/orders', 503, { error: 'still down' }, 3);
+            }
+            return post(webhook, payload);
+        };
+
+        assert.deepStrictEqual(await notifier.replayDeadLetters(), { delivered: 1, failed: 1 });
+        assert.deepStrictEqual(seen, [3, 3]);
+    });
+
+    const lines = fs.readFileSync(notifier.deadLetterFile, 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 3);
+    assert.strictEqual(JSON.parse(lines[0]).payload.id, 'order-1003');
+    assert.strictEqual(JSON.parse(lines[1]).payload.id, 'order-1001');
+    assert.strictEqual(JSON.parse(lines[1]).error, 'HTTP 503');
+    assert.strictEqual(lines[2], '{"url": "truncated');
+    assert.ok(!fs.existsSync(replayFile));
+});
+
+test('an interrupted replay is finished by the next one', async () => {
+    const notifier = createNotifier([{ url: `${server.url}/webhooks/orders`, secret: SECRET }]);
+    server.failNext('/webhooks/orders', 500, { error: 'down' }, 3);
+    await quietly(() => assert.rejects(notifier.notifyNewOrder(sale)));
+    fs.renameSync(notifier.deadLetterFile, `${notifier.deadLetterFile}.replaying`);
+
+    assert.deepStrictEqual(await notifier.replayDeadLetters(), { delivered: 1, failed: 0 });
+    assert.strictEqual(server.webhookRequests.length, 1);
+    assert.ok(!fs.existsSync(`${notifier.deadLetterFile}.replaying`));
+});
+
+test('client errors are not retried', async () => {
+    const notifier = createNotifier([{ url: `${server.url}/webhooks/orders`, secret: SECRET }]);
+    server.failNext('/webhooks/orders', 400, { error: 'bad payload' }, 3);
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        await assert.rejects(notifier.notifyNewOrder(sale), /1 of 1 webhook deliveries of order-1001 failed/);
+    } finally {
+        console.error = originalError;
+    }
+    assert.strictEqual(server.requests.filter(r => r.path === '/webhooks/orders').length, 1);
+});
+
+test('invalid webhook configs are rejected', () => {
+    assert.throws(() => new WebhookNotifier({ webhooks: [{ secret: 'x' }] }), /"url" is required/);
+    assert.throws(() => new WebhookNotifier({ webhooks: [{ url: 'http://example.com' }] }), /set "secret" or "secretEnv"/);
+    assert.throws(() => new WebhookNotifier({ webhooks: [{ url: 'http://example.com', secret: 'x', events: ['refund'] }] }), /unknown event "refund"/);
+});